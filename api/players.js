@@ -0,0 +1,64 @@
+// GET /api/players - the ranked list, filtered the way the rankings table filters it
+//
+//   year      season to rank (default: newest in public/data)
+//   position  C, 1B, 2B, 3B, SS, OF or DH
+//   team      team abbreviation (e.g. SEA)
+//   minAge    maxAge
+//   minPa     minimum base-season plate appearances
+//   top       first N rows after filtering (default: all)
+//   format    json (default) or csv - the same columns as the UI's export
+
+import { POSITIONS, DEFAULT_FILTERS, filterPlayers, toExportTable, toCsv, getExportFileName } from '../src/model/index.js';
+import { withApi, sendJson, sendText, intParam, stringParam, CACHE_CONTROL, ApiError } from '../lib/api.js';
+import { loadSeason, latestSeason, toRankedPlayer } from '../lib/rankings.js';
+
+// Shared with the year parameter of the other routes
+export function yearParam(query) {
+  const year = intParam(query, 'year', { min: 2015, max: 2100 }) ?? latestSeason();
+  if (year == null) throw new ApiError(404, 'no seasons available - run fetch-data-updated.js');
+  return year;
+}
+
+export function parseFilters(query) {
+  return {
+    position: stringParam(query, 'position', POSITIONS) ?? DEFAULT_FILTERS.position,
+    team: stringParam(query, 'team')?.toUpperCase() ?? DEFAULT_FILTERS.team,
+    minAge: intParam(query, 'minAge', { min: 0, max: 60 }) ?? DEFAULT_FILTERS.minAge,
+    maxAge: intParam(query, 'maxAge', { min: 0, max: 60 }) ?? DEFAULT_FILTERS.maxAge,
+    minPa: intParam(query, 'minPa', { min: 0, max: 800 }) ?? DEFAULT_FILTERS.minPa,
+    top: intParam(query, 'top', { min: 1, max: 1000 }) ?? null,
+  };
+}
+
+export async function getPlayers(req, res) {
+  const year = yearParam(req.query);
+  const filters = parseFilters(req.query);
+  const format = stringParam(req.query, 'format', ['json', 'csv']) ?? 'json';
+  const season = await loadSeason(year);
+  const kept = filterPlayers(season.players, filters);
+
+  if (format === 'csv') {
+    return sendText(req, res, toCsv(toExportTable(kept, year)), {
+      cacheControl: CACHE_CONTROL[season.source],
+      contentType: 'text/csv; charset=utf-8',
+      fileName: getExportFileName(year, filters, 'csv'),
+    });
+  }
+
+  const players = kept.map(toRankedPlayer);
+
+  return sendJson(req, res, {
+    success: true,
+    year,
+    source: season.source,
+    dataYears: season.dataYears,
+    lastUpdated: season.lastUpdated,
+    filters,
+    total: season.players.length,
+    count: players.length,
+    players,
+    ...(season.source === 'live' ? { sources: season.sources, validation: season.validation } : {}),
+  }, { cacheControl: CACHE_CONTROL[season.source] });
+}
+
+export default withApi(getPlayers);
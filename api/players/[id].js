@@ -0,0 +1,32 @@
+// GET /api/players/:id - one ranked player with the detail panel's breakdown
+//
+//   id    MLBAM playerId, or the name ("Julio Rodriguez" / "Rodriguez, Julio")
+//   year  season (default: newest in public/data)
+//
+// Players the model filters out (pitchers, established stars) aren't ranked
+// and come back 404.
+
+import { findPlayer } from '../../src/model/index.js';
+import { withApi, sendJson, CACHE_CONTROL, ApiError } from '../../lib/api.js';
+import { loadSeason, toPlayerDetail } from '../../lib/rankings.js';
+import { yearParam } from '../players.js';
+
+export default withApi(async function getPlayer(req, res) {
+  const year = yearParam(req.query);
+  const id = String(req.query.id || '').trim();
+  if (!id) throw new ApiError(400, 'player id required');
+
+  const season = await loadSeason(year);
+  const player = findPlayer(season.players, id);
+  if (!player) throw new ApiError(404, 'no ranked player ' + JSON.stringify(id) + ' in ' + year);
+
+  return sendJson(req, res, {
+    success: true,
+    year,
+    source: season.source,
+    dataYears: season.dataYears,
+    lastUpdated: season.lastUpdated,
+    total: season.players.length,
+    player: toPlayerDetail(player, season),
+  }, { cacheControl: CACHE_CONTROL[season.source] });
+});
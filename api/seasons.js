@@ -0,0 +1,13 @@
+// GET /api/seasons - the seasons /api/players can serve from static data
+
+import { withApi, sendJson } from '../lib/api.js';
+import { listSeasons } from '../lib/rankings.js';
+
+export default withApi(async function getSeasons(req, res) {
+  const seasons = listSeasons();
+  return sendJson(req, res, {
+    success: true,
+    latest: seasons.length > 0 ? seasons[seasons.length - 1].year : null,
+    seasons,
+  });
+});
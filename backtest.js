@@ -0,0 +1,106 @@
+// Grade the model against completed seasons in public/data.
+//
+//   node backtest.js                 every players-YYYY.json with actual results
+//   node backtest.js --year 2025     one season
+//   node backtest.js --write         also write public/data/backtest.json for the app
+//   node backtest.js --weights public/data/weights/<version>.json   grade a tuned profile
+
+import fs from 'fs';
+import { runBacktest, hasActuals, fitProbabilityModel, loadWeightsProfile, BREAKOUT_DEFINITION, BACKTEST_CUTOFFS } from './src/model/index.js';
+import { listPlayerSeasons, readPlayersFile } from './lib/manifest.js';
+
+const DATA_DIR = 'public/data';
+
+function parseArgs(argv) {
+  const args = { year: null, write: false, weights: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--year') args.year = parseInt(argv[++i]);
+    else if (argv[i] === '--write') args.write = true;
+    else if (argv[i] === '--weights') args.weights = argv[++i];
+  }
+  return args;
+}
+
+const pct = (v) => v == null ? '  -  ' : (v * 100).toFixed(0).padStart(3) + '%';
+
+function printReport(report) {
+  console.log('\n' + report.year + ' backtest (' + report.evaluated + ' ranked, ' + report.leagueBreakouts + ' league breakouts)');
+  BACKTEST_CUTOFFS.forEach(k => {
+    console.log('  top ' + String(k).padEnd(3) + ' precision ' + pct(report.precisionAt[k]) +
+      '  recall ' + pct(report.recallAt[k]) + '  (' + report.hitsAt[k] + ' hits)');
+  });
+  console.log('  calibration:');
+  report.calibration.forEach(band => {
+    console.log('    ' + band.label.padEnd(6) + String(band.players).padStart(4) + ' players  ' +
+      String(band.breakouts).padStart(3) + ' breakouts  ' + pct(band.rate));
+  });
+}
+
+// The block rates above are fitted and read on the same players; only the
+// leave-one-season-out numbers say how the probabilities hold up on a new season
+function printHeldOut(model) {
+  if (!model.heldOut) {
+    console.log('  WARNING in-sample only: fitted and reported on ' + model.seasons.join(', ') +
+      ' - a held-out check needs a second graded season');
+    return;
+  }
+  console.log('  held out (' + model.heldOut.method + '):');
+  [...model.heldOut.seasons, { ...model.heldOut.pooled, year: 'all' }].forEach(s => {
+    console.log('    ' + String(s.year).padEnd(6) + String(s.players).padStart(4) + ' players  predicted ' +
+      pct(s.meanProbability) + '  observed ' + pct(s.players > 0 ? s.breakouts / s.players : null) +
+      '  Brier ' + (s.brier ?? '-') + ' (base rate ' + (s.baseRateBrier ?? '-') + ')');
+  });
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const seasons = args.year ? [args.year] : listPlayerSeasons(DATA_DIR);
+  const profile = args.weights ? JSON.parse(fs.readFileSync(args.weights, 'utf8')) : null;
+  const options = profile ? loadWeightsProfile(profile) : {};
+  if (profile) console.log('Using weights profile ' + profile.version);
+
+  const reports = [];
+  const graded = [];
+  for (const year of seasons) {
+    let data;
+    try {
+      data = readPlayersFile(DATA_DIR, year);
+    } catch (err) {
+      console.error('ERROR ' + err.message);
+      process.exit(1);
+    }
+    if (!hasActuals(data.players, year)) {
+      console.log('\n' + year + ': no actual results yet - skipped');
+      continue;
+    }
+    const report = runBacktest(data.players, year, options);
+    printReport(report);
+    reports.push(report);
+    graded.push({ year, players: data.players });
+  }
+
+  // Score -> probability map for the app, fitted on every graded season at once
+  const probabilityModel = fitProbabilityModel(graded, options);
+  if (probabilityModel) {
+    console.log('\nbreakout probability (isotonic, ' + probabilityModel.points + ' players, 90% interval):');
+    probabilityModel.blocks.forEach(b => {
+      console.log('    score ' + String(b.minScore).padStart(3) + '-' + String(b.maxScore).padEnd(3) +
+        String(b.players).padStart(5) + ' players  ' + pct(b.rate) + '  (' + pct(b.low) + ' -' + pct(b.high) + ')');
+    });
+    printHeldOut(probabilityModel);
+  }
+
+  if (args.write) {
+    const out = {
+      generated: new Date().toISOString(),
+      weights: profile ? profile.version : 'default',
+      definition: BREAKOUT_DEFINITION,
+      seasons: reports,
+      probabilityModel
+    };
+    fs.writeFileSync(DATA_DIR + '/backtest.json', JSON.stringify(out, null, 2));
+    console.log('\nSUCCESS wrote ' + DATA_DIR + '/backtest.json');
+  }
+}
+
+main();
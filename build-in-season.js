@@ -0,0 +1,88 @@
+// Build public/data/in-season-YYYY.json - year-to-date batting lines for the
+// app's in-season mode - from raw Statcast pitches (see lib/in-season.js).
+// statcast_talent.py keeps the monthly store in mlb_talent_data/ current
+// (python statcast_talent.py update); rerun this after it.
+//
+//   node build-in-season.js                          2026 from mlb_talent_data/
+//   node build-in-season.js --year 2026 --dir <store dir>
+//   node build-in-season.js --file <statcast_search export.csv>
+//   node build-in-season.js --top 15                 longer confirm/contradict lists
+
+import fs from 'fs';
+import {
+  withAges, getSeasonAgeDate, buildInSeasonFile, scoreInSeason, IN_SEASON_CHECK_MIN_PA
+} from './src/model/index.js';
+import { STATCAST_STORE_DIR, listStatcastFiles, buildInSeasonLines } from './lib/in-season.js';
+import { formatValidation } from './lib/schemas.js';
+import { readPlayersFile } from './lib/manifest.js';
+
+const DATA_DIR = 'public/data';
+
+function parseArgs(argv) {
+  const args = { year: 2026, dir: STATCAST_STORE_DIR, file: null, top: 10 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--year') args.year = parseInt(argv[++i]);
+    else if (argv[i] === '--dir') args.dir = argv[++i];
+    else if (argv[i] === '--file') args.file = argv[++i];
+    else if (argv[i] === '--top') args.top = parseInt(argv[++i]);
+  }
+  return args;
+}
+
+function printChecks(label, players, top) {
+  console.log(label + ' (' + players.length + ')');
+  players.slice(0, top).forEach(p => {
+    console.log(
+      '  ' + String(p.name).padEnd(26) +
+      String(p.inSeasonCheck.pa).padStart(4) + ' PA  ' +
+      'score ' + p.preseasonScore + ' -> ' + p.breakoutScore + '  ' +
+      p.inSeasonCheck.metrics.filter(m => m.direction === 'up' || m.direction === 'down')
+        .map(m => m.label + ' ' + (m.direction === 'up' ? '+' : '-')).join(', ')
+    );
+  });
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const files = args.file ? [args.file] : listStatcastFiles(args.dir, args.year);
+  if (files.length === 0 || !files.every(f => fs.existsSync(f))) {
+    console.error('ERROR no ' + args.year + ' Statcast files found' +
+      (args.file ? ' at ' + args.file : ' in ' + args.dir + ' (statcast_' + args.year + '-MM.csv.gz)'));
+    process.exit(1);
+  }
+
+  console.log('Reading ' + files.length + ' Statcast file(s)...');
+  const { lines, from, through, validations } = buildInSeasonLines(files);
+  console.log(formatValidation(validations));
+  if (validations.some(v => !v.ok)) {
+    console.warn('WARNING files with missing columns were skipped');
+  }
+  if (lines.length === 0) {
+    console.error('ERROR no plate appearances in the ' + args.year + ' Statcast files');
+    process.exit(1);
+  }
+
+  const out = DATA_DIR + '/in-season-' + args.year + '.json';
+  const doc = buildInSeasonFile(args.year, lines, { from, through, sources: files });
+  fs.writeFileSync(out, JSON.stringify(doc, null, 2));
+  console.log(lines.length + ' batters, ' + from + ' through ' + through);
+
+  // How the blend moves this season's rankings
+  let data;
+  try {
+    data = readPlayersFile(DATA_DIR, args.year);
+  } catch (err) {
+    console.warn('WARNING ' + err.message + ' - no preseason rankings to check against');
+    console.log('SUCCESS wrote ' + out);
+    return;
+  }
+  const ranked = scoreInSeason(withAges(data.players, getSeasonAgeDate(args.year)), doc, args.year);
+  const checked = ranked.filter(p => p.inSeasonCheck?.status);
+  console.log(ranked.filter(p => p.inSeason).length + ' of ' + ranked.length + ' ranked hitters have ' + args.year +
+    ' stats; ' + checked.length + ' with ' + IN_SEASON_CHECK_MIN_PA + '+ PA and a clear trend');
+  printChecks('Confirming their preseason score', checked.filter(p => p.inSeasonCheck.status === 'confirms'), args.top);
+  printChecks('Contradicting it', checked.filter(p => p.inSeasonCheck.status === 'contradicts'), args.top);
+  console.log('SUCCESS wrote ' + out);
+}
+
+main();
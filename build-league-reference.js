@@ -0,0 +1,29 @@
+// Rebuild public/data/league-reference.json from the players-YYYY.json files.
+// fetch-data-updated.js does this after every fetch; run it by hand after
+// editing data files or changing the signals in scorePlayer.
+//
+//   node build-league-reference.js
+
+import fs from 'fs';
+import { buildReferenceDocument } from './src/model/index.js';
+import { readPlayerSeasons } from './lib/manifest.js';
+
+const DATA_DIR = 'public/data';
+
+function main() {
+  const { seasons, skipped } = readPlayerSeasons(DATA_DIR);
+  skipped.forEach(s => console.warn('WARNING ' + s.error + ' - left out'));
+  if (seasons.length === 0) {
+    console.error('ERROR no readable players-YYYY.json files in ' + DATA_DIR);
+    process.exit(1);
+  }
+
+  const reference = buildReferenceDocument(seasons.map(s => ({ year: s.year, players: s.data.players })));
+  Object.values(reference.seasons).forEach(s => {
+    console.log(s.year + ': ' + s.population + ' hitters, ' + Object.keys(s.quantiles).length + ' signals');
+  });
+  fs.writeFileSync(DATA_DIR + '/league-reference.json', JSON.stringify(reference, null, 2));
+  console.log('SUCCESS wrote ' + DATA_DIR + '/league-reference.json');
+}
+
+main();
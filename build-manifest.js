@@ -0,0 +1,44 @@
+// Rebuild public/data/manifest.json from the players-YYYY.json files.
+// fetch-data-updated.js does this after every fetch; run it by hand after
+// adding, removing or editing a data file. Source URLs recorded by the last
+// fetch are kept.
+//
+//   node build-manifest.js
+//   node build-manifest.js --snapshot     also snapshot the current files (after a hand edit)
+
+import { writeManifest, readPlayerSeasons } from './lib/manifest.js';
+import { writeSnapshot } from './lib/snapshots.js';
+
+const DATA_DIR = 'public/data';
+
+function parseArgs(argv) {
+  const args = { snapshot: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--snapshot') args.snapshot = true;
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.snapshot) {
+    readPlayerSeasons(DATA_DIR).seasons.forEach(({ year, data }) => {
+      console.log(year + ' snapshot: ' + writeSnapshot(DATA_DIR, data));
+    });
+  }
+
+  const { manifest, skipped } = writeManifest(DATA_DIR);
+  skipped.forEach(s => console.warn('WARNING ' + s.error + ' - left out of the manifest'));
+  if (manifest.seasons.length === 0) {
+    console.error('ERROR no readable players-YYYY.json files in ' + DATA_DIR);
+    process.exit(1);
+  }
+  manifest.seasons.forEach(s => {
+    console.log(s.year + ': ' + s.rows + ' rows, schema ' + s.schemaVersion + ', ' +
+      (s.sources ? s.sources.length + ' sources' : 'sources not recorded') + ', ' +
+      s.snapshots.length + ' snapshot(s)');
+  });
+  console.log('SUCCESS wrote ' + DATA_DIR + '/manifest.json');
+}
+
+main();
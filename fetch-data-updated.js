@@ -1,83 +1,245 @@
+// Build public/data/players-YYYY.json from Baseball Savant + statsapi.
+//
+//   node fetch-data-updated.js                            ScraperAPI if SCRAPER_API_KEY is set, else direct
+//   node fetch-data-updated.js --years 2019,2020,2021     other prediction years (default 2025,2026)
+//   node fetch-data-updated.js --source direct
+//   node fetch-data-updated.js --source direct --record fixtures/2026-02   also save every response
+//   node fetch-data-updated.js --source local --dir fixtures/2026-02 --out /tmp/data   offline replay
+//   node fetch-data-updated.js --years 2026 --source local --dir fixtures/sample-2026 --out /tmp/data   committed sample
+//   node fetch-data-updated.js --concurrency 2 --retries 5 --timeout 60000
+//   node fetch-data-updated.js --offline          rebuild from .cache/sources only
+//   node fetch-data-updated.js --refresh          refetch everything, rewrite the cache
+//   node fetch-data-updated.js --no-cache --cache-dir <dir>
+//
+// Responses are cached under .cache/sources (lib/cache.js): completed seasons
+// for good, the season in progress for 6 hours.
+//
+// Every request is retried with backoff and checked for HTML/error bodies. A
+// failed required source (the data-year expected stats) aborts without writing
+// anything; other failures leave their fields empty and are listed in the
+// status report at the end.
+//
+// Output follows public/data/players.schema.json (schemaVersion in every file,
+// per-season stats in each player's seasons map). Each file is also kept as a
+// dated snapshot (lib/snapshots.js) for the Movers view. manifest.json is
+// rewritten alongside with the seasons, row counts, snapshots and the URLs each
+// season was built from.
+
 import Papa from 'papaparse';
 import fs from 'fs';
+import { buildReferenceDocument, PLAYERS_SCHEMA_VERSION } from './src/model/index.js';
+import { createSource, SOURCE_TYPES } from './lib/sources.js';
+import { fetchAll, formatReport } from './lib/http.js';
+import { DEFAULT_CACHE_DIR } from './lib/cache.js';
+import { validateCsv, checkPlayerRanges, formatValidation } from './lib/schemas.js';
+import { readPlayerSeasons, writeManifest, reportSources } from './lib/manifest.js';
+import { writeSnapshot } from './lib/snapshots.js';
+import { getCareerYears, buildCareerMap, getCareerFields, getYearsInMLB } from './lib/career.js';
 
 const SCRAPER_API_KEY = process.env.SCRAPER_API_KEY || 'YOUR_KEY_HERE';
 
-async function fetchYear(targetYear) {
-  console.log(`Fetching data for ${targetYear} predictions`);
+const STATSAPI_BASE = 'https://statsapi.mlb.com/api/v1';
+
+// Games at a position needed to be listed as eligible there (standard fantasy cutoff)
+const POSITION_ELIGIBILITY_GAMES = 20;
+const POSITION_ORDER = ['C', '1B', '2B', '3B', 'SS', 'OF', 'DH'];
+
+// Prediction years built when --years isn't given
+const DEFAULT_YEARS = [2025, 2026];
+
+// statsapi reports LF/CF/RF separately and Ohtani as TWP - collapse to the UI's position set
+function toRosterPosition(abbrev) {
+  if (!abbrev) return null;
+  if (abbrev === 'LF' || abbrev === 'CF' || abbrev === 'RF') return 'OF';
+  if (abbrev === 'TWP') return 'DH';
+  return abbrev;
+}
+
+// Merge stats into seasons[season], skipping the ones a source didn't have
+function putSeasonStats(seasons, season, stats) {
+  Object.entries(stats).forEach(([stat, value]) => {
+    if (value == null || Number.isNaN(value)) return;
+    seasons[season] = Object.assign({}, seasons[season], { [stat]: value });
+  });
+}
+
+// Birth date, team and position eligibility for every MLB player in a season.
+// Position comes from primaryPosition plus fielding games, so a catcher who
+// played 30 games in LF comes out as "C/OF".
+// Missing statsapi responses degrade to null team/position/birthDate rather than failing the run.
+async function fetchRoster(source, season, concurrency) {
+  console.log('Fetching MLB roster data');
+  const { bodies, report } = await fetchAll(source, [
+    { key: 'statsapi-teams-' + season, season, url: STATSAPI_BASE + '/teams?sportId=1&season=' + season, format: 'json', provides: 'team' },
+    { key: 'statsapi-players-' + season, season, url: STATSAPI_BASE + '/sports/1/players?season=' + season, format: 'json', provides: 'team/position/birthDate/mlbDebutDate' }
+  ], { concurrency });
+  const teamsData = JSON.parse(bodies['statsapi-teams-' + season] || '{}');
+  const teamAbbrevMap = new Map();
+  (teamsData.teams || []).forEach(team => teamAbbrevMap.set(team.id, team.abbreviation));
   
-  const currentDataYear = targetYear - 1;
-  const prevDataYear = targetYear - 2;
-  const actualResultsYear = targetYear;
+  const playersData = JSON.parse(bodies['statsapi-players-' + season] || '{}');
   
-  const fetchWithScraper = async (url) => {
-    const scraperUrl = 'http://api.scraperapi.com?api_key=' + SCRAPER_API_KEY + '&url=' + encodeURIComponent(url);
-    const response = await fetch(scraperUrl);
-    return await response.text();
-  };
+  const rosterMap = new Map();
+  (playersData.people || []).forEach(player => {
+    if (!player.id) return;
+    const primary = toRosterPosition(player.primaryPosition && player.primaryPosition.abbreviation);
+    rosterMap.set(String(player.id), {
+      birthDate: player.birthDate || null,
+      mlbDebutDate: player.mlbDebutDate || null,
+      team: (player.currentTeam && teamAbbrevMap.get(player.currentTeam.id)) || null,
+      primaryPosition: primary,
+      position: primary
+    });
+  });
   
-  console.log('Fetching MLB birth dates');
-  const mlbPlayersResponse = await fetch('https://statsapi.mlb.com/api/v1/sports/1/players?season=' + currentDataYear);
-  const mlbPlayersData = await mlbPlayersResponse.json();
-  const mlbBirthDateMap = new Map();
-  if (mlbPlayersData.people) {
-    mlbPlayersData.people.forEach(player => {
-      if (player.id && player.birthDate) {
-        mlbBirthDateMap.set(String(player.id), player.birthDate);
-      }
+  // Fielding splits only matter for hitters; statsapi caps personIds per request
+  const hitterIds = [...rosterMap.entries()].filter(([, info]) => info.primaryPosition !== 'P').map(([id]) => id);
+  console.log('Fetching fielding games for ' + hitterIds.length + ' hitters');
+  const fieldingRequests = [];
+  for (let i = 0; i < hitterIds.length; i += 100) {
+    const chunk = hitterIds.slice(i, i + 100);
+    fieldingRequests.push({
+      key: 'statsapi-fielding-' + season + '-' + (i / 100),
+      season,
+      url: STATSAPI_BASE + '/people?personIds=' + chunk.join(',') + '&hydrate=stats(group=[fielding],type=[season],season=' + season + ')',
+      format: 'json',
+      provides: 'secondary positions'
     });
   }
+  const fielding = await fetchAll(source, fieldingRequests, { concurrency });
+  report.push(...fielding.report);
   
-  console.log('Fetching expected stats current year');
-  const expectedCurrentCsv = await fetchWithScraper('https://baseballsavant.mlb.com/leaderboard/expected_statistics?type=batter&year=' + currentDataYear + '&position=&team=&min=100&csv=true');
-  
-  console.log('Fetching expected stats previous year');
-  const expectedPrevCsv = await fetchWithScraper('https://baseballsavant.mlb.com/leaderboard/expected_statistics?type=batter&year=' + prevDataYear + '&position=&team=&min=100&csv=true');
-  
-  console.log('Fetching expected stats actual year');
-  const expectedActualCsv = await fetchWithScraper('https://baseballsavant.mlb.com/leaderboard/expected_statistics?type=batter&year=' + actualResultsYear + '&position=&team=&min=100&csv=true');
+  for (const request of fieldingRequests) {
+    const fieldingData = JSON.parse(fielding.bodies[request.key] || '{}');
+    
+    (fieldingData.people || []).forEach(person => {
+      const info = rosterMap.get(String(person.id));
+      if (!info) return;
+      
+      const gamesByPosition = {};
+      (person.stats || []).forEach(statGroup => {
+        (statGroup.splits || []).forEach(split => {
+          const pos = toRosterPosition(split.position && split.position.abbreviation);
+          if (!pos || pos === 'P') return;
+          gamesByPosition[pos] = (gamesByPosition[pos] || 0) + (split.stat.gamesPlayed || split.stat.games || 0);
+        });
+      });
+      
+      const eligible = POSITION_ORDER.filter(pos => pos !== 'DH' && gamesByPosition[pos] >= POSITION_ELIGIBILITY_GAMES);
+      if (info.primaryPosition && !eligible.includes(info.primaryPosition)) eligible.unshift(info.primaryPosition);
+      if (eligible.length > 0) info.position = eligible.join('/');
+    });
+  }
   
-  console.log('Fetching statcast current');
-  const statcast1Csv = await fetchWithScraper('https://baseballsavant.mlb.com/leaderboard/custom?year=' + currentDataYear + '&type=batter&min=1&selections=player_id,age,k_percent,hard_hit_percent,barrel_batted_rate,pull_percent&csv=true');
+  return { rosterMap, report };
+}
+
+// Resolves to { data, report, validation }; data is null when a required source
+// failed or a CSV is missing a declared column (lib/schemas.js)
+async function fetchYear(source, targetYear, concurrency) {
+  console.log(`Fetching data for ${targetYear} predictions`);
   
-  console.log('Fetching statcast previous');
-  const statcast1PrevCsv = await fetchWithScraper('https://baseballsavant.mlb.com/leaderboard/custom?type=batter&year=' + prevDataYear + '&min=1&selections=player_id,k_percent,hard_hit_percent,barrel_batted_rate,pull_percent&csv=true');
+  const currentDataYear = targetYear - 1;
+  const prevDataYear = targetYear - 2;
+  const actualResultsYear = targetYear;
   
-  console.log('Fetching launch angle current');
-  const statcast2Csv = await fetchWithScraper('https://baseballsavant.mlb.com/leaderboard/statcast?type=batter&year=' + currentDataYear + '&min=1&csv=true');
+  const { rosterMap, report } = await fetchRoster(source, currentDataYear, concurrency);
   
-  console.log('Fetching launch angle previous');
-  const statcast2PrevCsv = await fetchWithScraper('https://baseballsavant.mlb.com/leaderboard/statcast?type=batter&year=' + prevDataYear + '&min=1&csv=true');
+  // min=1 so partial seasons count toward the career baseline; trajectory still uses 100+ PA
+  const careerYears = getCareerYears(currentDataYear);
   
-  console.log('Fetching bat speed');
-  const statcast3Csv = await fetchWithScraper('https://baseballsavant.mlb.com/leaderboard/bat-tracking?year=' + currentDataYear + '&min=1&csv=true');
+  // Marcel projection inputs (src/model/projection.js): counting stats for the
+  // data year and the two before it. The results year's line is fetched the
+  // same way for the breakout verdicts (src/model/verdict.js) - empty until
+  // that season is played.
+  const historyYears = [currentDataYear, currentDataYear - 1, currentDataYear - 2];
+  const lineYears = [...historyYears, actualResultsYear];
   
-  console.log('Fetching chase rate current');
-  const statcast4Csv = await fetchWithScraper('https://baseballsavant.mlb.com/leaderboard/custom?year=' + currentDataYear + '&type=batter&min=1&selections=player_id,oz_swing_percent&csv=true');
+  const savant = (key, season, path, extra) => Object.assign({ key, season, url: 'https://baseballsavant.mlb.com/leaderboard/' + path, format: 'csv' }, extra);
+  const requests = [
+    savant('expected-' + currentDataYear + '-min100', currentDataYear, 'expected_statistics?type=batter&year=' + currentDataYear + '&position=&team=&min=100&csv=true', { schema: 'expected', required: true }),
+    ...careerYears.map(year => savant('expected-' + year + '-min1', year, 'expected_statistics?type=batter&year=' + year + '&position=&team=&min=1&csv=true', { schema: 'expected', provides: 'career baseline' + (year === prevDataYear ? '/xwobaTrajectory' : '') })),
+    ...lineYears.map(year => savant('season-lines-' + year, year, 'custom?year=' + year + '&type=batter&min=1&selections=player_id,pa,home_run,r_total_stolen_base,on_base_plus_slg,woba&csv=true', { schema: 'seasonLines', provides: year === actualResultsYear ? 'verdict HR/SB' : 'history ' + year })),
+    savant('expected-' + actualResultsYear + '-min100', actualResultsYear, 'expected_statistics?type=batter&year=' + actualResultsYear + '&position=&team=&min=100&csv=true', { schema: 'expected', provides: 'actual results' }),
+    savant('custom-contact-' + currentDataYear, currentDataYear, 'custom?year=' + currentDataYear + '&type=batter&min=1&selections=player_id,age,k_percent,hard_hit_percent,barrel_batted_rate,pull_percent&csv=true', { schema: 'contact', provides: 'kRate/hardHitRate/barrelRate/pullRate' }),
+    savant('custom-contact-' + prevDataYear, prevDataYear, 'custom?year=' + prevDataYear + '&type=batter&min=1&selections=player_id,age,k_percent,hard_hit_percent,barrel_batted_rate,pull_percent&csv=true', { schema: 'contact', provides: 'hardHit/barrel/kRate improvements' }),
+    savant('statcast-' + currentDataYear, currentDataYear, 'statcast?type=batter&year=' + currentDataYear + '&min=1&csv=true', { schema: 'statcast', provides: 'launchAngle' }),
+    savant('statcast-' + prevDataYear, prevDataYear, 'statcast?type=batter&year=' + prevDataYear + '&min=1&csv=true', { schema: 'statcast', provides: 'launchAngleDelta' }),
+    savant('bat-tracking-' + currentDataYear, currentDataYear, 'bat-tracking?year=' + currentDataYear + '&min=1&csv=true', { schema: 'batTracking', provides: 'batSpeed' }),
+    savant('custom-chase-' + currentDataYear, currentDataYear, 'custom?year=' + currentDataYear + '&type=batter&min=1&selections=player_id,oz_swing_percent&csv=true', { schema: 'chase', provides: 'chaseRate' }),
+    savant('custom-chase-' + prevDataYear, prevDataYear, 'custom?year=' + prevDataYear + '&type=batter&min=1&selections=player_id,oz_swing_percent&csv=true', { schema: 'chase', provides: 'chaseImprovement' })
+  ];
   
-  console.log('Fetching chase rate previous');
-  const statcast4PrevCsv = await fetchWithScraper('https://baseballsavant.mlb.com/leaderboard/custom?year=' + prevDataYear + '&type=batter&min=1&selections=player_id,oz_swing_percent&csv=true');
+  console.log('Fetching ' + requests.length + ' Savant leaderboards (' + concurrency + ' at a time)');
+  const savantResult = await fetchAll(source, requests, { concurrency });
+  report.push(...savantResult.report);
+  if (savantResult.report.some(r => r.required && r.status !== 'ok')) {
+    return { data: null, report, validation: [] };
+  }
   
   console.log('Parsing CSVs');
-  const expectedCurrentParsed = Papa.parse(expectedCurrentCsv, { header: true, skipEmptyLines: true, dynamicTyping: true });
-  const expectedPrevParsed = Papa.parse(expectedPrevCsv, { header: true, skipEmptyLines: true, dynamicTyping: true });
-  const expectedActualParsed = Papa.parse(expectedActualCsv, { header: true, skipEmptyLines: true, dynamicTyping: true });
-  const statcast1Parsed = Papa.parse(statcast1Csv, { header: true, skipEmptyLines: true, dynamicTyping: true });
-  const statcast1PrevParsed = Papa.parse(statcast1PrevCsv, { header: true, skipEmptyLines: true, dynamicTyping: true });
-  const statcast2Parsed = Papa.parse(statcast2Csv, { header: true, skipEmptyLines: true, dynamicTyping: true });
-  const statcast2PrevParsed = Papa.parse(statcast2PrevCsv, { header: true, skipEmptyLines: true, dynamicTyping: true });
-  const statcast3Parsed = Papa.parse(statcast3Csv, { header: true, skipEmptyLines: true, dynamicTyping: true });
-  const statcast4Parsed = Papa.parse(statcast4Csv, { header: true, skipEmptyLines: true, dynamicTyping: true });
-  const statcast4PrevParsed = Papa.parse(statcast4PrevCsv, { header: true, skipEmptyLines: true, dynamicTyping: true });
+  const parsedByKey = {};
+  requests.forEach(r => {
+    parsedByKey[r.key] = Papa.parse(savantResult.bodies[r.key] || '', { header: true, skipEmptyLines: true, dynamicTyping: true });
+  });
+  const parse = (key) => parsedByKey[key];
+  
+  // Column drift: a renamed Savant column would otherwise merge as null for everyone
+  const validation = requests
+    .filter(r => savantResult.bodies[r.key] != null)
+    .map(r => validateCsv(r.key, r.schema, parsedByKey[r.key]));
+  if (validation.some(v => !v.ok)) {
+    return { data: null, report, validation };
+  }
+  const expectedCurrentParsed = parse('expected-' + currentDataYear + '-min100');
+  const expectedHistoryParsed = {};
+  careerYears.forEach(year => {
+    expectedHistoryParsed[year] = parse('expected-' + year + '-min1');
+  });
+  const historyParsed = {};
+  lineYears.forEach(year => {
+    historyParsed[year] = parse('season-lines-' + year);
+  });
+  const expectedActualParsed = parse('expected-' + actualResultsYear + '-min100');
+  const statcast1Parsed = parse('custom-contact-' + currentDataYear);
+  const statcast1PrevParsed = parse('custom-contact-' + prevDataYear);
+  const statcast2Parsed = parse('statcast-' + currentDataYear);
+  const statcast2PrevParsed = parse('statcast-' + prevDataYear);
+  const statcast3Parsed = parse('bat-tracking-' + currentDataYear);
+  const statcast4Parsed = parse('custom-chase-' + currentDataYear);
+  const statcast4PrevParsed = parse('custom-chase-' + prevDataYear);
   
   const prevYearMap = new Map();
-  for (const row of expectedPrevParsed.data) {
+  for (const row of expectedHistoryParsed[prevDataYear].data) {
     const playerId = String(row.player_id);
-    if (playerId && row.est_woba) {
+    if (playerId && row.est_woba && (parseInt(row.pa) || 0) >= 100) {
       prevYearMap.set(playerId, { xwoba: parseFloat(row.est_woba), woba: parseFloat(row.woba) });
     }
   }
   
+  // Career baseline over prior seasons only (lib/career.js)
+  const careerMap = buildCareerMap(expectedHistoryParsed);
+  
+  // Per-player seasons map (src/model/players.js); the expected-stats and
+  // statcast values are added to it player by player below
+  const seasonsMap = new Map();
+  lineYears.forEach(year => {
+    for (const row of historyParsed[year].data) {
+      const pa = parseInt(row.pa) || 0;
+      if (!row.player_id || pa <= 0) continue;
+      const playerId = String(row.player_id);
+      const seasons = seasonsMap.get(playerId) || {};
+      putSeasonStats(seasons, year, {
+        pa: pa,
+        woba: parseFloat(row.woba),
+        hr: parseInt(row.home_run) || 0,
+        sb: parseInt(row.r_total_stolen_base) || 0,
+        ops: parseFloat(row.on_base_plus_slg)
+      });
+      seasonsMap.set(playerId, seasons);
+    }
+  });
+  
   const actualResultsMap = new Map();
   for (const row of expectedActualParsed.data) {
     const playerId = String(row.player_id);
@@ -139,9 +301,6 @@ async function fetchYear(targetYear) {
   });
   
   const players = [];
-  const currentYearSuffix = currentDataYear % 100;
-  const prevYearSuffix = prevDataYear % 100;
-  const actualYearSuffix = actualResultsYear % 100;
   
   for (const row of expectedCurrentParsed.data) {
     const pa = parseInt(row.pa) || 0;
@@ -157,8 +316,12 @@ async function fetchYear(targetYear) {
     const statcastData = statcastMap.get(playerId);
     const statcastPrevData = statcastPrevMap.get(playerId);
     const chasePrev = chasePrevMap.get(playerId);
+    const roster = rosterMap.get(playerId) || {};
+    const career = careerMap.get(playerId);
+    
+    const yearsInMLB = getYearsInMLB(currentDataYear, career, roster.mlbDebutDate);
     
-    const pos = (row.pos || row.primary_position || 'OF').toUpperCase();
+    const pos = (roster.primaryPosition || row.pos || row.primary_position || '').toUpperCase();
     if (pos.includes('SP') || pos.includes('RP') || pos === 'P') continue;
     
     const currentHardHit = statcastData && parseFloat(statcastData.hard_hit_percent);
@@ -185,14 +348,16 @@ async function fetchYear(targetYear) {
     const launchAngleDelta = (currentLaunchAngle != null && prevLaunchAngle != null) ? currentLaunchAngle - prevLaunchAngle : null;
     
     const playerObj = {
+      playerId: Number(playerId),
       name: row['last_name, first_name'] || (row.first_name || '') + ' ' + (row.last_name || ''),
-      team: row.team_name_abbrev || row.team,
-      birthDate: mlbBirthDateMap.get(playerId) || null,
+      team: roster.team || row.team_name_abbrev || row.team || null,
+      birthDate: roster.birthDate || null,
       age: null,
       pa: pa,
-      position: row.pos || row.primary_position || 'OF',
+      position: roster.position || row.pos || row.primary_position || null,
       currentWoba: currentWoba,
-      careerWoba: currentWoba,
+      ...getCareerFields(career),
+      yearsInMLB: yearsInMLB,
       xwobaSurplus: currentXwoba - currentWoba,
       xwobaTrajectory: prevYearData ? currentXwoba - prevYearData.xwoba : 0,
       hardHitRate: currentHardHit ? currentHardHit / 100 : null,
@@ -206,24 +371,26 @@ async function fetchYear(targetYear) {
       hardHitImprovement: hardHitImprovement != null ? hardHitImprovement / 100 : null,
       barrelImprovement: barrelImprovement != null ? barrelImprovement / 100 : null,
       kRateImprovement: kRateImprovement != null ? kRateImprovement / 100 : null,
-      chaseImprovement: chaseImprovement != null ? chaseImprovement / 100 : null
+      chaseImprovement: chaseImprovement != null ? chaseImprovement / 100 : null,
+      seasons: seasonsMap.get(playerId) || {}
     };
     
-    playerObj['woba' + currentYearSuffix] = currentWoba;
-    playerObj['xwoba' + currentYearSuffix] = currentXwoba;
-    playerObj['woba' + prevYearSuffix] = prevYearData ? prevYearData.woba : null;
-    playerObj['xwoba' + prevYearSuffix] = prevYearData ? prevYearData.xwoba : null;
-    playerObj['woba' + actualYearSuffix] = actualResults ? actualResults.woba : null;
-    playerObj['pa' + actualYearSuffix] = actualResults ? actualResults.pa : null;
-    playerObj['launchAngle' + currentYearSuffix] = currentLaunchAngle;
-    playerObj['launchAngle' + prevYearSuffix] = prevLaunchAngle;
+    putSeasonStats(playerObj.seasons, currentDataYear, { pa: pa, woba: currentWoba, xwoba: currentXwoba, launchAngle: currentLaunchAngle });
+    putSeasonStats(playerObj.seasons, prevDataYear, { launchAngle: prevLaunchAngle });
+    if (prevYearData) putSeasonStats(playerObj.seasons, prevDataYear, { woba: prevYearData.woba, xwoba: prevYearData.xwoba });
+    if (actualResults) putSeasonStats(playerObj.seasons, actualResultsYear, { woba: actualResults.woba, pa: actualResults.pa });
     
     players.push(playerObj);
   }
   
   console.log('Built ' + players.length + ' players');
+  const outOfRange = checkPlayerRanges(players);
+  Object.entries(outOfRange).forEach(([field, count]) => {
+    console.warn('WARNING ' + count + ' players with implausible ' + field);
+  });
   
-  return {
+  const data = {
+    schemaVersion: PLAYERS_SCHEMA_VERSION,
     success: true,
     year: targetYear,
     dataYears: [currentDataYear, prevDataYear, actualResultsYear],
@@ -231,25 +398,103 @@ async function fetchYear(targetYear) {
     count: players.length,
     lastUpdated: new Date().toISOString()
   };
+  return { data, report, validation };
+}
+
+function parseArgs(argv) {
+  const args = { years: DEFAULT_YEARS, source: null, dir: null, record: null, out: 'public/data', concurrency: 4, retries: 3, timeout: 30000, cache: 'normal', cacheDir: DEFAULT_CACHE_DIR };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--years') args.years = argv[++i].split(',').map(y => parseInt(y));
+    else if (argv[i] === '--source') args.source = argv[++i];
+    else if (argv[i] === '--dir') args.dir = argv[++i];
+    else if (argv[i] === '--record') args.record = argv[++i];
+    else if (argv[i] === '--out') args.out = argv[++i];
+    else if (argv[i] === '--concurrency') args.concurrency = parseInt(argv[++i]);
+    else if (argv[i] === '--retries') args.retries = parseInt(argv[++i]);
+    else if (argv[i] === '--timeout') args.timeout = parseInt(argv[++i]);
+    else if (argv[i] === '--refresh') args.cache = 'refresh';
+    else if (argv[i] === '--offline') args.cache = 'offline';
+    else if (argv[i] === '--no-cache') args.cache = null;
+    else if (argv[i] === '--cache-dir') args.cacheDir = argv[++i];
+  }
+  if (!args.source) {
+    args.source = SCRAPER_API_KEY !== 'YOUR_KEY_HERE' ? 'scraperapi' : 'direct';
+  }
+  return args;
 }
 
 async function main() {
-  if (!SCRAPER_API_KEY || SCRAPER_API_KEY === 'YOUR_KEY_HERE') {
-    console.error('ERROR SCRAPER_API_KEY not set');
+  const args = parseArgs(process.argv.slice(2));
+  if (!SOURCE_TYPES.includes(args.source)) {
+    console.error('ERROR --source must be one of ' + SOURCE_TYPES.join(', '));
+    process.exit(1);
+  }
+  if (args.source === 'local' && !args.dir) {
+    console.error('ERROR --source local needs --dir <directory of saved responses>');
     process.exit(1);
   }
   
-  const data2025 = await fetchYear(2025);
-  const data2026 = await fetchYear(2026);
+  let source;
+  try {
+    source = createSource({
+      type: args.source,
+      dir: args.dir,
+      apiKey: SCRAPER_API_KEY,
+      record: args.record,
+      fetch: { retries: args.retries, timeoutMs: args.timeout },
+      cache: args.cache ? { dir: args.cacheDir, mode: args.cache } : null
+    });
+  } catch (err) {
+    console.error('ERROR ' + err.message);
+    process.exit(1);
+  }
+  console.log('Using ' + source.name + ' source');
   
-  if (!fs.existsSync('public/data')) {
-    fs.mkdirSync('public/data', { recursive: true });
+  const results = [];
+  for (const year of args.years) {
+    results.push(Object.assign({ year }, await fetchYear(source, year, args.concurrency)));
   }
   
-  fs.writeFileSync('public/data/players-2025.json', JSON.stringify(data2025, null, 2));
-  fs.writeFileSync('public/data/players-2026.json', JSON.stringify(data2026, null, 2));
+  console.log('\nSource status');
+  results.forEach(r => console.log(r.year + ' predictions:\n' + formatReport(r.report)));
+  console.log('\nSchema validation');
+  results.forEach(r => console.log(r.year + ' predictions:\n' + formatValidation(r.validation)));
+  
+  if (results.some(r => !r.data)) {
+    const drift = results.some(r => r.validation.some(v => !v.ok));
+    console.error('ERROR ' + (drift ? 'Savant columns missing or renamed' : 'a required source failed') + ' - nothing written');
+    process.exit(1);
+  }
+  const failed = results.flatMap(r => r.report).filter(r => r.status !== 'ok');
+  if (failed.length > 0) {
+    console.warn('WARNING ' + failed.length + ' optional source(s) failed - their fields are empty in this build');
+  }
+  
+  if (!fs.existsSync(args.out)) {
+    fs.mkdirSync(args.out, { recursive: true });
+  }
+  
+  results.forEach(r => {
+    fs.writeFileSync(args.out + '/players-' + r.year + '.json', JSON.stringify(r.data, null, 2));
+    console.log(r.year + ' snapshot: ' + writeSnapshot(args.out, r.data));
+  });
+  
+  // Per-season percentile reference for computeBreakoutScore, over every
+  // season in --out so fetching one year doesn't drop the others
+  const { seasons, skipped } = readPlayerSeasons(args.out);
+  skipped.forEach(s => console.warn('WARNING ' + s.error + ' - left out of the reference and manifest'));
+  const reference = buildReferenceDocument(seasons.map(s => ({ year: s.year, players: s.data.players })));
+  fs.writeFileSync(args.out + '/league-reference.json', JSON.stringify(reference, null, 2));
+  
+  const sourcesByYear = {};
+  results.forEach(r => { sourcesByYear[r.year] = reportSources(r.report); });
+  const { manifest } = writeManifest(args.out, sourcesByYear);
+  console.log('Manifest lists ' + manifest.seasons.map(s => s.year + ' (' + s.rows + ' rows)').join(', '));
   
-  console.log('SUCCESS Data saved to public data');
+  console.log('SUCCESS Data saved to ' + args.out);
 }
 
-main().catch(console.error);
+main().catch(err => {
+  console.error('ERROR ' + err.message);
+  process.exit(1);
+});
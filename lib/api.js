@@ -0,0 +1,101 @@
+// Request/response plumbing shared by the read API routes in api/.
+//
+// Responses are JSON with success: true|false (CSV where a route offers
+// format=csv; errors are always JSON). Bodies carry a strong
+// ETag (hash of the body), so dashboards polling the same URL get a 304 until
+// the data changes, and a Cache-Control that lets the CDN hold them - the
+// static data only changes on deploy, which purges the CDN anyway.
+
+import crypto from 'crypto';
+
+export const CACHE_CONTROL = {
+  static: 'public, max-age=300, s-maxage=3600, stale-while-revalidate=86400',
+  live: 'public, max-age=60, s-maxage=600, stale-while-revalidate=3600',
+  error: 'no-store',
+};
+
+export class ApiError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function etagFor(body) {
+  return '"' + crypto.createHash('sha1').update(body).digest('base64url') + '"';
+}
+
+// Sends a text body with an ETag; answers 304 with no body when If-None-Match
+// matches. fileName makes it a download (Content-Disposition: attachment).
+export function sendText(req, res, text, { status = 200, cacheControl = CACHE_CONTROL.static, contentType, fileName } = {}) {
+  res.setHeader('Cache-Control', cacheControl);
+  res.setHeader('Content-Type', contentType);
+  if (fileName) res.setHeader('Content-Disposition', 'attachment; filename="' + fileName + '"');
+  if (status === 200) {
+    const etag = etagFor(text);
+    res.setHeader('ETag', etag);
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch && ifNoneMatch.split(',').map(t => t.trim()).includes(etag)) {
+      return res.status(304).end();
+    }
+  }
+  return res.status(status).send(text);
+}
+
+export function sendJson(req, res, body, options = {}) {
+  return sendText(req, res, JSON.stringify(body), { ...options, contentType: 'application/json; charset=utf-8' });
+}
+
+// Wraps a route: CORS, OPTIONS preflight, GET/HEAD only, and ApiError -> JSON
+export function withApi(route) {
+  return async function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'If-None-Match');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag');
+    if (req.method === 'OPTIONS') {
+      return res.status(204).end();
+    }
+    try {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        throw new ApiError(405, 'method ' + req.method + ' not allowed');
+      }
+      return await route(req, res);
+    } catch (err) {
+      const status = err instanceof ApiError ? err.status : 500;
+      if (status >= 500) console.error('[API] Error:', err);
+      return sendJson(req, res, { success: false, message: err.message, ...(err.details || {}) }, {
+        status,
+        cacheControl: CACHE_CONTROL.error,
+      });
+    }
+  };
+}
+
+// ─── QUERY PARAMETERS ─────────────────────────────────────────────────────────
+
+// Integer query parameter; undefined when absent, ApiError(400) when malformed
+export function intParam(query, name, { min = -Infinity, max = Infinity } = {}) {
+  const value = query[name];
+  if (value == null || value === '') return undefined;
+  if (!/^-?\d+$/.test(String(value))) {
+    throw new ApiError(400, name + ' must be an integer, got ' + JSON.stringify(value));
+  }
+  const n = parseInt(value, 10);
+  if (n < min || n > max) {
+    throw new ApiError(400, name + ' must be between ' + min + ' and ' + max + ', got ' + n);
+  }
+  return n;
+}
+
+export function stringParam(query, name, allowed = null) {
+  const value = query[name];
+  if (value == null || value === '') return undefined;
+  const s = String(value);
+  if (allowed && !allowed.includes(s)) {
+    throw new ApiError(400, name + ' must be one of ' + allowed.join(', ') + ', got ' + JSON.stringify(s));
+  }
+  return s;
+}
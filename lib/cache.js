@@ -0,0 +1,102 @@
+// On-disk response cache for the data sources in sources.js.
+//
+// Entries are content-addressed by the request URL (sha256) and filed under
+// the season they describe:
+//   <dir>/<season>/<hash>.body        the response, already checked by checkBody
+//   <dir>/<season>/<hash>.meta.json   { url, key, season, format, fetchedAt }
+//
+// A completed season's leaderboards don't change, so entries fetched after it
+// ended never expire; anything fetched while the season was in progress is
+// refetched after a few hours, even once the season is over.
+//
+// Modes:
+//   normal   serve fresh entries, fetch and store the rest
+//   refresh  always fetch, overwrite the entry
+//   offline  cache only - a miss fails instead of touching the network
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { FetchError } from './http.js';
+
+export const CACHE_MODES = ['normal', 'refresh', 'offline'];
+
+export const CACHE_TTL = {
+  completedSeason: Infinity,
+  currentSeason: 6 * 60 * 60 * 1000,     // 6h - nightly stat corrections land within that
+  undated: 60 * 60 * 1000,               // statsapi lookups etc. without a season
+};
+
+// fetch-data-updated.js keeps its cache in the repo; serverless functions only
+// get a writable tmpdir
+export const DEFAULT_CACHE_DIR = '.cache/sources';
+export const TMP_CACHE_DIR = path.join(os.tmpdir(), 'mlb-breakout-cache');
+
+// The regular season is over by November; until then the current year is live
+export function isCompletedSeason(season, now = new Date()) {
+  if (season < now.getFullYear()) return true;
+  return season === now.getFullYear() && now.getMonth() >= 10;
+}
+
+// TTL of an entry fetched at fetchedAt - it's the season's state when the
+// response was taken that matters, not the state now
+export function defaultTtl(request, fetchedAt = new Date()) {
+  if (request.season == null) return CACHE_TTL.undated;
+  return isCompletedSeason(request.season, fetchedAt) ? CACHE_TTL.completedSeason : CACHE_TTL.currentSeason;
+}
+
+function entryPaths(dir, request) {
+  const hash = crypto.createHash('sha256').update(request.url).digest('hex').slice(0, 32);
+  const folder = path.join(dir, request.season != null ? String(request.season) : 'undated');
+  return { folder, body: path.join(folder, hash + '.body'), meta: path.join(folder, hash + '.meta.json') };
+}
+
+function readEntry(paths) {
+  if (!fs.existsSync(paths.body) || !fs.existsSync(paths.meta)) return null;
+  try {
+    const meta = JSON.parse(fs.readFileSync(paths.meta, 'utf8'));
+    return { meta, body: fs.readFileSync(paths.body, 'utf8') };
+  } catch (err) {
+    return null; // half-written entry - treat as a miss
+  }
+}
+
+// Wraps a source; results from the cache come back as { body, attempts: 0, cached: true }.
+// options: { dir, mode, ttl(request, fetchedAt) }
+export function withCache(source, { dir = DEFAULT_CACHE_DIR, mode = 'normal', ttl = defaultTtl } = {}) {
+  if (!CACHE_MODES.includes(mode)) {
+    throw new Error('unknown cache mode ' + mode + ' - expected one of ' + CACHE_MODES.join(', '));
+  }
+  return {
+    name: source.name + (mode === 'normal' ? '+cache' : '+cache(' + mode + ')'),
+    fetchText: async (request) => {
+      const paths = entryPaths(dir, request);
+
+      if (mode !== 'refresh') {
+        const entry = readEntry(paths);
+        const fetchedAt = entry ? new Date(entry.meta.fetchedAt) : null;
+        const age = entry ? Date.now() - fetchedAt.getTime() : Infinity;
+        if (entry && (mode === 'offline' || age <= ttl(request, fetchedAt))) {
+          return { body: entry.body, attempts: 0, cached: true };
+        }
+        if (mode === 'offline') {
+          throw new FetchError('not cached (offline) ' + request.url, { url: request.url, retryable: false });
+        }
+      }
+
+      const result = await source.fetchText(request);
+      fs.mkdirSync(paths.folder, { recursive: true });
+      // Body first, meta last: an entry only counts once its meta exists
+      fs.writeFileSync(paths.body, result.body);
+      fs.writeFileSync(paths.meta, JSON.stringify({
+        url: request.url,
+        key: request.key,
+        season: request.season ?? null,
+        format: request.format,
+        fetchedAt: new Date().toISOString()
+      }, null, 2));
+      return result;
+    }
+  };
+}
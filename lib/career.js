@@ -0,0 +1,64 @@
+// Career baseline and MLB service time, built the same way by
+// fetch-data-updated.js and the API's live build (lib/live-season.js) so the
+// CAREER_CONTEXT, SOPHOMORE_SLUMP and YEARS_OF_SERVICE adjustments see the
+// same inputs on either path.
+//
+// The baseline is PA-weighted wOBA/xwOBA over the seasons before the data year
+// only, so a career year can't drag its own baseline up and hide from
+// CAREER_CONTEXT. Input is Savant's expected_statistics leaderboard with min=1
+// (partial seasons count).
+
+// Prior seasons pulled for the career baseline (season before the data year and back)
+export const CAREER_SEASONS = 4;
+
+export function getCareerYears(dataYear) {
+  const years = [];
+  for (let i = 1; i <= CAREER_SEASONS; i++) years.push(dataYear - i);
+  return years;
+}
+
+// parsedByYear: { [season]: parsed expected_statistics CSV } - a missing
+// season is skipped. Returns playerId -> { pa, wobaSum, xwobaPa, xwobaSum, seasons }
+export function buildCareerMap(parsedByYear) {
+  const careerMap = new Map();
+  Object.entries(parsedByYear).forEach(([year, parsed]) => {
+    if (!parsed) return;
+    for (const row of parsed.data) {
+      const playerId = String(row.player_id);
+      const pa = parseInt(row.pa) || 0;
+      const woba = parseFloat(row.woba);
+      const xwoba = parseFloat(row.est_woba);
+      if (!row.player_id || pa <= 0 || isNaN(woba)) continue;
+
+      const career = careerMap.get(playerId) || { pa: 0, wobaSum: 0, xwobaPa: 0, xwobaSum: 0, seasons: [] };
+      career.pa += pa;
+      career.wobaSum += woba * pa;
+      if (!isNaN(xwoba)) {
+        career.xwobaPa += pa;
+        career.xwobaSum += xwoba * pa;
+      }
+      career.seasons.push(Number(year));
+      careerMap.set(playerId, career);
+    }
+  });
+  return careerMap;
+}
+
+// The players-file fields for one career map entry; a player with no prior
+// seasons (career undefined) gets null baselines
+export function getCareerFields(career) {
+  return {
+    careerWoba: career ? career.wobaSum / career.pa : null,
+    careerXwoba: career && career.xwobaPa > 0 ? career.xwobaSum / career.xwobaPa : null,
+    careerPa: career ? career.pa : 0,
+  };
+}
+
+// Seasons in MLB including the data year: debut year when statsapi has it,
+// otherwise seasons with Savant PA inside the career window
+export function getYearsInMLB(dataYear, career, mlbDebutDate) {
+  const debutYear = mlbDebutDate ? parseInt(mlbDebutDate.slice(0, 4)) : null;
+  return debutYear && debutYear <= dataYear
+    ? dataYear - debutYear + 1
+    : (career ? career.seasons.length : 0) + 1;
+}
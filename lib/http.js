@@ -0,0 +1,147 @@
+// Shared fetch layer for fetch-data-updated.js and the API functions:
+// per-request timeouts, exponential-backoff retries, bounded parallelism and
+// a check that a 200 body is actually data. ScraperAPI and Savant both answer
+// some failures with a 200 and an HTML page, which Papa happily parses as a
+// one-column CSV - checkBody turns that into an error instead.
+
+export const DEFAULT_FETCH_OPTIONS = {
+  timeoutMs: 30000,
+  retries: 3,          // attempts after the first
+  backoffMs: 1000,     // 1s, 2s, 4s ... plus jitter
+};
+
+export class FetchError extends Error {
+  constructor(message, { url, status = null, retryable = true } = {}) {
+    super(message);
+    this.name = 'FetchError';
+    this.url = url;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Throws FetchError unless body looks like the format asked for
+export function checkBody(body, format, url) {
+  const head = (body || '').slice(0, 500).trim();
+  if (head === '') {
+    throw new FetchError('empty body', { url });
+  }
+  if (/^<(!doctype|html|head|body)/i.test(head)) {
+    throw new FetchError('HTML page instead of ' + format + ' (' + head.slice(0, 80).replace(/\s+/g, ' ') + ')', { url });
+  }
+  if (format === 'json') {
+    try {
+      JSON.parse(body);
+    } catch (err) {
+      throw new FetchError('invalid JSON: ' + err.message, { url });
+    }
+  }
+  if (format === 'csv') {
+    const header = head.split('\n')[0];
+    if (!header.includes(',')) {
+      throw new FetchError('not a CSV (first line: ' + header.slice(0, 80) + ')', { url });
+    }
+  }
+  return body;
+}
+
+async function fetchOnce(url, format, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    const body = await response.text();
+    if (!response.ok) {
+      // 4xx other than 429 won't get better on retry
+      const retryable = response.status === 429 || response.status >= 500;
+      throw new FetchError('HTTP ' + response.status, { url, status: response.status, retryable });
+    }
+    return checkBody(body, format, url);
+  } catch (err) {
+    if (err.name === 'AbortError') throw new FetchError('timed out after ' + timeoutMs + 'ms', { url });
+    if (err instanceof FetchError) throw err;
+    throw new FetchError(err.message, { url });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Resolves to { body, attempts }; the thrown FetchError carries .attempts too
+export async function fetchText(url, { format = 'csv', ...options } = {}) {
+  const { timeoutMs, retries, backoffMs } = { ...DEFAULT_FETCH_OPTIONS, ...options };
+  let attempts = 0;
+  for (;;) {
+    attempts++;
+    try {
+      const body = await fetchOnce(url, format, timeoutMs);
+      return { body, attempts };
+    } catch (err) {
+      err.attempts = attempts;
+      if (!err.retryable || attempts > retries) throw err;
+      await sleep(backoffMs * 2 ** (attempts - 1) * (1 + Math.random() * 0.25));
+    }
+  }
+}
+
+// Run fn over items with at most `limit` in flight; results keep input order
+export async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// ─── STATUS REPORT ────────────────────────────────────────────────────────────
+// One entry per request: { key, url, status: 'ok' | 'failed', required,
+// cached, attempts, bytes, ms, error }. Sources fill it in through fetchAll below.
+
+// requests: [{ key, url, format, required, provides }]
+// Resolves to { bodies: { key: body | null }, report: [...] }. Failed requests
+// never throw here - callers decide what a missing body means.
+export async function fetchAll(source, requests, { concurrency = 4 } = {}) {
+  const report = [];
+  const bodies = {};
+  await mapLimit(requests, concurrency, async (request) => {
+    const started = Date.now();
+    try {
+      const { body, attempts, cached = false } = await source.fetchText(request);
+      bodies[request.key] = body;
+      report.push({ key: request.key, url: request.url, status: 'ok', required: !!request.required, cached, attempts, bytes: body.length, ms: Date.now() - started, error: null });
+    } catch (err) {
+      bodies[request.key] = null;
+      report.push({
+        key: request.key,
+        url: request.url,
+        status: 'failed',
+        required: !!request.required,
+        cached: false,
+        attempts: err.attempts || 1,
+        bytes: 0,
+        ms: Date.now() - started,
+        error: err.message,
+        provides: request.provides || null
+      });
+    }
+  });
+  const order = new Map(requests.map((r, i) => [r.key, i]));
+  report.sort((a, b) => order.get(a.key) - order.get(b.key));
+  return { bodies, report };
+}
+
+export function formatReport(report) {
+  return report.map(r => {
+    const tries = r.cached ? '  cached' : String(r.attempts).padStart(2) + ' tries';
+    const line = (r.status === 'ok' ? '  ok     ' : r.required ? '  FAILED ' : '  missing') + ' ' +
+      r.key.padEnd(32) + tries + ' ' + String(r.ms).padStart(6) + 'ms';
+    if (r.status === 'ok') return line + String(r.bytes).padStart(10) + ' bytes';
+    return line + '  ' + r.error + (r.provides ? ' -> ' + r.provides + ' left empty' : '');
+  }).join('\n');
+}
@@ -0,0 +1,150 @@
+// Year-to-date batting lines from raw Statcast pitches, for the app's in-season
+// mode. The input is what statcast_talent.py keeps in mlb_talent_data/ (one
+// statcast_YYYY-MM.csv.gz per month) or any single statcast_search CSV export.
+// build-in-season.js writes the result to public/data/in-season-YYYY.json;
+// src/model/inseason.js blends it with the prior season.
+//
+// The store only keeps the columns statcast_talent.py needs, so there is no
+// zone or swing data (chase rate) and no expected stats (xwOBA) - those
+// signals stay on last season's values.
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import Papa from 'papaparse';
+import { validateCsv } from './schemas.js';
+
+export const STATCAST_STORE_DIR = 'mlb_talent_data';
+
+// Events that end a plate appearance (the same list as statcast_talent.py)
+const PA_EVENTS = new Set([
+  'single', 'double', 'triple', 'home_run', 'field_out',
+  'strikeout', 'strikeout_double_play', 'walk', 'intent_walk',
+  'hit_by_pitch', 'force_out', 'grounded_into_double_play',
+  'double_play', 'triple_play', 'sac_fly', 'sac_bunt',
+  'sac_fly_double_play', 'field_error', 'fielders_choice',
+  'fielders_choice_out', 'catcher_interf', 'truncated_pa'
+]);
+
+// FanGraphs wOBA weights (2024 season constants)
+const WOBA_WEIGHTS = {
+  walk: 0.696, hit_by_pitch: 0.726, single: 0.883, double: 1.244, triple: 1.569, home_run: 2.004
+};
+// PA that don't count toward the wOBA denominator
+const WOBA_EXCLUDED = new Set(['intent_walk', 'sac_bunt', 'catcher_interf', 'truncated_pa']);
+
+// Savant's hard-hit and pull definitions
+const HARD_HIT_MPH = 95;
+const BARREL = 6; // launch_speed_angle code
+const PULL_DEGREES = 15;
+
+// statcast_YYYY-MM.csv.gz files for one season in a store directory, in month order
+export function listStatcastFiles(dir, year) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.startsWith('statcast_' + year + '-') && /\.csv(\.gz)?$/.test(f))
+    .sort()
+    .map(f => path.join(dir, f));
+}
+
+export function readStatcastFile(file) {
+  const buffer = fs.readFileSync(file);
+  const text = file.endsWith('.gz') ? zlib.gunzipSync(buffer).toString('utf8') : buffer.toString('utf8');
+  return Papa.parse(text, { header: true, skipEmptyLines: true, dynamicTyping: true });
+}
+
+// Spray angle in degrees from Savant's hit coordinates: 0 is straight away
+// center, negative is the left-field side
+function sprayAngle(row) {
+  return Math.atan2(row.hc_x - 125.42, 198.27 - row.hc_y) * 180 / Math.PI;
+}
+
+function emptyLine(row) {
+  return {
+    playerId: row.batter, name: row.player_name, pa: 0, wobaPa: 0, wobaValue: 0,
+    strikeouts: 0, walks: 0, hr: 0, bbe: 0, hardHit: 0, barrels: 0,
+    angleSum: 0, angles: 0, pulled: 0, sprayed: 0
+  };
+}
+
+function addPitch(line, row) {
+  if (PA_EVENTS.has(row.events)) {
+    line.pa++;
+    if (!WOBA_EXCLUDED.has(row.events)) {
+      line.wobaPa++;
+      line.wobaValue += WOBA_WEIGHTS[row.events] || 0;
+    }
+    if (row.events === 'strikeout' || row.events === 'strikeout_double_play') line.strikeouts++;
+    if (row.events === 'walk' || row.events === 'intent_walk') line.walks++;
+    if (row.events === 'home_run') line.hr++;
+  }
+  if (row.type !== 'X' || typeof row.launch_speed !== 'number') return;
+  line.bbe++;
+  if (row.launch_speed >= HARD_HIT_MPH) line.hardHit++;
+  if (row.launch_speed_angle === BARREL) line.barrels++;
+  if (typeof row.launch_angle === 'number') {
+    line.angleSum += row.launch_angle;
+    line.angles++;
+  }
+  if (typeof row.hc_x === 'number' && typeof row.hc_y === 'number') {
+    const angle = sprayAngle(row);
+    line.sprayed++;
+    if (row.stand === 'L' ? angle > PULL_DEGREES : angle < -PULL_DEGREES) line.pulled++;
+  }
+}
+
+const rate = (n, d) => (d > 0 ? Math.round((n / d) * 10000) / 10000 : null);
+
+// The per-batter fields in-season-YYYY.json stores, rates 0-1 like the players files
+function finishLine(line) {
+  return {
+    playerId: line.playerId,
+    name: line.name,
+    pa: line.pa,
+    bbe: line.bbe,
+    hr: line.hr,
+    woba: rate(line.wobaValue, line.wobaPa),
+    kRate: rate(line.strikeouts, line.pa),
+    bbRate: rate(line.walks, line.pa),
+    hardHitRate: rate(line.hardHit, line.bbe),
+    barrelRate: rate(line.barrels, line.bbe),
+    pullRate: rate(line.pulled, line.sprayed),
+    launchAngle: line.angles > 0 ? Math.round((line.angleSum / line.angles) * 10) / 10 : null
+  };
+}
+
+// files: pitch-level CSVs (see listStatcastFiles). Returns
+// { lines, from, through, validations } - lines for every batter with a PA,
+// most PA first; from / through are the first and last game dates seen. A pitch that appears twice (the
+// same game_pk / at_bat_number / pitch_number) is only counted once.
+export function buildInSeasonLines(files) {
+  const byBatter = new Map();
+  const seen = new Set();
+  const validations = [];
+  let from = null;
+  let through = null;
+
+  files.forEach(file => {
+    const parsed = readStatcastFile(file);
+    const validation = validateCsv(path.basename(file), 'statcastPitches', parsed);
+    validations.push(validation);
+    if (!validation.ok) return;
+
+    parsed.data.forEach(row => {
+      if (row.batter == null) return;
+      const pitch = row.game_pk + '-' + row.at_bat_number + '-' + row.pitch_number;
+      if (seen.has(pitch)) return;
+      seen.add(pitch);
+      if (!byBatter.has(row.batter)) byBatter.set(row.batter, emptyLine(row));
+      addPitch(byBatter.get(row.batter), row);
+      if (!from || row.game_date < from) from = row.game_date;
+      if (!through || row.game_date > through) through = row.game_date;
+    });
+  });
+
+  const lines = [...byBatter.values()]
+    .filter(line => line.pa > 0)
+    .map(finishLine)
+    .sort((a, b) => b.pa - a.pa);
+  return { lines, from, through, validations };
+}
@@ -0,0 +1,322 @@
+// Builds one prediction season straight from Baseball Savant, for years that
+// have no generated players-YYYY.json. The read API (lib/rankings.js) only
+// gets here when public/data has nothing for the requested year. Everything
+// goes through the /tmp response cache, so a warm instance fetches a
+// completed season's leaderboards once.
+//
+// Lighter than fetch-data-updated.js: no fielding splits or season lines - too
+// many round-trips for vercel.json's maxDuration. The career baseline and
+// yearsInMLB are built the same way (lib/career.js), from the same leaderboards
+// plus statsapi's debut dates.
+
+import Papa from 'papaparse';
+import { createScraperApiSource } from './sources.js';
+import { fetchAll, formatReport } from './http.js';
+import { withCache, TMP_CACHE_DIR } from './cache.js';
+import { validateCsv, formatValidation } from './schemas.js';
+import { ApiError } from './api.js';
+import { getCareerYears, buildCareerMap, getCareerFields, getYearsInMLB } from './career.js';
+
+const API_FETCH_OPTIONS = { timeoutMs: 4000, retries: 1, backoffMs: 200 };
+
+// Resolves to { players, dataYears, sources, validation } - players unscored.
+// Throws ApiError(502) when the required expected-stats leaderboard is missing.
+export async function buildLiveSeason(targetYear, scraperApiKey) {
+  // Use previous year's data for predictions (2025 data predicts 2026, etc.)
+  const currentDataYear = targetYear - 1;
+  const prevDataYear = targetYear - 2;
+  
+  console.log(`[API] Request for ${targetYear} predictions - fetching ${currentDataYear} and ${prevDataYear} Baseball Savant data`);
+  
+  // Fetch CURRENT year expected stats (base-season xwOBA, wOBA)
+  const expectedStatsUrlCurrent = `https://baseballsavant.mlb.com/leaderboard/expected_statistics?type=batter&year=${currentDataYear}&position=&team=&min=100&csv=true`;
+  
+  // Fetch PREVIOUS year expected stats (prior-season xwOBA, wOBA to calculate trajectory).
+  // min=1 because it's also the first career-baseline season; trajectory still uses 100+ PA
+  const expectedStatsUrlPrev = `https://baseballsavant.mlb.com/leaderboard/expected_statistics?type=batter&year=${prevDataYear}&position=&team=&min=1&csv=true`;
+  
+  // The rest of the career window, and debut dates for yearsInMLB
+  const careerYears = getCareerYears(currentDataYear).filter(year => year !== prevDataYear);
+  const statsapiPlayersUrl = `https://statsapi.mlb.com/api/v1/sports/1/players?season=${currentDataYear}`;
+  
+  // Fetch current year statcast sources
+  const statcastUrl1 = `https://baseballsavant.mlb.com/leaderboard/custom?year=${currentDataYear}&type=batter&min=1&selections=player_id,age,k_percent,hard_hit_percent,barrel_batted_rate,pull_percent&csv=true`;
+  const statcastUrl2 = `https://baseballsavant.mlb.com/leaderboard/statcast?type=batter&year=${currentDataYear}&min=1&csv=true`; // launch angle
+  const statcastUrl3 = `https://baseballsavant.mlb.com/leaderboard/bat-tracking?year=${currentDataYear}&min=1&csv=true`; // bat speed
+  const statcastUrl4 = `https://baseballsavant.mlb.com/leaderboard/custom?year=${currentDataYear}&type=batter&min=1&selections=player_id,oz_swing_percent&csv=true`; // chase rate
+  
+  // Also fetch PREVIOUS year launch angle for delta calculation
+  const statcastUrl2Prev = `https://baseballsavant.mlb.com/leaderboard/statcast?type=batter&year=${prevDataYear}&min=1&csv=true`;
+  
+  // All eleven in parallel through the shared fetch layer. Timeouts and a single
+  // retry are sized so the worst case stays inside vercel.json's 10s maxDuration.
+  // Warm instances share /tmp, so completed-season leaderboards are fetched once
+  const source = withCache(createScraperApiSource(scraperApiKey, API_FETCH_OPTIONS), {
+    dir: process.env.BREAKOUT_CACHE_DIR || TMP_CACHE_DIR,
+  });
+  const requests = [
+    { key: 'expectedCurrent', schema: 'expected', season: currentDataYear, url: expectedStatsUrlCurrent, format: 'csv', required: true },
+    { key: 'expectedPrev', schema: 'expected', season: prevDataYear, url: expectedStatsUrlPrev, format: 'csv', provides: 'xwobaTrajectory/career baseline' },
+    ...careerYears.map(year => ({ key: 'expectedCareer' + year, schema: 'expected', season: year, url: `https://baseballsavant.mlb.com/leaderboard/expected_statistics?type=batter&year=${year}&position=&team=&min=1&csv=true`, format: 'csv', provides: 'career baseline' })),
+    { key: 'statsapiPlayers', season: currentDataYear, url: statsapiPlayersUrl, format: 'json', provides: 'yearsInMLB' },
+    { key: 'statcast1', schema: 'contact', season: currentDataYear, url: statcastUrl1, format: 'csv', provides: 'kRate/hardHitRate/barrelRate/pullRate' },
+    { key: 'statcast2', schema: 'statcast', season: currentDataYear, url: statcastUrl2, format: 'csv', provides: 'launchAngle' },
+    { key: 'statcast3', schema: 'batTracking', season: currentDataYear, url: statcastUrl3, format: 'csv', provides: 'batSpeed' },
+    { key: 'statcast4', schema: 'chase', season: currentDataYear, url: statcastUrl4, format: 'csv', provides: 'chaseRate' },
+    { key: 'statcast2Prev', schema: 'statcast', season: prevDataYear, url: statcastUrl2Prev, format: 'csv', provides: 'launchAngleDelta' },
+  ];
+  const { bodies, report } = await fetchAll(source, requests, { concurrency: requests.length });
+  console.log(`[API] Source status:\n${formatReport(report)}`);
+  
+  // Column drift: a drifted optional source is dropped (its fields stay null and
+  // the report says so); a drifted required one fails the request like an outage
+  const validation = requests
+    .filter(r => r.schema && bodies[r.key] != null)
+    .map(r => validateCsv(r.key, r.schema, Papa.parse(bodies[r.key], { header: true, skipEmptyLines: true, dynamicTyping: true })));
+  validation.filter(v => !v.ok).forEach(v => {
+    console.warn(`[API] Schema drift:\n${formatValidation([v])}`);
+    bodies[v.key] = null;
+  });
+  
+  if (requests.some(r => r.required && bodies[r.key] == null)) {
+    throw new ApiError(502, 'Baseball Savant expected stats unavailable', { sources: report, validation });
+  }
+  
+  const expectedCurrentCsv = bodies.expectedCurrent;
+  const expectedPrevCsv = bodies.expectedPrev || '';
+  const statcast1Csv = bodies.statcast1;
+  const statcast2Csv = bodies.statcast2;
+  const statcast3Csv = bodies.statcast3;
+  const statcast4Csv = bodies.statcast4;
+  const statcast2PrevCsv = bodies.statcast2Prev;
+  
+  // Parse current year expected stats
+  const expectedCurrentParsed = Papa.parse(expectedCurrentCsv, {
+    header: true,
+    skipEmptyLines: true,
+    dynamicTyping: true
+  });
+  
+  console.log(`[API] Parsed ${expectedCurrentParsed.data.length} players from current year expected stats`);
+  
+  // Parse previous year expected stats
+  const expectedPrevParsed = Papa.parse(expectedPrevCsv, {
+    header: true,
+    skipEmptyLines: true,
+    dynamicTyping: true
+  });
+  
+  console.log(`[API] Parsed ${expectedPrevParsed.data.length} players from previous year expected stats`);
+  
+  // Build previous year map for trajectory calculation
+  const prevYearMap = new Map();
+  for (const row of expectedPrevParsed.data) {
+    const playerId = String(row.player_id);
+    if (playerId && row.est_woba && (parseInt(row.pa) || 0) >= 100) {
+      prevYearMap.set(playerId, {
+        xwoba: parseFloat(row.est_woba),
+        woba: parseFloat(row.woba)
+      });
+    }
+  }
+  
+  console.log(`[API] Built previous year map with ${prevYearMap.size} players`);
+  
+  // Career baseline over the prior seasons, as fetch-data-updated.js builds it
+  const parseCsv = (csv) => (csv ? Papa.parse(csv, { header: true, skipEmptyLines: true, dynamicTyping: true }) : null);
+  const careerMap = buildCareerMap({
+    [prevDataYear]: expectedPrevParsed,
+    ...Object.fromEntries(careerYears.map(year => [year, parseCsv(bodies['expectedCareer' + year])])),
+  });
+  
+  // Debut dates; a missing statsapi response falls back to seasons in the career window
+  const debutDates = new Map();
+  try {
+    (JSON.parse(bodies.statsapiPlayers || '{}').people || []).forEach(person => {
+      if (person.id && person.mlbDebutDate) debutDates.set(String(person.id), person.mlbDebutDate);
+    });
+  } catch (err) {
+    console.warn(`[API] Unreadable statsapi players response - yearsInMLB from Savant seasons only`);
+  }
+  
+  console.log(`[API] Built career baselines for ${careerMap.size} players, ${debutDates.size} debut dates`);
+  
+  // Parse current year statcast sources and merge into single map
+  let statcastMap = new Map();
+  
+  if (statcast1Csv) {
+    const statcast1Parsed = Papa.parse(statcast1Csv, {
+      header: true,
+      skipEmptyLines: true,
+      dynamicTyping: true
+    });
+    
+    statcast1Parsed.data.forEach(row => {
+      if (row.player_id) {
+        statcastMap.set(String(row.player_id), row);
+      }
+    });
+    
+    console.log(`[API] Loaded ${statcastMap.size} players from statcast1`);
+  }
+  
+  // Merge statcast2 (launch angle)
+  if (statcast2Csv) {
+    const statcast2Parsed = Papa.parse(statcast2Csv, {
+      header: true,
+      skipEmptyLines: true,
+      dynamicTyping: true
+    });
+    
+    statcast2Parsed.data.forEach(row => {
+      const playerId = String(row.player_id);
+      if (playerId) {
+        const existing = statcastMap.get(playerId) || {};
+        statcastMap.set(playerId, {
+          ...existing,
+          launch_angle: row.launch_angle,
+          avg_hit_angle: row.avg_hit_angle
+        });
+      }
+    });
+    
+    console.log(`[API] Merged launch angle data`);
+  }
+  
+  // Build previous year launch angle map
+  const prevLaunchAngleMap = new Map();
+  if (statcast2PrevCsv) {
+    const statcast2PrevParsed = Papa.parse(statcast2PrevCsv, {
+      header: true,
+      skipEmptyLines: true,
+      dynamicTyping: true
+    });
+    
+    statcast2PrevParsed.data.forEach(row => {
+      const playerId = String(row.player_id);
+      if (playerId) {
+        prevLaunchAngleMap.set(playerId, parseFloat(row.launch_angle) || parseFloat(row.avg_hit_angle));
+      }
+    });
+    
+    console.log(`[API] Built previous year launch angle map with ${prevLaunchAngleMap.size} players`);
+  }
+  
+  // Merge statcast3 (bat speed) - SPECIAL HANDLING: uses 'id' not 'player_id'
+  if (statcast3Csv) {
+    const statcast3Parsed = Papa.parse(statcast3Csv, {
+      header: true,
+      skipEmptyLines: true,
+      dynamicTyping: true
+    });
+    
+    statcast3Parsed.data.forEach(row => {
+      const playerId = String(row.id || row.player_id); // bat-tracking uses 'id'
+      if (playerId) {
+        const existing = statcastMap.get(playerId) || {};
+        statcastMap.set(playerId, {
+          ...existing,
+          avg_bat_speed: row.avg_bat_speed,
+          swing_speed: row.swing_speed
+        });
+      }
+    });
+    
+    console.log(`[API] Merged bat speed data`);
+  }
+  
+  // Merge statcast4 (chase rate)
+  if (statcast4Csv) {
+    const statcast4Parsed = Papa.parse(statcast4Csv, {
+      header: true,
+      skipEmptyLines: true,
+      dynamicTyping: true
+    });
+    
+    statcast4Parsed.data.forEach(row => {
+      const playerId = String(row.player_id);
+      if (playerId) {
+        const existing = statcastMap.get(playerId) || {};
+        statcastMap.set(playerId, {
+          ...existing,
+          oz_swing_percent: row.oz_swing_percent
+        });
+      }
+    });
+    
+    console.log(`[API] Merged chase rate data`);
+  }
+  
+  // Build players array
+  const players = [];
+  
+  for (const row of expectedCurrentParsed.data) {
+    const pa = parseInt(row.pa) || 0;
+    if (pa < 100) continue; // Only qualified players
+    
+    const currentWoba = parseFloat(row.woba);
+    const currentXwoba = parseFloat(row.est_woba);
+    
+    if (!currentWoba || !currentXwoba) continue;
+    
+    // Get player ID and previous year data
+    const playerId = String(row.player_id);
+    const prevYearData = prevYearMap.get(playerId);
+    const statcastData = statcastMap.get(playerId);
+    const prevLaunchAngle = prevLaunchAngleMap.get(playerId);
+    const career = careerMap.get(playerId);
+    
+    // Calculate xwoba surplus and trajectory
+    const xwobaSurplus = currentXwoba - currentWoba;
+    const xwobaTrajectory = prevYearData ? currentXwoba - prevYearData.xwoba : 0;
+    
+    // Calculate launch angle delta
+    const currentLaunchAngle = statcastData && (parseFloat(statcastData.launch_angle) || parseFloat(statcastData.avg_hit_angle));
+    const launchAngleDelta = (currentLaunchAngle != null && prevLaunchAngle != null) 
+      ? currentLaunchAngle - prevLaunchAngle 
+      : null;
+    
+    // Filter out pitchers
+    const pos = (row.pos || row.primary_position || 'OF').toUpperCase();
+    if (pos.includes('SP') || pos.includes('RP') || pos === 'P') {
+      continue;
+    }
+    
+    players.push({
+      playerId: Number(playerId), // MLBAM id - stable key across Savant, statsapi and the UI
+      name: row['last_name, first_name'] || `${row.first_name || ''} ${row.last_name || ''}`.trim(),
+      team: row.team_name_abbrev || row.team,
+      age: statcastData && parseInt(statcastData.age),
+      pa: pa,
+      position: row.pos || row.primary_position || 'OF',
+      // Per-season lines, same shape as players-YYYY.json
+      seasons: {
+        [currentDataYear]: { pa, woba: currentWoba, xwoba: currentXwoba, launchAngle: currentLaunchAngle ?? null },
+        [prevDataYear]: {
+          woba: prevYearData ? prevYearData.woba : null,
+          xwoba: prevYearData ? prevYearData.xwoba : null,
+          launchAngle: prevLaunchAngle ?? null,
+        },
+      },
+      // Calculated fields
+      currentWoba: currentWoba,
+      ...getCareerFields(career),
+      yearsInMLB: getYearsInMLB(currentDataYear, career, debutDates.get(playerId)),
+      xwobaSurplus: xwobaSurplus,
+      xwobaTrajectory: xwobaTrajectory,
+      // Statcast metrics
+      hardHitRate: statcastData && parseFloat(statcastData.hard_hit_percent) ? parseFloat(statcastData.hard_hit_percent) / 100 : null,
+      barrelRate: statcastData && parseFloat(statcastData.barrel_batted_rate) ? parseFloat(statcastData.barrel_batted_rate) / 100 : null,
+      kRate: statcastData && parseFloat(statcastData.k_percent) ? parseFloat(statcastData.k_percent) / 100 : null,
+      chaseRate: statcastData && parseFloat(statcastData.oz_swing_percent) ? parseFloat(statcastData.oz_swing_percent) / 100 : null,
+      pullRate: statcastData && parseFloat(statcastData.pull_percent) ? parseFloat(statcastData.pull_percent) / 100 : null,
+      // Launch angles
+      launchAngle: currentLaunchAngle,
+      launchAngleDelta: launchAngleDelta,
+      // Bat speed
+      batSpeed: statcastData && parseFloat(statcastData.avg_bat_speed),
+    });
+  }
+
+  return { players, dataYears: [currentDataYear, prevDataYear], sources: report, validation };
+}
@@ -0,0 +1,82 @@
+// Reading players-YYYY.json and keeping public/data/manifest.json in step with
+// them. The manifest is what the app builds its year switcher from (static
+// hosting can't list a directory), so anything that writes a players file
+// rewrites it. Source URLs only come from a fetch: a rebuild without one keeps
+// whatever the previous manifest recorded for that season.
+
+import fs from 'fs';
+import path from 'path';
+import { buildManifest, checkPlayersFile } from '../src/model/index.js';
+import { listSnapshots } from './snapshots.js';
+
+export const MANIFEST_FILE = 'manifest.json';
+
+// Seasons with a players-YYYY.json in dir, oldest first
+export function listPlayerSeasons(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map(f => f.match(/^players-(\d{4})\.json$/))
+    .filter(Boolean)
+    .map(m => parseInt(m[1]))
+    .sort((a, b) => a - b);
+}
+
+// Parsed players file; throws when it's missing or from an incompatible schema
+export function readPlayersFile(dir, year) {
+  const file = path.join(dir, 'players-' + year + '.json');
+  if (!fs.existsSync(file)) {
+    throw new Error(file + ' not found - run fetch-data-updated.js first');
+  }
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const problem = checkPlayersFile(data);
+  if (problem) throw new Error(file + ': ' + problem);
+  return data;
+}
+
+function readManifest(dir) {
+  const file = path.join(dir, MANIFEST_FILE);
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+// Every readable players file in dir: { seasons: [{ year, data }], skipped: [{ year, error }] }
+export function readPlayerSeasons(dir) {
+  const seasons = [];
+  const skipped = [];
+  listPlayerSeasons(dir).forEach(year => {
+    try {
+      seasons.push({ year, data: readPlayersFile(dir, year) });
+    } catch (err) {
+      skipped.push({ year, error: err.message });
+    }
+  });
+  return { seasons, skipped };
+}
+
+// sourcesByYear: { year: [{ key, url }] } from this run's fetch report.
+// Returns { manifest, skipped } - files the app couldn't read are left out of
+// the manifest rather than failing the whole write.
+export function writeManifest(dir, sourcesByYear = {}) {
+  const previous = readManifest(dir);
+  const previousSources = {};
+  ((previous && previous.seasons) || []).forEach(s => { previousSources[s.year] = s.sources; });
+
+  const { seasons, skipped } = readPlayerSeasons(dir);
+  const manifest = buildManifest(seasons.map(({ year, data }) => ({
+    file: 'players-' + year + '.json',
+    data,
+    sources: sourcesByYear[year] || previousSources[year] || null,
+    snapshots: listSnapshots(dir, year)
+  })), { schema: 'players.schema.json', reference: 'league-reference.json' });
+  fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+  return { manifest, skipped };
+}
+
+// The { key, url } list the manifest records from a fetchAll report
+export function reportSources(report) {
+  return report.filter(r => r.status === 'ok').map(r => ({ key: r.key, url: r.url }));
+}
@@ -0,0 +1,158 @@
+// The rankings the read API serves - built exactly the way src/App.jsx builds
+// them: ages as of June 30, the stored league reference, the default weights
+// and the probability model from backtest.json (when it was fitted with the
+// default weights). Consumers of the API therefore see the UI's numbers.
+//
+// Seasons come from the generated public/data files. A year with no file
+// falls back to a live Savant build (lib/live-season.js) when SCRAPER_API_KEY
+// is set; otherwise it's a 404.
+
+import fs from 'fs';
+import path from 'path';
+import {
+  withAges,
+  getSeasonAgeDate,
+  computeBreakoutScore,
+  getSeasonReference,
+  withProbabilities,
+  getTier,
+  getSignalBreakdown,
+  collectFlags,
+  projectPlayer,
+  classifyBreakout,
+  hasActuals,
+  playerKey,
+  getManifestSeasons,
+  getVerdicts,
+  checkInSeasonFile,
+  ADJUSTMENT_PIPELINE,
+} from '../src/model/index.js';
+import { listPlayerSeasons, readPlayersFile, MANIFEST_FILE } from './manifest.js';
+import { buildLiveSeason } from './live-season.js';
+import { ApiError } from './api.js';
+
+// vercel.json ships public/data with the functions (includeFiles)
+export const DATA_DIR = path.join(process.cwd(), 'public', 'data');
+
+function readJson(file) {
+  const full = path.join(DATA_DIR, file);
+  if (!fs.existsSync(full)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(full, 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+// Same rule as the app: the stored probability model only fits the default weights
+function loadProbabilityModel() {
+  const backtest = readJson('backtest.json');
+  return (backtest?.weights ?? 'default') === 'default' ? backtest?.probabilityModel || null : null;
+}
+
+function rank(players, year, reference) {
+  const scored = computeBreakoutScore(withAges(players, getSeasonAgeDate(year)), year, reference ? { reference } : {});
+  return withProbabilities(scored, loadProbabilityModel()).map((p, i) => ({ ...p, rank: i + 1 }));
+}
+
+// ─── SEASONS ──────────────────────────────────────────────────────────────────
+
+// [{ year, file, schemaVersion, dataYears, rows, lastUpdated }] oldest first
+export function listSeasons() {
+  const fromManifest = getManifestSeasons(readJson(MANIFEST_FILE));
+  if (fromManifest) return fromManifest.map(({ sources, ...season }) => season);
+  // No manifest (e.g. a local checkout that never ran build-manifest.js)
+  return listPlayerSeasons(DATA_DIR).map(year => {
+    const data = readPlayersFile(DATA_DIR, year);
+    return { year, file: 'players-' + year + '.json', schemaVersion: data.schemaVersion, dataYears: data.dataYears, rows: data.players.length, lastUpdated: data.lastUpdated || null };
+  });
+}
+
+export function latestSeason() {
+  const seasons = listSeasons();
+  return seasons.length > 0 ? seasons[seasons.length - 1].year : null;
+}
+
+// Ranked static seasons, rebuilt only when the file changes (warm instances
+// and `vercel dev` both reuse them)
+const staticCache = new Map();
+
+function loadStaticSeason(year) {
+  const file = path.join(DATA_DIR, 'players-' + year + '.json');
+  const mtime = fs.statSync(file).mtimeMs;
+  const cached = staticCache.get(year);
+  if (cached && cached.mtime === mtime) return cached.season;
+
+  let data;
+  try {
+    data = readPlayersFile(DATA_DIR, year);
+  } catch (err) {
+    throw new ApiError(500, err.message);
+  }
+  const reference = getSeasonReference(readJson('league-reference.json'), year);
+  // Verdicts track the YTD line while build-in-season.js has one for the year
+  const inSeason = readJson('in-season-' + year + '.json');
+  const season = {
+    year,
+    source: 'static',
+    schemaVersion: data.schemaVersion,
+    dataYears: data.dataYears,
+    lastUpdated: data.lastUpdated || null,
+    graded: hasActuals(data.players, year),
+    players: rank(data.players, year, reference),
+    verdicts: getVerdicts(data.players, year, { inSeason: inSeason && !checkInSeasonFile(inSeason) ? inSeason : null }),
+  };
+  staticCache.set(year, { mtime, season });
+  return season;
+}
+
+// Resolves to { year, source: 'static' | 'live', dataYears, lastUpdated, graded, players, verdicts }
+export async function loadSeason(year) {
+  if (fs.existsSync(path.join(DATA_DIR, 'players-' + year + '.json'))) {
+    return loadStaticSeason(year);
+  }
+  const apiKey = process.env.SCRAPER_API_KEY;
+  if (!apiKey) {
+    throw new ApiError(404, 'no data for ' + year, { seasons: listSeasons().map(s => s.year) });
+  }
+  const live = await buildLiveSeason(year, apiKey);
+  return {
+    year,
+    source: 'live',
+    dataYears: live.dataYears,
+    lastUpdated: new Date().toISOString(),
+    graded: false,
+    players: rank(live.players, year, null),
+    verdicts: getVerdicts(live.players, year),
+    sources: live.sources,
+    validation: live.validation,
+  };
+}
+
+// ─── PLAYER VIEWS ─────────────────────────────────────────────────────────────
+
+// One row of the ranked list: the player record plus rank/tier/probability,
+// without the scorer's working fields
+export function toRankedPlayer(p) {
+  const { _raw, _scores, _adjustments, ...player } = p;
+  return { key: playerKey(p), ...player, tier: getTier(p.breakoutScore).label };
+}
+
+// Everything the detail panel shows for one player
+export function toPlayerDetail(p, season) {
+  const { flags, positives } = collectFlags(p, season.year);
+  return {
+    ...toRankedPlayer(p),
+    breakdown: {
+      rawScore: p._adjustments.rawScore,
+      adjustedScore: p._adjustments.adjustedScore,
+      signals: getSignalBreakdown(p),
+      adjustments: ADJUSTMENT_PIPELINE.map(a => ({ key: a.key, label: a.label, signal: a.signal || null, multiplier: p._adjustments[a.key] })),
+    },
+    flags,
+    positives,
+    projection: projectPlayer(p, season.year),
+    outcome: season.graded ? classifyBreakout(p, season.year) : undefined,
+    verdict: season.verdicts.get(playerKey(p)),
+  };
+}
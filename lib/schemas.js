@@ -0,0 +1,192 @@
+// Declared shape of every CSV the fetchers ingest, and the checks run against
+// it. The merge code reads Savant columns by exact name, so a rename upstream
+// used to turn a signal into null for every player (and normalize then scored
+// it 50) without anything failing. validateCsv catches that before merging.
+//
+// Ranges are in the CSV's own units - Savant percentages are 0-100, the player
+// records fetch-data-updated.js writes are 0-1 (see PLAYER_RANGES). A value
+// outside its range is counted as a warning; a missing required column fails.
+
+const PERCENT = { type: 'number', range: [0, 100] };
+// wOBA on a handful of PA can legitimately run up to 2.0 (a lone home run)
+const WOBA = { type: 'number', range: [0, 2.1] };
+const PLAYER_ID = { type: 'number', required: true, range: [1, 9999999] };
+
+export const SOURCE_SCHEMAS = {
+  expected: {
+    description: 'leaderboard/expected_statistics',
+    columns: {
+      'player_id': PLAYER_ID,
+      'last_name, first_name': { type: 'string', required: true },
+      'pa': { type: 'number', required: true, range: [1, 800] },
+      'woba': { ...WOBA, required: true },
+      'est_woba': { ...WOBA, required: true },
+    }
+  },
+  seasonLines: {
+    description: 'leaderboard/custom (pa, home_run, r_total_stolen_base, on_base_plus_slg, woba)',
+    columns: {
+      'player_id': PLAYER_ID,
+      'pa': { type: 'number', required: true, range: [1, 800] },
+      'home_run': { type: 'number', required: true, range: [0, 80] },
+      'r_total_stolen_base': { type: 'number', required: true, range: [0, 120] },
+      'on_base_plus_slg': { type: 'number', required: true, range: [0, 5] },
+      'woba': { ...WOBA, required: true },
+    }
+  },
+  contact: {
+    description: 'leaderboard/custom (k_percent, hard_hit_percent, barrel_batted_rate, pull_percent)',
+    columns: {
+      'player_id': PLAYER_ID,
+      'age': { type: 'number', range: [16, 50] },
+      'k_percent': { ...PERCENT, required: true },
+      'hard_hit_percent': { ...PERCENT, required: true },
+      'barrel_batted_rate': { ...PERCENT, required: true },
+      'pull_percent': { ...PERCENT, required: true },
+    }
+  },
+  statcast: {
+    description: 'leaderboard/statcast',
+    columns: {
+      'player_id': PLAYER_ID,
+      'avg_hit_angle': { type: 'number', required: true, range: [-90, 90] },
+      'launch_angle': { type: 'number', range: [-90, 90] },
+    }
+  },
+  batTracking: {
+    description: 'leaderboard/bat-tracking',
+    columns: {
+      // bat-tracking is the one leaderboard that calls the MLBAM id "id"
+      'id': { ...PLAYER_ID, aliases: ['player_id'] },
+      'avg_bat_speed': { type: 'number', required: true, range: [55, 85] },
+    }
+  },
+  chase: {
+    description: 'leaderboard/custom (oz_swing_percent)',
+    columns: {
+      'player_id': PLAYER_ID,
+      'oz_swing_percent': { ...PERCENT, required: true },
+    }
+  },
+  // Pitch-level rows from statcast_search (the store statcast_talent.py keeps
+  // in mlb_talent_data/) - build-in-season.js aggregates them per batter
+  statcastPitches: {
+    description: 'statcast_search/csv (pitch-level)',
+    columns: {
+      'game_date': { type: 'string', required: true },
+      'game_pk': { type: 'number', required: true },
+      'at_bat_number': { type: 'number', required: true },
+      'pitch_number': { type: 'number', required: true },
+      'batter': PLAYER_ID,
+      'player_name': { type: 'string', required: true },
+      'stand': { type: 'string', required: true },
+      'events': { type: 'string', required: true },
+      'type': { type: 'string', required: true },
+      'launch_speed': { type: 'number', required: true, range: [0, 125] },
+      'launch_angle': { type: 'number', required: true, range: [-90, 90] },
+      'launch_speed_angle': { type: 'number', required: true, range: [1, 6] },
+      'hc_x': { type: 'number', range: [0, 260] },
+      'hc_y': { type: 'number', range: [0, 260] },
+    }
+  },
+};
+
+// Plausible ranges for the fields fetch-data-updated.js writes per player
+export const PLAYER_RANGES = {
+  currentWoba: [0.150, 0.600],
+  hardHitRate: [0, 1],
+  barrelRate: [0, 1],
+  kRate: [0, 1],
+  chaseRate: [0, 1],
+  pullRate: [0, 1],
+  batSpeed: [55, 85],
+  launchAngle: [-30, 50],
+};
+
+function editDistance(a, b) {
+  const dp = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      dp[i][j] = Math.min(dp[i - 1][j] + 1, dp[i][j - 1] + 1, dp[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+  }
+  return dp[a.length][b.length];
+}
+
+// Best guess at what a missing column was renamed to, from the unexpected ones
+function guessRename(missing, extras) {
+  let best = null;
+  extras.forEach((col) => {
+    const distance = editDistance(missing, col) / Math.max(missing.length, col.length);
+    if (distance <= 0.4 && (!best || distance < best.distance)) best = { column: col, distance };
+  });
+  return best ? best.column : null;
+}
+
+// parsed: Papa.parse result with header: true. Returns
+// { key, schema, rows, missing: [{ column, renamedTo }], extra, typeErrors: { column: n },
+//   outOfRange: { column: n }, ok }
+export function validateCsv(key, schemaName, parsed) {
+  const schema = SOURCE_SCHEMAS[schemaName];
+  if (!schema) throw new Error('unknown schema ' + schemaName);
+  const fields = (parsed.meta && parsed.meta.fields) || [];
+  const rows = parsed.data || [];
+
+  const resolved = {};
+  Object.entries(schema.columns).forEach(([name, spec]) => {
+    resolved[name] = [name, ...(spec.aliases || [])].find(c => fields.includes(c)) || null;
+  });
+  const known = new Set(Object.values(resolved).filter(Boolean));
+  const extra = fields.filter(f => !known.has(f));
+
+  const missing = Object.entries(schema.columns)
+    .filter(([name, spec]) => spec.required && !resolved[name])
+    .map(([name]) => ({ column: name, renamedTo: guessRename(name, extra) }));
+
+  const typeErrors = {};
+  const outOfRange = {};
+  Object.entries(schema.columns).forEach(([name, spec]) => {
+    const column = resolved[name];
+    if (!column) return;
+    rows.forEach((row) => {
+      const value = row[column];
+      if (value == null || value === '') return;
+      if (spec.type === 'number' && typeof value !== 'number') {
+        typeErrors[name] = (typeErrors[name] || 0) + 1;
+        return;
+      }
+      if (spec.range && (value < spec.range[0] || value > spec.range[1])) {
+        outOfRange[name] = (outOfRange[name] || 0) + 1;
+      }
+    });
+  });
+
+  return { key, schema: schemaName, rows: rows.length, missing, extra, typeErrors, outOfRange, ok: missing.length === 0 };
+}
+
+// { field: count } of built player records outside PLAYER_RANGES
+export function checkPlayerRanges(players) {
+  const counts = {};
+  players.forEach((p) => {
+    Object.entries(PLAYER_RANGES).forEach(([field, [min, max]]) => {
+      const v = p[field];
+      if (v != null && (v < min || v > max)) counts[field] = (counts[field] || 0) + 1;
+    });
+  });
+  return counts;
+}
+
+export function formatValidation(results) {
+  const lines = [];
+  results.forEach((r) => {
+    const status = r.ok ? '  ok     ' : '  DRIFT  ';
+    lines.push(status + ' ' + r.key.padEnd(32) + String(r.rows).padStart(5) + ' rows');
+    r.missing.forEach((m) => {
+      lines.push('      missing column ' + m.column + (m.renamedTo ? ' (renamed to ' + m.renamedTo + '?)' : ''));
+    });
+    Object.entries(r.typeErrors).forEach(([col, n]) => lines.push('      ' + n + ' non-numeric ' + col));
+    Object.entries(r.outOfRange).forEach(([col, n]) => lines.push('      ' + n + ' out-of-range ' + col));
+  });
+  return lines.join('\n');
+}
@@ -0,0 +1,49 @@
+// Dated copies of players-YYYY.json, so a refresh doesn't erase what the
+// rankings looked like before it. fetch-data-updated.js writes one per season
+// per run to snapshots/YYYY/YYYY-MM-DD.json (the date of the file's
+// lastUpdated - a second run on the same day replaces that day's snapshot).
+// The manifest lists them; the app's Movers tab and movers.js diff two.
+
+import fs from 'fs';
+import path from 'path';
+import { checkPlayersFile } from '../src/model/index.js';
+
+export const SNAPSHOT_DIR = 'snapshots';
+
+// snapshots/2026/2026-03-01.json, relative to the data dir (as the manifest lists it)
+export function snapshotFile(year, date) {
+  return SNAPSHOT_DIR + '/' + year + '/' + date + '.json';
+}
+
+// Writes data (a players file) as its season's snapshot; returns the relative path
+export function writeSnapshot(dir, data) {
+  const date = (data.lastUpdated || new Date().toISOString()).slice(0, 10);
+  const file = snapshotFile(data.year, date);
+  fs.mkdirSync(path.join(dir, SNAPSHOT_DIR, String(data.year)), { recursive: true });
+  // Compact - snapshots are read by programs, and there are many of them
+  fs.writeFileSync(path.join(dir, file), JSON.stringify(data));
+  return file;
+}
+
+// [{ date, file }] for one season, oldest first
+export function listSnapshots(dir, year) {
+  const seasonDir = path.join(dir, SNAPSHOT_DIR, String(year));
+  if (!fs.existsSync(seasonDir)) return [];
+  return fs.readdirSync(seasonDir)
+    .map(f => f.match(/^(\d{4}-\d{2}-\d{2})\.json$/))
+    .filter(Boolean)
+    .map(m => ({ date: m[1], file: snapshotFile(year, m[1]) }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Parsed snapshot; throws when it's missing or from an incompatible schema
+export function readSnapshot(dir, year, date) {
+  const file = path.join(dir, snapshotFile(year, date));
+  if (!fs.existsSync(file)) {
+    throw new Error(file + ' not found');
+  }
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const problem = checkPlayersFile(data);
+  if (problem) throw new Error(file + ': ' + problem);
+  return data;
+}
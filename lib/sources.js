@@ -0,0 +1,96 @@
+// Data-source adapters for fetch-data-updated.js.
+//
+// Every download goes through source.fetchText({ key, url, format }), which
+// resolves to { body, attempts } or throws a FetchError (see http.js):
+//   key     stable name for the request, e.g. 'expected-2025-min100'
+//   url     where the live adapters get it
+//   season  the season the response describes - drives the cache TTL
+//   format  'csv' | 'json' - checked by checkBody, and the file extension the
+//           local adapter looks for
+//
+// Adapters:
+//   scraperapi  Savant through ScraperAPI (needs SCRAPER_API_KEY); statsapi direct
+//   direct      plain fetch for everything - fine from a home connection
+//   local       <dir>/<key>.<format> saved by an earlier --record run, no network
+
+import fs from 'fs';
+import path from 'path';
+import { fetchText, checkBody, FetchError } from './http.js';
+import { withCache } from './cache.js';
+
+export const SOURCE_TYPES = ['scraperapi', 'direct', 'local'];
+
+// Savant refuses some datacenter IPs; statsapi doesn't, so it never needs the proxy
+const PROXIED_HOSTS = ['baseballsavant.mlb.com'];
+
+// ScraperAPI renders through its own retries and asks clients to allow ~60s
+const SCRAPERAPI_TIMEOUT_MS = 70000;
+
+export function createDirectSource(options = {}) {
+  return {
+    name: 'direct',
+    fetchText: ({ url, format }) => fetchText(url, { ...options, format })
+  };
+}
+
+export function createScraperApiSource(apiKey, options = {}) {
+  if (!apiKey || apiKey === 'YOUR_KEY_HERE') {
+    throw new Error('SCRAPER_API_KEY not set - use --source direct or --source local instead');
+  }
+  return {
+    name: 'scraperapi',
+    fetchText: ({ url, format }) => {
+      if (!PROXIED_HOSTS.includes(new URL(url).hostname)) {
+        return fetchText(url, { ...options, format });
+      }
+      const scraperUrl = 'http://api.scraperapi.com?api_key=' + apiKey + '&url=' + encodeURIComponent(url);
+      return fetchText(scraperUrl, { timeoutMs: SCRAPERAPI_TIMEOUT_MS, ...options, format });
+    }
+  };
+}
+
+export function createLocalSource(dir) {
+  if (!dir || !fs.existsSync(dir)) {
+    throw new Error('local source directory ' + dir + ' not found');
+  }
+  return {
+    name: 'local',
+    fetchText: async ({ key, format }) => {
+      const file = path.join(dir, key + '.' + format);
+      if (!fs.existsSync(file)) {
+        throw new FetchError('missing fixture ' + file, { url: file, retryable: false });
+      }
+      return { body: checkBody(fs.readFileSync(file, 'utf8'), format, file), attempts: 1 };
+    }
+  };
+}
+
+// Save every body a source returns as <dir>/<key>.<format>, i.e. exactly the
+// layout createLocalSource reads back
+export function withRecording(source, dir) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  return {
+    name: source.name + '+record',
+    fetchText: async (request) => {
+      const result = await source.fetchText(request);
+      fs.writeFileSync(path.join(dir, request.key + '.' + request.format), result.body);
+      return result;
+    }
+  };
+}
+
+// options: { type, dir, apiKey, record, fetch, cache }
+//   fetch  overrides DEFAULT_FETCH_OPTIONS
+//   cache  { dir, mode } for withCache (cache.js); ignored for the local source,
+//          which is already reading from disk
+export function createSource(options) {
+  let source;
+  if (options.type === 'scraperapi') source = createScraperApiSource(options.apiKey, options.fetch);
+  else if (options.type === 'direct') source = createDirectSource(options.fetch);
+  else if (options.type === 'local') source = createLocalSource(options.dir);
+  else throw new Error('unknown source ' + options.type + ' - expected one of ' + SOURCE_TYPES.join(', '));
+  if (options.cache && options.type !== 'local') source = withCache(source, options.cache);
+  return options.record ? withRecording(source, options.record) : source;
+}
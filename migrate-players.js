@@ -0,0 +1,53 @@
+// Upgrade players-YYYY.json files written by an older fetch-data-updated.js to
+// the current schemaVersion, in place, then rebuild manifest.json. Files that
+// are already current are left alone.
+//
+//   node migrate-players.js                 public/data
+//   node migrate-players.js --dir /tmp/data
+
+import fs from 'fs';
+import path from 'path';
+import { upgradePlayersFile, checkPlayersFile, PLAYERS_SCHEMA_VERSION } from './src/model/index.js';
+import { listPlayerSeasons, writeManifest } from './lib/manifest.js';
+
+function parseArgs(argv) {
+  const args = { dir: 'public/data' };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dir') args.dir = argv[++i];
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const years = listPlayerSeasons(args.dir);
+  if (years.length === 0) {
+    console.error('ERROR no players-YYYY.json files in ' + args.dir);
+    process.exit(1);
+  }
+
+  let failed = false;
+  years.forEach(year => {
+    const file = path.join(args.dir, 'players-' + year + '.json');
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (data.schemaVersion === PLAYERS_SCHEMA_VERSION) {
+      console.log(file + ': already ' + PLAYERS_SCHEMA_VERSION);
+      return;
+    }
+    const upgraded = upgradePlayersFile(data);
+    const problem = checkPlayersFile(upgraded);
+    if (problem) {
+      console.error('ERROR ' + file + ': ' + problem);
+      failed = true;
+      return;
+    }
+    fs.writeFileSync(file, JSON.stringify(upgraded, null, 2));
+    console.log(file + ': ' + data.schemaVersion + ' -> ' + upgraded.schemaVersion + ' (' + upgraded.players.length + ' players)');
+  });
+
+  writeManifest(args.dir);
+  if (failed) process.exit(1);
+  console.log('SUCCESS ' + args.dir + ' is at schemaVersion ' + PLAYERS_SCHEMA_VERSION);
+}
+
+main();
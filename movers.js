@@ -0,0 +1,82 @@
+// Diff two dated snapshots of a season (see lib/snapshots.js): biggest score
+// moves, new entrants and drop-outs, and the signals behind each move.
+//
+//   node movers.js                                     2026, the last two snapshots
+//   node movers.js --year 2025 --from 2025-03-01 --to 2025-03-20
+//   node movers.js --top 50
+//   node movers.js --json > movers.json
+
+import { rankSnapshot, diffRankings } from './src/model/index.js';
+import { listSnapshots, readSnapshot } from './lib/snapshots.js';
+
+const DATA_DIR = 'public/data';
+
+function parseArgs(argv) {
+  const args = { year: 2026, from: null, to: null, top: 25, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--year') args.year = parseInt(argv[++i]);
+    else if (argv[i] === '--from') args.from = argv[++i];
+    else if (argv[i] === '--to') args.to = argv[++i];
+    else if (argv[i] === '--top') args.top = parseInt(argv[++i]);
+    else if (argv[i] === '--json') args.json = true;
+  }
+  return args;
+}
+
+const signed = (n) => (n > 0 ? '+' : '') + n;
+
+function describeDriver(d) {
+  if (d.kind === 'adjustment') {
+    return d.label + ' x' + d.before.toFixed(2) + ' -> x' + d.after.toFixed(2);
+  }
+  return d.label + ' ' + signed(Math.round(d.impact * 10) / 10);
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const dates = listSnapshots(DATA_DIR, args.year).map(s => s.date);
+  const missing = [args.from, args.to].filter(date => date && !dates.includes(date));
+  if (missing.length > 0) {
+    console.error('ERROR no ' + args.year + ' snapshot for ' + missing.join(', ') +
+      ' - have ' + (dates.join(', ') || 'none'));
+    process.exit(1);
+  }
+  const to = args.to || dates[dates.length - 1];
+  const from = args.from || dates[dates.indexOf(to) - 1];
+  if (!from || !to) {
+    console.error('ERROR need two ' + args.year + ' snapshots to compare, found ' + dates.length +
+      ' in ' + DATA_DIR + '/snapshots/' + args.year);
+    process.exit(1);
+  }
+
+  let before, after;
+  try {
+    before = readSnapshot(DATA_DIR, args.year, from);
+    after = readSnapshot(DATA_DIR, args.year, to);
+  } catch (err) {
+    console.error('ERROR ' + err.message);
+    process.exit(1);
+  }
+
+  const diff = diffRankings(rankSnapshot(before.players, args.year), rankSnapshot(after.players, args.year));
+  if (args.json) {
+    console.log(JSON.stringify({ year: args.year, from, to, ...diff }, null, 2));
+    return;
+  }
+
+  console.log(args.year + ' movers, ' + from + ' -> ' + to);
+  diff.moved.filter(m => m.scoreDelta !== 0 || m.rankDelta !== 0).slice(0, args.top).forEach(m => {
+    console.log(
+      String(signed(m.scoreDelta)).padStart(4) + '  ' +
+      String(m.name).padEnd(26) +
+      ('#' + m.rankBefore + ' -> #' + m.rank).padEnd(14) +
+      m.scoreBefore + ' -> ' + m.score + '  ' +
+      [...m.drivers.filter(d => d.kind === 'signal').slice(0, 3), ...m.drivers.filter(d => d.kind === 'adjustment')]
+        .map(describeDriver).join(', ')
+    );
+  });
+  console.log('New (' + diff.entered.length + '): ' + diff.entered.map(p => p.name + ' #' + p.rank).join(', '));
+  console.log('Dropped out (' + diff.dropped.length + '): ' + diff.dropped.map(p => p.name + ' #' + p.rank).join(', '));
+}
+
+main();
@@ -0,0 +1,73 @@
+// Score a generated players-YYYY.json with the same model the app uses.
+//
+//   node score-players.js                  2026 rankings, top 25
+//   node score-players.js --year 2025 --top 50
+//   node score-players.js --json > ranked.json
+//   node score-players.js --weights public/data/weights/<version>.json
+
+import fs from 'fs';
+import { withAges, getSeasonAgeDate, computeBreakoutScore, withProbabilities, getTier, loadWeightsProfile } from './src/model/index.js';
+import { readPlayersFile } from './lib/manifest.js';
+
+function parseArgs(argv) {
+  const args = { year: 2026, top: 25, json: false, weights: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--year') args.year = parseInt(argv[++i]);
+    else if (argv[i] === '--top') args.top = parseInt(argv[++i]);
+    else if (argv[i] === '--json') args.json = true;
+    else if (argv[i] === '--weights') args.weights = argv[++i];
+  }
+  return args;
+}
+
+// Probabilities come from the isotonic fit backtest.js --write stores; it only
+// applies to the weights profile it was fitted with.
+function loadProbabilityModel(weightsVersion) {
+  const file = 'public/data/backtest.json';
+  if (!fs.existsSync(file)) return null;
+  const backtest = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if ((backtest.weights || 'default') !== weightsVersion) {
+    console.warn('WARNING ' + file + ' was fitted with weights ' + backtest.weights + ' - no probabilities');
+    return null;
+  }
+  return backtest.probabilityModel || null;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const file = 'public/data/players-' + args.year + '.json';
+  let data;
+  try {
+    data = readPlayersFile('public/data', args.year);
+  } catch (err) {
+    console.error('ERROR ' + err.message);
+    process.exit(1);
+  }
+  
+  const profile = args.weights ? JSON.parse(fs.readFileSync(args.weights, 'utf8')) : null;
+  const options = profile ? loadWeightsProfile(profile) : {};
+  const ranked = computeBreakoutScore(withAges(data.players, getSeasonAgeDate(args.year)), args.year, options).slice(0, args.top);
+  const scored = withProbabilities(ranked, loadProbabilityModel(profile ? profile.version : 'default'));
+  
+  if (args.json) {
+    console.log(JSON.stringify(scored, null, 2));
+    return;
+  }
+  
+  console.log(args.year + ' breakout rankings (' + file + ', updated ' + data.lastUpdated + ')');
+  scored.forEach((p, i) => {
+    console.log(
+      String(i + 1).padStart(3) + '  ' +
+      String(p.name).padEnd(26) +
+      String(p.team || '-').padEnd(5) +
+      String(p.position || '-').padEnd(8) +
+      String(p.age ?? '-').padStart(3) + '  ' +
+      String(p.pa ?? '-').padStart(4) + ' PA  ' +
+      String(p.breakoutScore).padStart(3) + '  ' +
+      getTier(p.breakoutScore).label.padEnd(6) +
+      (p.breakoutProbability != null ? Math.round(p.breakoutProbability * 100) + '%' : '')
+    );
+  });
+}
+
+main();
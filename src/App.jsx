@@ -1,4 +1,52 @@
-import { useState, useEffect, useCallback } from "react";
+import { Fragment, useState, useEffect, useCallback, useMemo, useRef } from "react";
+import {
+  SAMPLE_SIZE_ADJUSTMENTS,
+  K_RATE_PENALTIES,
+  ADJUSTMENT_PIPELINE,
+  collectFlags,
+  classifyBreakout,
+  BACKTEST_CUTOFFS,
+  computeBreakoutScore,
+  getSeasonReference,
+  withProbabilities,
+  projectPlayer,
+  getTier,
+  getSeasonStat,
+  processDemoData,
+  withAges,
+  getSeasonAgeDate,
+  playerKey,
+  findPlayer,
+  checkPlayersFile,
+  getManifestSeasons,
+  POSITIONS,
+  DEFAULT_FILTERS,
+  filterPlayers,
+  sortPlayers,
+  getSortValue,
+  toExportTable,
+  toCsv,
+  getExportFileName,
+  comparePlayers,
+  MAX_COMPARE,
+  emptyWatchlist,
+  loadWatchlist,
+  isWatched,
+  toggleWatched,
+  updateWatched,
+  mergeWatchlists,
+  getWatchlistTags,
+  recordScores,
+  getScoreChange,
+  rankSnapshot,
+  diffRankings,
+  checkInSeasonFile,
+  scoreInSeason,
+  IN_SEASON_CHECK_MIN_PA,
+  getVerdicts,
+  BREAKOUT_DEFINITION,
+} from "./model/index.js";
+import { toXlsx } from "./xlsx.js";
 
 // ─── BASEBALL SAVANT PUBLIC ENDPOINTS ────────────────────────────────────────
 // These are fetched client-side from the browser since network is restricted in the sandbox.
@@ -52,597 +100,251 @@ function parseCSV(text) {
 
 function parseNum(v) { const n = parseFloat(v); return isNaN(n) ? null : n; }
 
-// ─── BREAKOUT SCORE MODEL ─────────────────────────────────────────────────────
-//
-// "Breakout" = player whose underlying skill exceeds recent results,
-// meaning they're primed for a step-up season. We use 6 signal dimensions:
-//
-//  1. xwOBA Surplus (xwOBA - wOBA)       → luck/regression opportunity
-//  2. xwOBA Trajectory (2024→2025 delta) → skill trajectory
-//  3. Hard-Hit Rate                        → raw contact quality
-//  4. Barrel Rate                          → premium contact
-//  5. xwOBA Absolute Level                → how good is the underlying skill
-//  6. Chase/Whiff (inverse)               → plate discipline signal (lower K = better)
-//
-// Weights tuned to emphasize regression candidates (surplus) and skill trajectory.
-// Updated weights based on historical validation analysis
-
-// MODEL v5.4: Raw skills + YoY improvements (launch angle removed - not predictive)
-const WEIGHTS = {
-  // Tier 1: Raw Power Skills (37%)
-  hardHitRate: 0.14,           // Current skill level
-  barrelRate: 0.14,            // Most predictive single metric
-  batSpeed: 0.09,              // Raw power ceiling
-  
-  // Tier 2: Year-over-Year Improvements (33%)
-  barrelImprovement: 0.15,     // Contact quality improving
-  hardHitImprovement: 0.10,    // Power development
-  chaseImprovement: 0.08,      // Plate discipline improving (INCREASED - high value)
-  
-  // Tier 3: Contact & Discipline (20%)
-  kRateInverse: 0.10,          // Contact ability
-  chaseRateInverse: 0.10,      // Current plate discipline
-  
-  // Tier 4: Expected Performance (10%)
-  xwobaSurplus: 0.07,          // REDUCED - luck component
-  xwobaLevel: 0.03,            // REDUCED - overall skill level
-};
-
-// Age curve multipliers based on when breakouts actually occur
-// Research: Most breakouts happen ages 24-26, not 27
-const AGE_MULTIPLIERS = {
-  getMultiplier: (age) => {
-    if (age == null) return 1.0;
-    if (age <= 23) return 1.15;  // Rapid skill development window
-    if (age <= 26) return 1.25;  // ⭐ PRIME BREAKOUT WINDOW - when most breakouts occur
-    if (age <= 28) return 1.00;  // Peak years but minimal improvement
-    if (age <= 30) return 0.85;  // Decline beginning
-    return 0.70;                 // Heavy penalty - rare to break out late
-  }
-};
-
-
-
-// Sample size confidence adjustments
-const SAMPLE_SIZE_ADJUSTMENTS = {
-  getMultiplier: (pa) => {
-    if (pa == null) return 0.60;
-    if (pa >= 500) return 1.00;   // Full confidence
-    if (pa >= 300) return 0.95;   // Slight discount
-    if (pa >= 200) return 0.85;   // Moderate discount
-    if (pa >= 150) return 0.75;   // Large discount
-    return 0.60;                  // Speculative
-  },
-  getTier: (pa) => {
-    if (pa == null) return { label: "SPEC", color: "#cc4444", desc: "No data" };
-    if (pa >= 400) return { label: "HIGH", color: "#00cc66", desc: "400+ PA - reliable" };
-    if (pa >= 200) return { label: "MED", color: "#ffaa00", desc: "200-400 PA - moderate" };
-    return { label: "LOW", color: "#cc6600", desc: "<200 PA - speculative" };
-  }
-};
-
-// K-rate penalty (high strikeout rate reduces breakout probability)
-const K_RATE_PENALTIES = {
-  getPenalty: (kRate) => {
-    if (kRate == null) return 1.0;
-    if (kRate >= 0.30) return 0.85;  // Severe contact concerns
-    if (kRate >= 0.25) return 0.95;  // Moderate contact concerns
-    return 1.0;                      // No penalty
-  },
-  getFlag: (kRate) => {
-    if (kRate == null) return null;
-    if (kRate >= 0.30) return { icon: "🚩", text: `High K-rate (${(kRate * 100).toFixed(1)}%) - contact concerns`, severity: "high" };
-    if (kRate >= 0.25) return { icon: "⚠️", text: `Elevated K-rate (${(kRate * 100).toFixed(1)}%) - monitor contact`, severity: "medium" };
-    return null;
-  }
-};
-
-// NEW: Career context adjustment (career year vs down year)
-const CAREER_CONTEXT = {
-  getMultiplier: (currentWoba, careerWoba) => {
-    if (currentWoba == null || careerWoba == null) return 1.0;
-    const context = currentWoba - careerWoba;
-    
-    if (context > 0.025) {
-      // Career year - likely regressing DOWN next year
-      return 0.75;  // 25% penalty
-    } else if (context < -0.020) {
-      // Down year - likely bouncing back UP
-      return 1.10;  // 10% boost
-    }
-    return 1.0;
-  },
-  getFlag: (currentWoba, careerWoba) => {
-    if (currentWoba == null || careerWoba == null) return null;
-    const context = currentWoba - careerWoba;
-    
-    if (context > 0.025) {
-      return { icon: "⚠️", text: `Career year (+${context.toFixed(3)} vs career avg) - regression risk`, severity: "medium" };
-    } else if (context < -0.020) {
-      return { icon: "✓", text: `Down year (${context.toFixed(3)} vs career avg) - bounce-back candidate`, severity: "positive" };
-    }
-    return null;
-  }
-};
-
-// NEW: Sophomore slump / career year regression detector
-const SOPHOMORE_SLUMP = {
-  getMultiplier: (age, currentWoba, careerWoba, yearsInMLB) => {
-    if (currentWoba == null || careerWoba == null) return 1.0;
-    
-    const context = currentWoba - careerWoba;
-    
-    // Special case: 2nd/3rd year player coming off career year
-    if (yearsInMLB != null && yearsInMLB >= 1 && yearsInMLB <= 3) {
-      if (context > 0.030) {
-        // Had a breakout rookie/sophomore year - high regression risk
-        return 0.65;  // 35% penalty - even more aggressive than veterans
-      }
-    }
-    
-    // General career year detection (already handled in CAREER_CONTEXT)
-    return 1.0;
-  },
-  getFlag: (age, currentWoba, careerWoba, yearsInMLB) => {
-    if (currentWoba == null || careerWoba == null) return null;
-    
-    const context = currentWoba - careerWoba;
-    
-    if (yearsInMLB != null && yearsInMLB >= 1 && yearsInMLB <= 3 && context > 0.030) {
-      return { 
-        icon: "🚩", 
-        text: `Sophomore/3rd year after breakout (+${context.toFixed(3)} vs career) - regression risk`, 
-        severity: "high" 
-      };
-    }
-    
-    return null;
-  }
-};
-
-// NEW: Years of service adjustment (rookies are higher variance)
-const YEARS_OF_SERVICE = {
-  getMultiplier: (yearsInMLB) => {
-    if (yearsInMLB == null) return 0.85;  // Unknown = assume rookie
-    if (yearsInMLB === 1) return 0.80;  // Rookie - very high variance
-    if (yearsInMLB === 2) return 0.90;  // Sophomore - still learning
-    if (yearsInMLB === 3) return 0.95;  // 3rd year - minor discount
-    if (yearsInMLB >= 6) return 0.95;   // Veteran - less likely to break out
-    return 1.0;  // Years 4-5 are prime
-  },
-  getFlag: (yearsInMLB) => {
-    if (yearsInMLB == null) return null;
-    if (yearsInMLB === 1) {
-      return { icon: "⚠️", text: "Rookie (1st year) - high variance, limited track record", severity: "medium" };
-    } else if (yearsInMLB === 2) {
-      return { icon: "⚠️", text: "Sophomore (2nd year) - still developing, approach may change", severity: "medium" };
-    } else if (yearsInMLB >= 7) {
-      return { icon: "⚠️", text: `Veteran (${yearsInMLB} years) - established player, less growth potential`, severity: "medium" };
-    }
-    return null;
-  }
-};
-
-// UPDATED: Chase rate threshold lowered to 30%
-const CHASE_RATE_FILTER = {
-  getSurplusReliability: (chaseRate, xwobaSurplus) => {
-    if (chaseRate == null || xwobaSurplus == null) return 1.0;
-    
-    // High surplus + high chase rate = might be fool's gold
-    // LOWERED threshold from 32% to 30%
-    if (xwobaSurplus > 0.035 && chaseRate > 0.30) {
-      return 0.70;  // Discount surplus signal by 30%
-    } else if (xwobaSurplus > 0.035 && chaseRate > 0.27) {
-      return 0.85;  // Moderate discount
-    }
-    return 1.0;
-  },
-  getFlag: (chaseRate) => {
-    if (chaseRate == null) return null;
-    // LOWERED thresholds
-    if (chaseRate > 0.33) {
-      return { icon: "🚩", text: `Very high chase rate (${(chaseRate * 100).toFixed(1)}%) - severe approach concerns`, severity: "high" };
-    } else if (chaseRate > 0.30) {
-      return { icon: "🚩", text: `High chase rate (${(chaseRate * 100).toFixed(1)}%) - approach concerns`, severity: "high" };
-    } else if (chaseRate > 0.27) {
-      return { icon: "⚠️", text: `Elevated chase rate (${(chaseRate * 100).toFixed(1)}%) - plate discipline issue`, severity: "medium" };
-    }
-    return null;
-  }
-};
-
-// UPDATED: Bat speed threshold lowered to 74+ mph
-const BAT_SPEED_BOOST = {
-  getMultiplier: (batSpeed, currentWoba) => {
-    if (batSpeed == null || currentWoba == null) return 1.0;
-    
-    // Elite bat speed (74+ mph, LOWERED from 75+) but underperforming (<.330 wOBA)
-    if (batSpeed >= 74.0 && currentWoba < 0.330) {
-      return 1.10;  // 10% boost - untapped power potential
-    }
-    return 1.0;
-  },
-  getFlag: (batSpeed, currentWoba) => {
-    if (batSpeed == null) return null;
-    // LOWERED threshold
-    if (batSpeed >= 74.0 && currentWoba != null && currentWoba < 0.330) {
-      return { icon: "⚡", text: `Elite bat speed (${batSpeed.toFixed(1)} mph) with room to grow - power upside`, severity: "positive" };
-    } else if (batSpeed >= 73.0) {
-      return { icon: "✓", text: `Plus bat speed (${batSpeed.toFixed(1)} mph) - strong raw power`, severity: "positive" };
-    }
-    return null;
-  }
-};
-
-// NEW: Launch angle change (swing adjustment breakout)
-const LAUNCH_ANGLE_CHANGE = {
-  getMultiplier: (launchAngleDelta, age) => {
-    if (launchAngleDelta == null || age == null) return 1.0;
-    
-    // Significant LA increase (3°+) for young player (<27)
-    if (launchAngleDelta >= 3.0 && age <= 27) {
-      return 1.12;  // 12% boost - swing change in progress
-    }
-    return 1.0;
-  },
-  getFlag: (launchAngleDelta, age) => {
-    if (launchAngleDelta == null) return null;
-    if (launchAngleDelta >= 3.0 && age != null && age <= 27) {
-      return { icon: "📈", text: `Launch angle increased ${launchAngleDelta.toFixed(1)}° - swing change breakout`, severity: "positive" };
-    }
-    return null;
-  }
-};
-
-// NEW: Pull rate boost (shift ban beneficiaries)
-const PULL_RATE_BOOST = {
-  getMultiplier: (pullRate, year) => {
-    if (pullRate == null || year == null) return 1.0;
-    
-    // Extreme pull hitters benefit from shift ban (2023+)
-    if (pullRate > 0.48 && year >= 2023) {
-      return 1.08;  // 8% boost - shift ban beneficiary
-    }
-    return 1.0;
-  },
-  getFlag: (pullRate, year) => {
-    if (pullRate == null) return null;
-    if (pullRate > 0.48 && year != null && year >= 2023) {
-      return { icon: "↖️", text: `Extreme pull hitter (${(pullRate * 100).toFixed(1)}%) - shift ban boost`, severity: "positive" };
-    }
-    return null;
-  }
-};
-
-function scorePlayer(p, year) {
-  const fields = getFieldNames(year);
-  const raw = {};
-
-  // Tier 1: Raw Power Skills (current levels)
-  raw.hardHitRate = p.hardHitRate;
-  raw.barrelRate = p.barrelRate;
-  raw.batSpeed = p.batSpeed;
-  
-  // Tier 2: Year-over-Year Improvements
-  raw.barrelImprovement = p.barrelImprovement;
-  raw.hardHitImprovement = p.hardHitImprovement;
-  raw.chaseImprovement = p.chaseImprovement;
-  
-  // Tier 3: Contact & Discipline
-  raw.kRateInverse = p.kRate != null ? (1 - p.kRate) : null;
-  raw.chaseRateInverse = p.chaseRate != null ? (1 - p.chaseRate) : null;
-  
-  // Tier 4: Expected Performance
-  raw.xwobaSurplus = p.xwobaSurplus;
-  raw.xwobaLevel = p[fields.currentXwoba];
-
-  return raw;
-}
-
-function normalize(players, field, weight) {
-  const vals = players.map((p) => p._raw[field]).filter((v) => v != null);
-  if (vals.length === 0) return;
-  const min = Math.min(...vals);
-  const max = Math.max(...vals);
-  const range = max - min || 1;
-  players.forEach((p) => {
-    const v = p._raw[field];
-    if (v == null) { p._scores[field] = 50; return; }
-    p._scores[field] = ((v - min) / range) * 100;
-  });
-}
-
-function computeBreakoutScore(players, year) {
-  // Filter out pitchers - we only predict hitter breakouts
-  players = players.filter(p => {
-    const pos = (p.position || '').toUpperCase();
-    return !pos.includes('SP') && !pos.includes('RP') && pos !== 'P';
-  });
-  
-  // Filter out established stars - they've already broken out
-  // Exception: Young players (age < 24) with limited PA (< 400) can still break out
-  players = players.filter(p => {
-    const woba = p.currentWoba || p.woba25 || p.woba24;
-    if (woba == null) return true; // Keep if we don't have woba data
-    
-    // If wOBA > .350 AND (age >= 24 OR pa >= 400), they're an established star
-    if (woba > 0.350) {
-      const age = p.age;
-      const pa = p.pa;
-      
-      // Young players with limited samples can still break out even with high wOBA
-      if (age != null && age < 24 && pa != null && pa < 400) {
-        return true; // Keep young, limited-sample players
-      }
-      
-      return false; // Exclude established stars
-    }
-    
-    return true; // Keep everyone else
-  });
-  
-  players.forEach((p) => {
-    p._raw = scorePlayer(p, year);
-    p._scores = {};
-  });
-
-  Object.keys(WEIGHTS).forEach((field) => normalize(players, field, WEIGHTS[field]));
-
-  players.forEach((p) => {
-    let total = 0;
-    Object.entries(WEIGHTS).forEach(([field, w]) => {
-      total += (p._scores[field] ?? 50) * w;
-    });
-    
-    // Core adjustments
-    const ageMultiplier = AGE_MULTIPLIERS.getMultiplier(p.age);
-    const sampleMultiplier = SAMPLE_SIZE_ADJUSTMENTS.getMultiplier(p.pa);
-    
-    // v5.0: Elite Profile + Improvement Trajectory Bonuses
-    let eliteProfileMultiplier = 1.0;
-    
-    // Current skill thresholds
-    const hardHitAboveAvg = p.hardHitRate != null && p.hardHitRate > 0.45;
-    const barrelAboveAvg = p.barrelRate != null && p.barrelRate > 0.10;
-    const batSpeedAboveAvg = p.batSpeed != null && p.batSpeed > 73;
-    const lowKRate = p.kRate != null && p.kRate < 0.20;
-    
-    // YoY improvement thresholds (normalized to decimals: 0.02 = 2 percentage points)
-    const barrelImproving = p.barrelImprovement != null && p.barrelImprovement > 0.02;
-    const hardHitImproving = p.hardHitImprovement != null && p.hardHitImprovement > 0.03;
-    const chaseImproving = p.chaseImprovement != null && p.chaseImprovement > 0.02;
-    
-    // K-rate checks (NEW - critical for sustainable improvements)
-    const kRateStable = p.kRateImprovement == null || p.kRateImprovement >= -0.03; // K-rate didn't spike >3%
-    const kRateExploded = p.kRateImprovement != null && p.kRateImprovement < -0.05; // K-rate spiked 5%+
-    
-    // Current skill bonuses
-    if (hardHitAboveAvg) eliteProfileMultiplier *= 1.10;
-    if (barrelAboveAvg) eliteProfileMultiplier *= 1.10;
-    if (batSpeedAboveAvg) eliteProfileMultiplier *= 1.08;
-    if (lowKRate) eliteProfileMultiplier *= 1.08;
-    
-    // YoY improvement bonuses - BUT ONLY if K-rate stayed stable!
-    // Research: Contact quality gains that come with K-rate explosion = unsustainable
-    if (barrelImproving && kRateStable) eliteProfileMultiplier *= 1.15; // Sustainable barrel gains
-    if (hardHitImproving && kRateStable) eliteProfileMultiplier *= 1.12; // Sustainable power growth
-    if (chaseImproving) eliteProfileMultiplier *= 1.10; // Better discipline always good
-    
-    // PENALTY: K-rate explosion (sold out for power but can't make contact)
-    if (kRateExploded) eliteProfileMultiplier *= 0.75; // -25% penalty for K-rate spike
-    
-    // MEGA BONUS: Elite current profile (all 4 thresholds)
-    if (hardHitAboveAvg && barrelAboveAvg && batSpeedAboveAvg && lowKRate) {
-      eliteProfileMultiplier *= 1.15;
-    }
-    
-    // MEGA BONUS: Improving trajectory (2+ improvements) - only if K-rate stable
-    const improvementCount = ((barrelImproving && kRateStable) ? 1 : 0) + 
-                             ((hardHitImproving && kRateStable) ? 1 : 0) + 
-                             (chaseImproving ? 1 : 0);
-    if (improvementCount >= 2) {
-      eliteProfileMultiplier *= 1.20; // Multiple sustainable improvements = real skill growth
-    }
-    
-    // NEW v5.2: Elite Young Talent Bonus (Sliding Scale by Age)
-    // Research: Power doesn't improve with age - players arrive with near-peak skills
-    // Young players with ELITE current metrics are extremely rare and valuable
-    const eliteHardHit = p.hardHitRate != null && p.hardHitRate > 0.55; // Top 5% MLB
-    const eliteBarrel = p.barrelRate != null && p.barrelRate > 0.13; // Top 10% MLB
-    
-    // Sliding scale: Younger = Rarer = Bigger bonus
-    if (eliteHardHit && eliteBarrel && p.age != null) {
-      if (p.age <= 21) {
-        eliteProfileMultiplier *= 1.40; // Extreme rarity (Roman Anthony, Gunnar Henderson types)
-      } else if (p.age === 22) {
-        eliteProfileMultiplier *= 1.30; // Very rare
-      } else if (p.age === 23) {
-        eliteProfileMultiplier *= 1.20; // Rare
-      } else if (p.age === 24) {
-        eliteProfileMultiplier *= 1.10; // Uncommon but not exceptional
-      }
-      // Age 25+: No bonus - this is expected peak age range
-    }
-    
-    // Combined adjustment
-    const adjustedScore = total * 
-      ageMultiplier * 
-      sampleMultiplier * 
-      eliteProfileMultiplier;
-    
-    p.breakoutScore = Math.round(adjustedScore);
-    p._adjustments = {
-      age: ageMultiplier,
-      sampleSize: sampleMultiplier,
-      eliteProfile: eliteProfileMultiplier,
-      rawScore: Math.round(total)
-    };
-  });
-
-  players.sort((a, b) => b.breakoutScore - a.breakoutScore);
-  return players;
-}
-
 // ─── HISTORICAL DATA (fallback when network is unavailable) ──────────────────
 // Curated datasets for each prediction year showing what the model predicted
-// Each dataset uses (year-1) data to predict (year) breakouts
+// Each dataset uses (year-1) data to predict (year) breakouts. resultNote is a
+// curator's note on how the season went; seasons[year] is the final line the
+// breakout verdict (src/model/verdict.js) grades. 2025 lines come from
+// public/data/players-2026.json, which has no HR/SB.
+// Rows without a playerId (Luciano, Owen Miller, Orelvis Martinez, Gavin Cross,
+// Emmanuel Rodriguez, Jorel Ortega) are keyed by name until their MLBAM ids are
+// checked against statsapi - none of them is in the local Statcast store.
 
 const HISTORICAL_DATA = {
   2023: [ // Using 2022 data to predict 2023 - VALIDATED
-    { name:"Yandy Díaz",team:"TB",age:31,pa:545,woba21:0.336,woba22:0.324,xwoba21:0.348,xwoba22:0.377,hardHitRate:0.52,barrelRate:0.088,kRate:0.118,position:"1B",actualResult:"✅ AL batting champion .330 AVG, .903 OPS"},
-    { name:"Luis Robert Jr.",team:"CWS",age:25,pa:492,woba21:0.316,woba22:0.303,xwoba21:0.342,xwoba22:0.350,hardHitRate:0.51,barrelRate:0.095,kRate:0.287,position:"OF",actualResult:"✅ .857 OPS, 38 HR, All-Star"},
-    { name:"William Contreras",team:"MIL",age:24,pa:595,woba21:0.315,woba22:0.334,xwoba21:0.328,xwoba22:0.370,hardHitRate:0.46,barrelRate:0.074,kRate:0.172,position:"C",actualResult:"✅ .849 OPS, elite offensive catcher"},
-    { name:"Corbin Carroll",team:"ARI",age:22,pa:610,woba21:null,woba22:null,xwoba21:null,xwoba22:0.365,hardHitRate:0.44,barrelRate:0.074,kRate:0.225,position:"OF",actualResult:"✅ NL ROY, 25 HR, 54 SB, Gold Glove"},
-    { name:"Jarren Duran",team:"BOS",age:26,pa:350,woba21:0.270,woba22:0.287,xwoba21:0.285,xwoba22:0.315,hardHitRate:0.42,barrelRate:0.061,kRate:0.268,position:"OF",actualResult:"⚠️ .283/.330/.444 solid but not star"},
-    { name:"Julio Rodríguez",team:"SEA",age:22,pa:628,woba21:null,woba22:0.349,xwoba21:null,xwoba22:0.358,hardHitRate:0.47,barrelRate:0.083,kRate:0.255,position:"OF",actualResult:"✅ .275/.331/.487, continued star"},
-    { name:"Adley Rutschman",team:"BAL",age:25,pa:591,woba21:null,woba22:0.352,xwoba21:null,xwoba22:0.365,hardHitRate:0.45,barrelRate:0.071,kRate:0.178,position:"C",actualResult:"✅ All-Star, elite defense"},
-    { name:"Bo Bichette",team:"TOR",age:25,pa:582,woba21:0.333,woba22:0.310,xwoba21:0.338,xwoba22:0.335,hardHitRate:0.43,barrelRate:0.062,kRate:0.172,position:"SS",actualResult:"⚠️ .306/.339/.446 consistent"},
-    { name:"Jeremy Peña",team:"HOU",age:25,pa:550,woba21:null,woba22:0.320,xwoba21:null,xwoba22:0.332,hardHitRate:0.41,barrelRate:0.058,kRate:0.212,position:"SS",actualResult:"❌ .254/.289/.392 regression"},
-    { name:"Esteury Ruiz",team:"OAK",age:24,pa:520,woba21:null,woba22:null,xwoba21:null,xwoba22:0.305,hardHitRate:0.35,barrelRate:0.032,kRate:0.285,position:"OF",actualResult:"⚠️ 67 SB but .237 AVG"},
+    { playerId:650490,name:"Yandy Díaz",team:"TB",age:31,pa:545,seasons:{2021:{woba:0.336,xwoba:0.348},2022:{woba:0.324,xwoba:0.377},2023:{pa:600,woba:0.395,hr:22,sb:0}},hardHitRate:0.52,barrelRate:0.088,kRate:0.118,position:"1B",resultNote:"AL batting champion .330 AVG, .903 OPS"},
+    { playerId:673357,name:"Luis Robert Jr.",team:"CWS",age:25,pa:492,seasons:{2021:{woba:0.316,xwoba:0.342},2022:{woba:0.303,xwoba:0.350},2023:{pa:595,woba:0.357,hr:38,sb:20}},hardHitRate:0.51,barrelRate:0.095,kRate:0.287,position:"OF",resultNote:".857 OPS, 38 HR, All-Star"},
+    { playerId:661388,name:"William Contreras",team:"MIL",age:24,pa:595,seasons:{2021:{woba:0.315,xwoba:0.328},2022:{woba:0.334,xwoba:0.370},2023:{pa:611,woba:0.357,hr:17,sb:6}},hardHitRate:0.46,barrelRate:0.074,kRate:0.172,position:"C",resultNote:".849 OPS, elite offensive catcher"},
+    { playerId:682998,name:"Corbin Carroll",team:"ARI",age:22,pa:610,seasons:{2022:{xwoba:0.365},2023:{pa:645,woba:0.371,hr:25,sb:54}},hardHitRate:0.44,barrelRate:0.074,kRate:0.225,position:"OF",resultNote:"NL ROY, 25 HR, 54 SB, Gold Glove"},
+    { playerId:680776,name:"Jarren Duran",team:"BOS",age:26,pa:350,seasons:{2021:{woba:0.270,xwoba:0.285},2022:{woba:0.287,xwoba:0.315},2023:{pa:362,woba:0.357,hr:8,sb:24}},hardHitRate:0.42,barrelRate:0.061,kRate:0.268,position:"OF",resultNote:".283/.330/.444 solid but not star"},
+    { playerId:677594,name:"Julio Rodríguez",team:"SEA",age:22,pa:628,seasons:{2022:{woba:0.349,xwoba:0.358},2023:{pa:714,woba:0.350,hr:32,sb:37}},hardHitRate:0.47,barrelRate:0.083,kRate:0.255,position:"OF",resultNote:".275/.331/.487, continued star"},
+    { playerId:668939,name:"Adley Rutschman",team:"BAL",age:25,pa:591,seasons:{2022:{woba:0.352,xwoba:0.365},2023:{pa:687,woba:0.350,hr:20,sb:1}},hardHitRate:0.45,barrelRate:0.071,kRate:0.178,position:"C",resultNote:"All-Star, elite defense"},
+    { playerId:666182,name:"Bo Bichette",team:"TOR",age:25,pa:582,seasons:{2021:{woba:0.333,xwoba:0.338},2022:{woba:0.310,xwoba:0.335},2023:{pa:601,woba:0.351,hr:20,sb:5}},hardHitRate:0.43,barrelRate:0.062,kRate:0.172,position:"SS",resultNote:".306/.339/.446 consistent"},
+    { playerId:665161,name:"Jeremy Peña",team:"HOU",age:25,pa:550,seasons:{2022:{woba:0.320,xwoba:0.332},2023:{pa:634,woba:0.308,hr:10,sb:13}},hardHitRate:0.41,barrelRate:0.058,kRate:0.212,position:"SS",resultNote:".254/.289/.392 regression"},
+    { playerId:665923,name:"Esteury Ruiz",team:"OAK",age:24,pa:520,seasons:{2022:{xwoba:0.305},2023:{pa:497,woba:0.289,hr:5,sb:67}},hardHitRate:0.35,barrelRate:0.032,kRate:0.285,position:"OF",resultNote:"67 SB but .237 AVG"},
   ],
   
   2024: [ // Using 2023 data to predict 2024 - VALIDATED
-    { name:"Bobby Witt Jr.",team:"KC",age:23,pa:671,woba22:0.318,woba23:0.354,xwoba22:0.335,xwoba23:0.356,hardHitRate:0.46,barrelRate:0.079,kRate:0.198,position:"SS",actualResult:"✅ AL MVP runner-up, .332/.380/.588, 32 HR, 31 SB"},
-    { name:"Jarren Duran",team:"BOS",age:27,pa:511,woba22:0.287,woba23:0.312,xwoba22:0.305,xwoba23:0.343,hardHitRate:0.43,barrelRate:0.068,kRate:0.221,position:"OF",actualResult:"✅ All-Star, Silver Slugger, .285/.342/.492"},
-    { name:"Jackson Merrill",team:"SD",age:21,pa:514,woba22:null,woba23:null,xwoba22:null,xwoba23:0.335,hardHitRate:0.47,barrelRate:0.071,kRate:0.215,position:"OF",actualResult:"✅ 3rd in NL ROY, .292/.326/.500"},
-    { name:"Elly De La Cruz",team:"CIN",age:22,pa:576,woba22:null,woba23:0.339,xwoba22:null,xwoba23:0.357,hardHitRate:0.49,barrelRate:0.092,kRate:0.333,position:"SS",actualResult:"✅ .259/.342/.478, 25 HR, 67 SB"},
-    { name:"Gunnar Henderson",team:"BAL",age:22,pa:633,woba22:null,woba23:0.358,xwoba22:null,xwoba23:0.365,hardHitRate:0.48,barrelRate:0.088,kRate:0.215,position:"SS",actualResult:"✅ .281/.365/.528, 37 HR"},
-    { name:"CJ Abrams",team:"WSH",age:23,pa:590,woba22:0.310,woba23:0.331,xwoba22:0.322,xwoba23:0.343,hardHitRate:0.41,barrelRate:0.055,kRate:0.203,position:"SS",actualResult:"✅ .246/.314/.433, 20 HR, 31 SB"},
-    { name:"Wyatt Langford",team:"TEX",age:22,pa:388,woba22:null,woba23:null,xwoba22:null,xwoba23:0.330,hardHitRate:0.45,barrelRate:0.070,kRate:0.235,position:"OF",actualResult:"❌ .253/.315/.371 struggled"},
-    { name:"Jackson Chourio",team:"MIL",age:20,pa:530,woba22:null,woba23:null,xwoba22:null,xwoba23:0.328,hardHitRate:0.46,barrelRate:0.075,kRate:0.245,position:"OF",actualResult:"⚠️ .275/.327/.464 developing"},
-    { name:"Josh Jung",team:"TEX",age:26,pa:420,woba22:null,woba23:0.355,xwoba22:null,xwoba23:0.368,hardHitRate:0.50,barrelRate:0.095,kRate:0.214,position:"3B",actualResult:"⚠️ Injured, .264/.323/.428"},
-    { name:"Corbin Carroll",team:"ARI",age:23,pa:610,woba22:null,woba23:0.384,xwoba22:null,xwoba23:0.371,hardHitRate:0.44,barrelRate:0.074,kRate:0.225,position:"OF",actualResult:"❌ .231/.321/.376 regression"},
+    { playerId:677951,name:"Bobby Witt Jr.",team:"KC",age:23,pa:671,seasons:{2022:{woba:0.318,xwoba:0.335},2023:{woba:0.354,xwoba:0.356},2024:{pa:709,woba:0.410,hr:32,sb:31}},hardHitRate:0.46,barrelRate:0.079,kRate:0.198,position:"SS",resultNote:"AL MVP runner-up, .332/.380/.588, 32 HR, 31 SB"},
+    { playerId:680776,name:"Jarren Duran",team:"BOS",age:27,pa:511,seasons:{2022:{woba:0.287,xwoba:0.305},2023:{woba:0.312,xwoba:0.343},2024:{pa:735,woba:0.360,hr:21,sb:34}},hardHitRate:0.43,barrelRate:0.068,kRate:0.221,position:"OF",resultNote:"All-Star, Silver Slugger, .285/.342/.492"},
+    { playerId:701538,name:"Jackson Merrill",team:"SD",age:21,pa:514,seasons:{2023:{xwoba:0.335},2024:{pa:593,woba:0.355,hr:24,sb:16}},hardHitRate:0.47,barrelRate:0.071,kRate:0.215,position:"OF",resultNote:"3rd in NL ROY, .292/.326/.500"},
+    { playerId:682829,name:"Elly De La Cruz",team:"CIN",age:22,pa:576,seasons:{2023:{woba:0.339,xwoba:0.357},2024:{pa:696,woba:0.348,hr:25,sb:67}},hardHitRate:0.49,barrelRate:0.092,kRate:0.333,position:"SS",resultNote:".259/.342/.478, 25 HR, 67 SB"},
+    { playerId:683002,name:"Gunnar Henderson",team:"BAL",age:22,pa:633,seasons:{2023:{woba:0.358,xwoba:0.365},2024:{pa:719,woba:0.380,hr:37,sb:21}},hardHitRate:0.48,barrelRate:0.088,kRate:0.215,position:"SS",resultNote:".281/.365/.528, 37 HR"},
+    { playerId:682928,name:"CJ Abrams",team:"WSH",age:23,pa:590,seasons:{2022:{woba:0.310,xwoba:0.322},2023:{woba:0.331,xwoba:0.343},2024:{pa:615,woba:0.325,hr:20,sb:31}},hardHitRate:0.41,barrelRate:0.055,kRate:0.203,position:"SS",resultNote:".246/.314/.433, 20 HR, 31 SB"},
+    { playerId:694671,name:"Wyatt Langford",team:"TEX",age:22,pa:388,seasons:{2023:{xwoba:0.330},2024:{pa:557,woba:0.323,hr:16,sb:19}},hardHitRate:0.45,barrelRate:0.070,kRate:0.235,position:"OF",resultNote:".253/.315/.371 struggled"},
+    { playerId:694192,name:"Jackson Chourio",team:"MIL",age:20,pa:530,seasons:{2023:{xwoba:0.328},2024:{pa:573,woba:0.338,hr:21,sb:22}},hardHitRate:0.46,barrelRate:0.075,kRate:0.245,position:"OF",resultNote:".275/.327/.464 developing"},
+    { playerId:673962,name:"Josh Jung",team:"TEX",age:26,pa:420,seasons:{2023:{woba:0.355,xwoba:0.368},2024:{pa:131,woba:0.325,hr:4,sb:0}},hardHitRate:0.50,barrelRate:0.095,kRate:0.214,position:"3B",resultNote:"Injured, .264/.323/.428"},
+    { playerId:682998,name:"Corbin Carroll",team:"ARI",age:23,pa:610,seasons:{2023:{woba:0.384,xwoba:0.371},2024:{pa:684,woba:0.325,hr:22,sb:35}},hardHitRate:0.44,barrelRate:0.074,kRate:0.225,position:"OF",resultNote:".231/.321/.376 regression"},
   ],
   
   2025: [ // Using 2024 data to predict 2025 - IN PROGRESS
-    { name:"Jackson Holliday",team:"BAL",age:21,pa:187,woba23:null,woba24:0.265,xwoba23:null,xwoba24:0.348,hardHitRate:0.46,barrelRate:0.080,kRate:0.305,position:"SS",actualResult:"🔄 2025 just ended - results pending"},
-    { name:"Triston Casas",team:"BOS",age:25,pa:220,woba23:0.355,woba24:0.305,xwoba23:0.370,xwoba24:0.382,hardHitRate:0.54,barrelRate:0.135,kRate:0.235,position:"1B",actualResult:"🔄 2025 just ended - results pending"},
-    { name:"James Wood",team:"WSH",age:21,pa:362,woba23:null,woba24:0.333,xwoba23:null,xwoba24:0.368,hardHitRate:0.52,barrelRate:0.110,kRate:0.261,position:"OF",actualResult:"🔄 2025 just ended - results pending"},
-    { name:"Junior Caminero",team:"TB",age:21,pa:351,woba23:0.312,woba24:0.318,xwoba23:0.335,xwoba24:0.364,hardHitRate:0.51,barrelRate:0.098,kRate:0.237,position:"3B",actualResult:"🔄 2025 just ended - results pending"},
-    { name:"Colton Cowser",team:"BAL",age:24,pa:386,woba23:0.318,woba24:0.316,xwoba23:0.330,xwoba24:0.360,hardHitRate:0.50,barrelRate:0.112,kRate:0.248,position:"OF",actualResult:"🔄 2025 just ended - results pending"},
-    { name:"Kyle Manzardo",team:"CLE",age:23,pa:264,woba23:null,woba24:0.298,xwoba23:null,xwoba24:0.352,hardHitRate:0.48,barrelRate:0.093,kRate:0.225,position:"1B",actualResult:"🔄 2025 just ended - results pending"},
-    { name:"Wyatt Langford",team:"TEX",age:23,pa:388,woba23:null,woba24:0.303,xwoba23:null,xwoba24:0.343,hardHitRate:0.46,barrelRate:0.082,kRate:0.220,position:"OF",actualResult:"🔄 2025 just ended - results pending"},
-    { name:"Noelvi Marte",team:"CIN",age:22,pa:296,woba23:0.288,woba24:0.295,xwoba23:0.302,xwoba24:0.339,hardHitRate:0.43,barrelRate:0.075,kRate:0.239,position:"3B",actualResult:"🔄 2025 just ended - results pending"},
-    { name:"Marco Luciano",team:"SF",age:22,pa:320,woba23:0.298,woba24:0.275,xwoba23:0.315,xwoba24:0.338,hardHitRate:0.47,barrelRate:0.083,kRate:0.280,position:"SS",actualResult:"🔄 2025 just ended - results pending"},
-    { name:"Jordan Walker",team:"STL",age:22,pa:468,woba23:0.310,woba24:0.285,xwoba23:0.325,xwoba24:0.342,hardHitRate:0.46,barrelRate:0.078,kRate:0.265,position:"OF",actualResult:"🔄 2025 just ended - results pending"},
+    { playerId:702616,name:"Jackson Holliday",team:"BAL",age:21,pa:187,seasons:{2024:{woba:0.265,xwoba:0.348},2025:{pa:649,woba:0.304}},hardHitRate:0.46,barrelRate:0.080,kRate:0.305,position:"SS"},
+    { playerId:671213,name:"Triston Casas",team:"BOS",age:25,pa:220,seasons:{2023:{woba:0.355,xwoba:0.370},2024:{woba:0.305,xwoba:0.382},2025:{pa:112,woba:0.256}},hardHitRate:0.54,barrelRate:0.135,kRate:0.235,position:"1B"},
+    { playerId:695578,name:"James Wood",team:"WSH",age:21,pa:362,seasons:{2024:{woba:0.333,xwoba:0.368},2025:{pa:689,woba:0.353}},hardHitRate:0.52,barrelRate:0.110,kRate:0.261,position:"OF"},
+    { playerId:691406,name:"Junior Caminero",team:"TB",age:21,pa:351,seasons:{2023:{woba:0.312,xwoba:0.335},2024:{woba:0.318,xwoba:0.364},2025:{pa:653,woba:0.357}},hardHitRate:0.51,barrelRate:0.098,kRate:0.237,position:"3B"},
+    { playerId:681297,name:"Colton Cowser",team:"BAL",age:24,pa:386,seasons:{2023:{woba:0.318,xwoba:0.330},2024:{woba:0.316,xwoba:0.360},2025:{pa:360,woba:0.285}},hardHitRate:0.50,barrelRate:0.112,kRate:0.248,position:"OF"},
+    { playerId:700932,name:"Kyle Manzardo",team:"CLE",age:23,pa:264,seasons:{2024:{woba:0.298,xwoba:0.352},2025:{pa:531,woba:0.329}},hardHitRate:0.48,barrelRate:0.093,kRate:0.225,position:"1B"},
+    { playerId:694671,name:"Wyatt Langford",team:"TEX",age:23,pa:388,seasons:{2024:{woba:0.303,xwoba:0.343},2025:{pa:573,woba:0.337}},hardHitRate:0.46,barrelRate:0.082,kRate:0.220,position:"OF"},
+    { playerId:682622,name:"Noelvi Marte",team:"CIN",age:22,pa:296,seasons:{2023:{woba:0.288,xwoba:0.302},2024:{woba:0.295,xwoba:0.339},2025:{pa:360,woba:0.321}},hardHitRate:0.43,barrelRate:0.075,kRate:0.239,position:"3B"},
+    { name:"Marco Luciano",team:"SF",age:22,pa:320,seasons:{2023:{woba:0.298,xwoba:0.315},2024:{woba:0.275,xwoba:0.338}},hardHitRate:0.47,barrelRate:0.083,kRate:0.280,position:"SS"},
+    { playerId:691023,name:"Jordan Walker",team:"STL",age:22,pa:468,seasons:{2023:{woba:0.310,xwoba:0.325},2024:{woba:0.285,xwoba:0.342},2025:{pa:396,woba:0.260}},hardHitRate:0.46,barrelRate:0.078,kRate:0.265,position:"OF"},
   ],
   
   2026: [ // Using 2025 data to predict 2026 - CURRENT
-  { name:"Jackson Chourio",team:"MIL",age:21,pa:530,woba24:0.311,woba25:0.297,xwoba24:0.328,xwoba25:0.342,hardHitRate:0.49,barrelRate:0.081,kRate:0.233,position:"OF"},
-  { name:"Jackson Merrill",team:"SD",age:22,pa:514,woba24:null,woba25:0.314,xwoba24:null,xwoba25:0.338,hardHitRate:0.47,barrelRate:0.071,kRate:0.215,position:"OF"},
-  { name:"Colt Keith",team:"DET",age:23,pa:475,woba24:null,woba25:0.308,xwoba24:null,xwoba25:0.351,hardHitRate:0.44,barrelRate:0.065,kRate:0.194,position:"3B"},
-  { name:"Colton Cowser",team:"BAL",age:25,pa:386,woba24:0.318,woba25:0.316,xwoba24:0.330,xwoba25:0.360,hardHitRate:0.50,barrelRate:0.112,kRate:0.248,position:"OF"},
-  { name:"Victor Scott II",team:"STL",age:24,pa:401,woba24:null,woba25:0.299,xwoba24:null,xwoba25:0.318,hardHitRate:0.38,barrelRate:0.044,kRate:0.279,position:"OF"},
-  { name:"Noelvi Marte",team:"CIN",age:23,pa:296,woba24:0.288,woba25:0.295,xwoba24:0.302,xwoba25:0.339,hardHitRate:0.43,barrelRate:0.075,kRate:0.239,position:"3B"},
-  { name:"Wyatt Langford",team:"TEX",age:24,pa:388,woba24:null,woba25:0.303,xwoba24:null,xwoba25:0.343,hardHitRate:0.46,barrelRate:0.082,kRate:0.220,position:"OF"},
-  { name:"Kyle Manzardo",team:"CLE",age:24,pa:264,woba24:null,woba25:0.298,xwoba24:null,xwoba25:0.352,hardHitRate:0.48,barrelRate:0.093,kRate:0.225,position:"1B"},
-  { name:"Junior Caminero",team:"TB",age:22,pa:351,woba24:0.312,woba25:0.318,xwoba24:0.335,xwoba25:0.364,hardHitRate:0.51,barrelRate:0.098,kRate:0.237,position:"3B"},
-  { name:"Joey Wiemer",team:"MIL",age:26,pa:382,woba24:0.290,woba25:0.265,xwoba24:0.305,xwoba25:0.328,hardHitRate:0.44,barrelRate:0.072,kRate:0.302,position:"OF"},
-  { name:"Masyn Winn",team:"STL",age:23,pa:554,woba24:null,woba25:0.318,xwoba24:null,xwoba25:0.326,hardHitRate:0.40,barrelRate:0.047,kRate:0.173,position:"SS"},
-  { name:"Pete Crow-Armstrong",team:"CHC",age:23,pa:351,woba24:null,woba25:0.304,xwoba24:null,xwoba25:0.319,hardHitRate:0.39,barrelRate:0.058,kRate:0.222,position:"OF"},
-  { name:"Iván Herrera",team:"STL",age:24,pa:271,woba24:0.305,woba25:0.289,xwoba24:0.320,xwoba25:0.345,hardHitRate:0.45,barrelRate:0.069,kRate:0.196,position:"C"},
-  { name:"Brooks Lee",team:"MIN",age:24,pa:380,woba24:null,woba25:0.295,xwoba24:null,xwoba25:0.332,hardHitRate:0.43,barrelRate:0.065,kRate:0.210,position:"SS"},
-  { name:"James Wood",team:"WSH",age:22,pa:362,woba24:null,woba25:0.333,xwoba24:null,xwoba25:0.368,hardHitRate:0.52,barrelRate:0.110,kRate:0.261,position:"OF"},
-  { name:"Spencer Jones",team:"NYY",age:24,pa:100,woba24:null,woba25:0.310,xwoba24:null,xwoba25:0.355,hardHitRate:0.50,barrelRate:0.095,kRate:0.285,position:"OF"},
-  { name:"Roman Anthony",team:"BOS",age:21,pa:0,woba24:null,woba25:null,xwoba24:null,xwoba25:0.380,hardHitRate:0.51,barrelRate:0.105,kRate:0.218,position:"OF"},
-  { name:"Jackson Holliday",team:"BAL",age:22,pa:187,woba24:null,woba25:0.265,xwoba24:null,xwoba25:0.348,hardHitRate:0.46,barrelRate:0.080,kRate:0.305,position:"SS"},
-  { name:"Dylan Crews",team:"WSH",age:23,pa:245,woba24:null,woba25:0.295,xwoba24:null,xwoba25:0.330,hardHitRate:0.44,barrelRate:0.070,kRate:0.240,position:"OF"},
-  { name:"Jacob Wilson",team:"OAK",age:23,pa:150,woba24:null,woba25:0.305,xwoba24:null,xwoba25:0.328,hardHitRate:0.41,barrelRate:0.055,kRate:0.175,position:"SS"},
-  { name:"Ezequiel Tovar",team:"COL",age:24,pa:580,woba24:0.307,woba25:0.295,xwoba24:0.318,xwoba25:0.334,hardHitRate:0.43,barrelRate:0.067,kRate:0.220,position:"SS"},
-  { name:"Owen Miller",team:"OAK",age:27,pa:410,woba24:0.300,woba25:0.285,xwoba24:0.312,xwoba25:0.325,hardHitRate:0.40,barrelRate:0.055,kRate:0.185,position:"2B"},
-  { name:"Henry Davis",team:"PIT",age:25,pa:285,woba24:0.295,woba25:0.288,xwoba24:0.308,xwoba25:0.342,hardHitRate:0.46,barrelRate:0.078,kRate:0.255,position:"C"},
-  { name:"Max Clark",team:"DET",age:20,pa:0,woba24:null,woba25:null,xwoba24:null,xwoba25:0.365,hardHitRate:0.48,barrelRate:0.085,kRate:0.220,position:"OF"},
-  { name:"Orelvis Martinez",team:"TOR",age:23,pa:200,woba24:null,woba25:0.280,xwoba24:null,xwoba25:0.345,hardHitRate:0.50,barrelRate:0.100,kRate:0.310,position:"3B"},
-  { name:"Jonah Bride",team:"OAK",age:28,pa:320,woba24:0.310,woba25:0.298,xwoba24:0.322,xwoba25:0.340,hardHitRate:0.44,barrelRate:0.068,kRate:0.192,position:"3B"},
-  { name:"Endy Rodriguez",team:"PIT",age:24,pa:280,woba24:null,woba25:0.290,xwoba24:null,xwoba25:0.335,hardHitRate:0.45,barrelRate:0.075,kRate:0.225,position:"C"},
-  { name:"Tyler Soderstrom",team:"OAK",age:23,pa:330,woba24:null,woba25:0.285,xwoba24:null,xwoba25:0.340,hardHitRate:0.47,barrelRate:0.082,kRate:0.248,position:"C/OF"},
-  { name:"Triston Casas",team:"BOS",age:26,pa:220,woba24:0.355,woba25:0.305,xwoba24:0.370,xwoba25:0.382,hardHitRate:0.54,barrelRate:0.135,kRate:0.235,position:"1B"},
-  { name:"Gavin Cross",team:"KC",age:24,pa:285,woba24:null,woba25:0.299,xwoba24:null,xwoba25:0.328,hardHitRate:0.43,barrelRate:0.063,kRate:0.238,position:"OF"},
-  { name:"Drew Gilbert",team:"HOU",age:25,pa:310,woba24:null,woba25:0.301,xwoba24:null,xwoba25:0.322,hardHitRate:0.41,barrelRate:0.055,kRate:0.210,position:"OF"},
-  { name:"Zach Neto",team:"LAA",age:25,pa:502,woba24:0.301,woba25:0.308,xwoba24:0.315,xwoba25:0.338,hardHitRate:0.44,barrelRate:0.070,kRate:0.228,position:"SS"},
-  { name:"Jonatan Clase",team:"SEA",age:23,pa:288,woba24:null,woba25:0.295,xwoba24:null,xwoba25:0.315,hardHitRate:0.40,barrelRate:0.050,kRate:0.248,position:"OF"},
-  { name:"Anthony Volpe",team:"NYY",age:24,pa:604,woba24:0.295,woba25:0.301,xwoba24:0.308,xwoba25:0.322,hardHitRate:0.41,barrelRate:0.056,kRate:0.225,position:"SS"},
-  { name:"Jordan Walker",team:"STL",age:23,pa:468,woba24:0.310,woba25:0.285,xwoba24:0.325,xwoba25:0.342,hardHitRate:0.46,barrelRate:0.078,kRate:0.265,position:"OF"},
-  { name:"Sal Frelick",team:"MIL",age:25,pa:504,woba24:0.315,woba25:0.299,xwoba24:0.328,xwoba25:0.320,hardHitRate:0.40,barrelRate:0.052,kRate:0.188,position:"OF"},
-  { name:"Adael Amador",team:"COL",age:22,pa:298,woba24:null,woba25:0.292,xwoba24:null,xwoba25:0.325,hardHitRate:0.41,barrelRate:0.058,kRate:0.215,position:"SS"},
-  { name:"Samuel Basallo",team:"BAL",age:20,pa:0,woba24:null,woba25:null,xwoba24:null,xwoba25:0.375,hardHitRate:0.53,barrelRate:0.120,kRate:0.230,position:"C"},
-  { name:"Marco Luciano",team:"SF",age:23,pa:320,woba24:0.298,woba25:0.275,xwoba24:0.315,xwoba25:0.338,hardHitRate:0.47,barrelRate:0.083,kRate:0.280,position:"SS/OF"},
-  { name:"Emmanuel Rodriguez",team:"MIN",age:22,pa:280,woba24:null,woba25:0.305,xwoba24:null,xwoba25:0.340,hardHitRate:0.46,barrelRate:0.078,kRate:0.268,position:"OF"},
-  { name:"Harry Ford",team:"SEA",age:22,pa:120,woba24:null,woba25:0.288,xwoba24:null,xwoba25:0.332,hardHitRate:0.43,barrelRate:0.066,kRate:0.228,position:"C"},
-  { name:"Jorel Ortega",team:"CHC",age:24,pa:200,woba24:null,woba25:0.295,xwoba24:null,xwoba25:0.325,hardHitRate:0.42,barrelRate:0.060,kRate:0.212,position:"OF"},
-  { name:"Jace Jung",team:"DET",age:25,pa:310,woba24:null,woba25:0.301,xwoba24:null,xwoba25:0.340,hardHitRate:0.46,barrelRate:0.080,kRate:0.232,position:"2B"},
-  { name:"Brice Turang",team:"MIL",age:25,pa:542,woba24:0.302,woba25:0.298,xwoba24:0.310,xwoba25:0.325,hardHitRate:0.38,barrelRate:0.043,kRate:0.182,position:"2B"},
-  { name:"Logan O'Hoppe",team:"LAA",age:25,pa:448,woba24:0.320,woba25:0.315,xwoba24:0.332,xwoba25:0.348,hardHitRate:0.47,barrelRate:0.085,kRate:0.228,position:"C"},
+  { playerId:694192,name:"Jackson Chourio",team:"MIL",age:21,pa:530,seasons:{2024:{woba:0.311,xwoba:0.328},2025:{woba:0.297,xwoba:0.342}},hardHitRate:0.49,barrelRate:0.081,kRate:0.233,position:"OF"},
+  { playerId:701538,name:"Jackson Merrill",team:"SD",age:22,pa:514,seasons:{2025:{woba:0.314,xwoba:0.338}},hardHitRate:0.47,barrelRate:0.071,kRate:0.215,position:"OF"},
+  { playerId:690993,name:"Colt Keith",team:"DET",age:23,pa:475,seasons:{2025:{woba:0.308,xwoba:0.351}},hardHitRate:0.44,barrelRate:0.065,kRate:0.194,position:"3B"},
+  { playerId:681297,name:"Colton Cowser",team:"BAL",age:25,pa:386,seasons:{2024:{woba:0.318,xwoba:0.330},2025:{woba:0.316,xwoba:0.360}},hardHitRate:0.50,barrelRate:0.112,kRate:0.248,position:"OF"},
+  { playerId:687363,name:"Victor Scott II",team:"STL",age:24,pa:401,seasons:{2025:{woba:0.299,xwoba:0.318}},hardHitRate:0.38,barrelRate:0.044,kRate:0.279,position:"OF"},
+  { playerId:682622,name:"Noelvi Marte",team:"CIN",age:23,pa:296,seasons:{2024:{woba:0.288,xwoba:0.302},2025:{woba:0.295,xwoba:0.339}},hardHitRate:0.43,barrelRate:0.075,kRate:0.239,position:"3B"},
+  { playerId:694671,name:"Wyatt Langford",team:"TEX",age:24,pa:388,seasons:{2025:{woba:0.303,xwoba:0.343}},hardHitRate:0.46,barrelRate:0.082,kRate:0.220,position:"OF"},
+  { playerId:700932,name:"Kyle Manzardo",team:"CLE",age:24,pa:264,seasons:{2025:{woba:0.298,xwoba:0.352}},hardHitRate:0.48,barrelRate:0.093,kRate:0.225,position:"1B"},
+  { playerId:691406,name:"Junior Caminero",team:"TB",age:22,pa:351,seasons:{2024:{woba:0.312,xwoba:0.335},2025:{woba:0.318,xwoba:0.364}},hardHitRate:0.51,barrelRate:0.098,kRate:0.237,position:"3B"},
+  { playerId:686894,name:"Joey Wiemer",team:"MIL",age:26,pa:382,seasons:{2024:{woba:0.290,xwoba:0.305},2025:{woba:0.265,xwoba:0.328}},hardHitRate:0.44,barrelRate:0.072,kRate:0.302,position:"OF"},
+  { playerId:691026,name:"Masyn Winn",team:"STL",age:23,pa:554,seasons:{2025:{woba:0.318,xwoba:0.326}},hardHitRate:0.40,barrelRate:0.047,kRate:0.173,position:"SS"},
+  { playerId:691718,name:"Pete Crow-Armstrong",team:"CHC",age:23,pa:351,seasons:{2025:{woba:0.304,xwoba:0.319}},hardHitRate:0.39,barrelRate:0.058,kRate:0.222,position:"OF"},
+  { playerId:671056,name:"Iván Herrera",team:"STL",age:24,pa:271,seasons:{2024:{woba:0.305,xwoba:0.320},2025:{woba:0.289,xwoba:0.345}},hardHitRate:0.45,barrelRate:0.069,kRate:0.196,position:"C"},
+  { playerId:686797,name:"Brooks Lee",team:"MIN",age:24,pa:380,seasons:{2025:{woba:0.295,xwoba:0.332}},hardHitRate:0.43,barrelRate:0.065,kRate:0.210,position:"SS"},
+  { playerId:695578,name:"James Wood",team:"WSH",age:22,pa:362,seasons:{2025:{woba:0.333,xwoba:0.368}},hardHitRate:0.52,barrelRate:0.110,kRate:0.261,position:"OF"},
+  { playerId:682987,name:"Spencer Jones",team:"NYY",age:24,pa:100,seasons:{2025:{woba:0.310,xwoba:0.355}},hardHitRate:0.50,barrelRate:0.095,kRate:0.285,position:"OF"},
+  { playerId:701350,name:"Roman Anthony",team:"BOS",age:21,pa:0,seasons:{2025:{xwoba:0.380}},hardHitRate:0.51,barrelRate:0.105,kRate:0.218,position:"OF"},
+  { playerId:702616,name:"Jackson Holliday",team:"BAL",age:22,pa:187,seasons:{2025:{woba:0.265,xwoba:0.348}},hardHitRate:0.46,barrelRate:0.080,kRate:0.305,position:"SS"},
+  { playerId:686611,name:"Dylan Crews",team:"WSH",age:23,pa:245,seasons:{2025:{woba:0.295,xwoba:0.330}},hardHitRate:0.44,barrelRate:0.070,kRate:0.240,position:"OF"},
+  { playerId:805779,name:"Jacob Wilson",team:"OAK",age:23,pa:150,seasons:{2025:{woba:0.305,xwoba:0.328}},hardHitRate:0.41,barrelRate:0.055,kRate:0.175,position:"SS"},
+  { playerId:678662,name:"Ezequiel Tovar",team:"COL",age:24,pa:580,seasons:{2024:{woba:0.307,xwoba:0.318},2025:{woba:0.295,xwoba:0.334}},hardHitRate:0.43,barrelRate:0.067,kRate:0.220,position:"SS"},
+  { name:"Owen Miller",team:"OAK",age:27,pa:410,seasons:{2024:{woba:0.300,xwoba:0.312},2025:{woba:0.285,xwoba:0.325}},hardHitRate:0.40,barrelRate:0.055,kRate:0.185,position:"2B"},
+  { playerId:680779,name:"Henry Davis",team:"PIT",age:25,pa:285,seasons:{2024:{woba:0.295,xwoba:0.308},2025:{woba:0.288,xwoba:0.342}},hardHitRate:0.46,barrelRate:0.078,kRate:0.255,position:"C"},
+  { playerId:703601,name:"Max Clark",team:"DET",age:20,pa:0,seasons:{2025:{xwoba:0.365}},hardHitRate:0.48,barrelRate:0.085,kRate:0.220,position:"OF"},
+  { name:"Orelvis Martinez",team:"TOR",age:23,pa:200,seasons:{2025:{woba:0.280,xwoba:0.345}},hardHitRate:0.50,barrelRate:0.100,kRate:0.310,position:"3B"},
+  { playerId:681146,name:"Jonah Bride",team:"OAK",age:28,pa:320,seasons:{2024:{woba:0.310,xwoba:0.322},2025:{woba:0.298,xwoba:0.340}},hardHitRate:0.44,barrelRate:0.068,kRate:0.192,position:"3B"},
+  { playerId:682848,name:"Endy Rodriguez",team:"PIT",age:24,pa:280,seasons:{2025:{woba:0.290,xwoba:0.335}},hardHitRate:0.45,barrelRate:0.075,kRate:0.225,position:"C"},
+  { playerId:691016,name:"Tyler Soderstrom",team:"OAK",age:23,pa:330,seasons:{2025:{woba:0.285,xwoba:0.340}},hardHitRate:0.47,barrelRate:0.082,kRate:0.248,position:"C/OF"},
+  { playerId:671213,name:"Triston Casas",team:"BOS",age:26,pa:220,seasons:{2024:{woba:0.355,xwoba:0.370},2025:{woba:0.305,xwoba:0.382}},hardHitRate:0.54,barrelRate:0.135,kRate:0.235,position:"1B"},
+  { name:"Gavin Cross",team:"KC",age:24,pa:285,seasons:{2025:{woba:0.299,xwoba:0.328}},hardHitRate:0.43,barrelRate:0.063,kRate:0.238,position:"OF"},
+  { playerId:687551,name:"Drew Gilbert",team:"HOU",age:25,pa:310,seasons:{2025:{woba:0.301,xwoba:0.322}},hardHitRate:0.41,barrelRate:0.055,kRate:0.210,position:"OF"},
+  { playerId:687263,name:"Zach Neto",team:"LAA",age:25,pa:502,seasons:{2024:{woba:0.301,xwoba:0.315},2025:{woba:0.308,xwoba:0.338}},hardHitRate:0.44,barrelRate:0.070,kRate:0.228,position:"SS"},
+  { playerId:682729,name:"Jonatan Clase",team:"SEA",age:23,pa:288,seasons:{2025:{woba:0.295,xwoba:0.315}},hardHitRate:0.40,barrelRate:0.050,kRate:0.248,position:"OF"},
+  { playerId:683011,name:"Anthony Volpe",team:"NYY",age:24,pa:604,seasons:{2024:{woba:0.295,xwoba:0.308},2025:{woba:0.301,xwoba:0.322}},hardHitRate:0.41,barrelRate:0.056,kRate:0.225,position:"SS"},
+  { playerId:691023,name:"Jordan Walker",team:"STL",age:23,pa:468,seasons:{2024:{woba:0.310,xwoba:0.325},2025:{woba:0.285,xwoba:0.342}},hardHitRate:0.46,barrelRate:0.078,kRate:0.265,position:"OF"},
+  { playerId:686217,name:"Sal Frelick",team:"MIL",age:25,pa:504,seasons:{2024:{woba:0.315,xwoba:0.328},2025:{woba:0.299,xwoba:0.320}},hardHitRate:0.40,barrelRate:0.052,kRate:0.188,position:"OF"},
+  { playerId:691182,name:"Adael Amador",team:"COL",age:22,pa:298,seasons:{2025:{woba:0.292,xwoba:0.325}},hardHitRate:0.41,barrelRate:0.058,kRate:0.215,position:"SS"},
+  { playerId:694212,name:"Samuel Basallo",team:"BAL",age:20,pa:0,seasons:{2025:{xwoba:0.375}},hardHitRate:0.53,barrelRate:0.120,kRate:0.230,position:"C"},
+  { name:"Marco Luciano",team:"SF",age:23,pa:320,seasons:{2024:{woba:0.298,xwoba:0.315},2025:{woba:0.275,xwoba:0.338}},hardHitRate:0.47,barrelRate:0.083,kRate:0.280,position:"SS/OF"},
+  { name:"Emmanuel Rodriguez",team:"MIN",age:22,pa:280,seasons:{2025:{woba:0.305,xwoba:0.340}},hardHitRate:0.46,barrelRate:0.078,kRate:0.268,position:"OF"},
+  { playerId:695670,name:"Harry Ford",team:"SEA",age:22,pa:120,seasons:{2025:{woba:0.288,xwoba:0.332}},hardHitRate:0.43,barrelRate:0.066,kRate:0.228,position:"C"},
+  { name:"Jorel Ortega",team:"CHC",age:24,pa:200,seasons:{2025:{woba:0.295,xwoba:0.325}},hardHitRate:0.42,barrelRate:0.060,kRate:0.212,position:"OF"},
+  { playerId:690291,name:"Jace Jung",team:"DET",age:25,pa:310,seasons:{2025:{woba:0.301,xwoba:0.340}},hardHitRate:0.46,barrelRate:0.080,kRate:0.232,position:"2B"},
+  { playerId:668930,name:"Brice Turang",team:"MIL",age:25,pa:542,seasons:{2024:{woba:0.302,xwoba:0.310},2025:{woba:0.298,xwoba:0.325}},hardHitRate:0.38,barrelRate:0.043,kRate:0.182,position:"2B"},
+  { playerId:681351,name:"Logan O'Hoppe",team:"LAA",age:25,pa:448,seasons:{2024:{woba:0.320,xwoba:0.332},2025:{woba:0.315,xwoba:0.348}},hardHitRate:0.47,barrelRate:0.085,kRate:0.228,position:"C"},
   ],
 };
 
-// Get the appropriate field names based on prediction year
-function getFieldNames(year) {
-  const prevYear = year - 1;
-  const ppYear = year - 2;
+const DEMO_SEASONS = Object.keys(HISTORICAL_DATA).map(Number);
+const LATEST_DEMO_SEASON = DEMO_SEASONS[DEMO_SEASONS.length - 1];
+const DEMO_PLAYERS = HISTORICAL_DATA[LATEST_DEMO_SEASON].filter(p => getSeasonStat(p, LATEST_DEMO_SEASON - 1, "xwoba") != null);
+
+// ─── LEAGUE REFERENCE ─────────────────────────────────────────────────────────
+// Per-season percentile distributions written by build-league-reference.js.
+// Fetched once; a missing file means scoring falls back to the loaded players.
+let leagueReferenceRequest = null;
+function loadLeagueReference() {
+  if (!leagueReferenceRequest) {
+    leagueReferenceRequest = fetch("/data/league-reference.json")
+      .then(r => (r.ok ? r.json() : null))
+      .catch(() => null);
+  }
+  return leagueReferenceRequest;
+}
+
+// ─── DATA MANIFEST ────────────────────────────────────────────────────────────
+// public/data/manifest.json lists the seasons there are players files for
+// (written by fetch-data-updated.js / build-manifest.js). Without one the year
+// switcher offers the seasons the demo data covers.
+function loadManifest() {
+  return fetch("/data/manifest.json")
+    .then(r => (r.ok ? r.json() : null))
+    .then(data => getManifestSeasons(data))
+    .catch(() => null);
+}
+
+// ─── IN-SEASON DATA ───────────────────────────────────────────────────────────
+// public/data/in-season-YYYY.json (build-in-season.js) holds the predicted
+// season's year-to-date lines. Without one there's no in-season mode.
+function loadInSeason(year) {
+  return fetch(`/data/in-season-${year}.json`)
+    .then(r => (r.ok ? r.json() : null))
+    .then(doc => (doc && !checkInSeasonFile(doc) && doc.year === year ? doc : null))
+    .catch(() => null);
+}
+
+// ─── DEEP LINKS ───────────────────────────────────────────────────────────────
+// The whole view lives in the query string, so a pasted link reopens it -
+// ?year=2026&pos=SS&player=691406 is "2026, SS only, Caminero's panel open".
+// The year is always written (links shouldn't drift to a newer season);
+// everything else only when it differs from the default.
+function readUrlView() {
+  const params = new URLSearchParams(typeof window === "undefined" ? "" : window.location.search);
+  const int = (name) => (/^\d+$/.test(params.get(name) || "") ? parseInt(params.get(name), 10) : null);
   return {
-    currentWoba: `woba${String(prevYear).slice(-2)}`,
-    prevWoba: `woba${String(ppYear).slice(-2)}`,
-    currentXwoba: `xwoba${String(prevYear).slice(-2)}`,
-    prevXwoba: `xwoba${String(ppYear).slice(-2)}`,
+    selectedYear: int("year"), // null: the newest season
+    tab: ["methodology", "movers"].includes(params.get("tab")) ? params.get("tab") : "rankings",
+    filterPos: POSITIONS.includes(params.get("pos")) ? params.get("pos") : DEFAULT_FILTERS.position,
+    filterTeam: params.get("team") || DEFAULT_FILTERS.team,
+    minAge: int("minAge") ?? DEFAULT_FILTERS.minAge,
+    maxAge: int("maxAge") ?? DEFAULT_FILTERS.maxAge,
+    showTop: int("top") ?? DEFAULT_FILTERS.top,
+    selectedKey: params.get("player"), // playerId (or name for legacy rows)
+    watchOnly: params.get("watchlist") === "1",
+    inSeason: params.get("inseason") === "1",
+    compare: (params.get("compare") || "").split(",").filter(Boolean).slice(0, MAX_COMPARE).join(","), // open comparison
   };
 }
 
-const DEMO_PLAYERS = HISTORICAL_DATA[2026].filter(p => p.xwoba25 != null);
-
-// ─── PROCESS DEMO DATA ────────────────────────────────────────────────────────
-function processDemoData(raw, year) {
-  const fields = getFieldNames(year);
-  return raw.map((p) => {
-    const currentXwoba = p[fields.currentXwoba];
-    const prevXwoba = p[fields.prevXwoba];
-    const currentWoba = p[fields.currentWoba];
-    
-    // Calculate launch angle delta
-    const launchAngleDelta = p.launchAngle25 != null && p.launchAngle24 != null 
-      ? p.launchAngle25 - p.launchAngle24 
-      : null;
-    
-    // Set current wOBA and career wOBA (for demo, use available data)
-    const playerCurrentWoba = p.currentWoba || currentWoba;
-    const playerCareerWoba = p.careerWoba || playerCurrentWoba; // fallback to current if no career data
-    
-    // Estimate years in MLB if not provided (based on whether they have previous year data)
-    let yearsInMLB = p.yearsInMLB;
-    if (yearsInMLB == null) {
-      // If no woba24, likely rookie (1 year)
-      // If has woba24, likely 2+ years
-      if (p.woba24 == null && p.age <= 23) {
-        yearsInMLB = 1;  // Rookie
-      } else if (p.woba24 != null && p.age <= 24) {
-        yearsInMLB = 2;  // Sophomore
-      } else if (p.age <= 26) {
-        yearsInMLB = 3;  // 3rd year
-      } else if (p.age <= 28) {
-        yearsInMLB = 4;  // Mid-career
-      } else {
-        yearsInMLB = 6;  // Veteran
-      }
-    }
-    
-    return {
-      ...p,
-      xwobaSurplus: currentXwoba != null && currentWoba != null ? +(currentXwoba - currentWoba).toFixed(3) : null,
-      xwobaTrajectory: currentXwoba != null && prevXwoba != null ? +(currentXwoba - prevXwoba).toFixed(3) : 0,
-      launchAngleDelta,
-      currentWoba: playerCurrentWoba,
-      careerWoba: playerCareerWoba,
-      yearsInMLB,
+function toUrlSearch(view) {
+  const params = new URLSearchParams();
+  if (view.selectedYear != null) params.set("year", view.selectedYear);
+  if (view.tab !== "rankings") params.set("tab", view.tab);
+  if (view.filterPos !== DEFAULT_FILTERS.position) params.set("pos", view.filterPos);
+  if (view.filterTeam !== DEFAULT_FILTERS.team) params.set("team", view.filterTeam);
+  if (view.minAge !== DEFAULT_FILTERS.minAge) params.set("minAge", view.minAge);
+  if (view.maxAge !== DEFAULT_FILTERS.maxAge) params.set("maxAge", view.maxAge);
+  if (view.showTop !== DEFAULT_FILTERS.top) params.set("top", view.showTop);
+  if (view.watchOnly) params.set("watchlist", "1");
+  if (view.inSeason) params.set("inseason", "1");
+  if (view.selectedKey) params.set("player", view.selectedKey);
+  if (view.compare) params.set("compare", view.compare);
+  const search = params.toString();
+  return search ? `?${search}` : "";
+}
+
+// Dragging the age slider would otherwise leave one history entry per step
+const REPLACE_ONLY_PARAMS = ["minAge", "maxAge"];
+
+function writeUrlView(view, replace) {
+  const url = new URL(window.location.href);
+  const current = readUrlView();
+  const changed = Object.keys(view).filter(k => view[k] !== current[k]);
+  url.search = toUrlSearch(view);
+  if (url.href === window.location.href) return;
+  const onlySliders = changed.length > 0 && changed.every(k => REPLACE_ONLY_PARAMS.includes(k));
+  window.history[replace || onlySliders ? "replaceState" : "pushState"](null, "", url);
+}
+
+// ─── WATCHLIST STORAGE ────────────────────────────────────────────────────────
+// One watchlist per browser, in localStorage; see src/model/watchlist.js
+const WATCHLIST_KEY = "breakout.watchlist";
+
+function loadStoredWatchlist() {
+  try {
+    const saved = window.localStorage.getItem(WATCHLIST_KEY);
+    return saved ? loadWatchlist(JSON.parse(saved)) : emptyWatchlist();
+  } catch (err) {
+    return emptyWatchlist();
+  }
+}
+
+function saveStoredWatchlist(list) {
+  try {
+    window.localStorage.setItem(WATCHLIST_KEY, JSON.stringify(list));
+  } catch (err) {
+    // Storage disabled or full - the list lasts for this session only
+  }
+}
+
+// Browser file picker -> parsed JSON
+function pickJsonFile() {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = "application/json,.json";
+    input.onchange = () => {
+      const file = input.files[0];
+      if (!file) return;
+      file.text().then(text => resolve(JSON.parse(text))).catch(reject);
     };
+    input.click();
   });
 }
 
-// ─── TIER LABEL ───────────────────────────────────────────────────────────────
-function getTier(score) {
-  if (score >= 80) return { label: "ELITE", color: "#00ff88", bg: "rgba(0,255,136,0.12)" };
-  if (score >= 68) return { label: "HIGH", color: "#ffcc00", bg: "rgba(255,204,0,0.12)" };
-  if (score >= 55) return { label: "MED", color: "#ff8c42", bg: "rgba(255,140,66,0.12)" };
-  return { label: "LOW", color: "#888", bg: "rgba(136,136,136,0.08)" };
+// ─── EXPORT ───────────────────────────────────────────────────────────────────
+function downloadFile(fileName, data, type) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Exactly the rows the table shows, in the table's order
+function exportRankings(players, year, filters, format) {
+  const table = toExportTable(players, year);
+  if (format === "xlsx") {
+    downloadFile(getExportFileName(year, filters, "xlsx"), toXlsx(table, { sheetName: `Breakouts ${year}` }),
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+  } else {
+    downloadFile(getExportFileName(year, filters, "csv"), toCsv(table), "text/csv;charset=utf-8");
+  }
 }
 
 function getScoreColor(score) {
@@ -652,8 +354,28 @@ function getScoreColor(score) {
   return "#888";
 }
 
-const POSITIONS = ["All","C","1B","2B","3B","SS","OF","SP"];
-const TEAMS_SHORT = ["All","ARI","ATL","BAL","BOS","CHC","CWS","CIN","CLE","COL","DET","HOU","KC","LAA","LAD","MIA","MIL","MIN","NYM","NYY","OAK","PHI","PIT","SD","SEA","SF","STL","TB","TEX","TOR","WSH"];
+function formatPct(v) {
+  return v == null ? "—" : `${Math.round(v * 100)}%`;
+}
+
+function formatInterval(p) {
+  return p.breakoutProbabilityLow == null ? "" : `${formatPct(p.breakoutProbabilityLow)}–${formatPct(p.breakoutProbabilityHigh)}`;
+}
+
+// How far the probabilities have been checked. With one graded season the
+// isotonic fit is read back on the players it was fitted to, so say so.
+function describeProbabilityFit(model) {
+  if (!model) return null;
+  if (!model.heldOut) return `In-sample: fitted and measured on ${model.seasons.join(", ")} (${model.points} players)`;
+  const { brier, baseRateBrier } = model.heldOut.pooled;
+  return `Held out season by season: Brier ${brier} vs ${baseRateBrier} for the base rate`;
+}
+
+// Team codes come from the data (statsapi uses AZ/ATH, curated rows use ARI/OAK)
+function getTeamOptions(players) {
+  const teams = [...new Set(players.map(p => p.team).filter(Boolean))].sort();
+  return ["All", ...teams];
+}
 
 // ─── MAIN APP ─────────────────────────────────────────────────────────────────
 export default function App() {
@@ -661,20 +383,60 @@ export default function App() {
   const [loading, setLoading] = useState(false);
   const [dataSource, setDataSource] = useState(null); // "live" | "demo"
   const [error, setError] = useState(null);
-  const [selected, setSelected] = useState(null);
-  const [filterPos, setFilterPos] = useState("All");
-  const [filterTeam, setFilterTeam] = useState("All");
-  const [minAge, setMinAge] = useState(18);
-  const [maxAge, setMaxAge] = useState(35);
-  const [showTop, setShowTop] = useState(25);
-  const [tab, setTab] = useState("rankings"); // rankings | methodology
-  const [selectedYear, setSelectedYear] = useState(2026); // 2025, 2026
-
-  const loadDemo = useCallback(() => {
-    const yearData = HISTORICAL_DATA[selectedYear] || HISTORICAL_DATA[2026];
-    const processed = processDemoData(yearData, selectedYear);
-    const scored = computeBreakoutScore(processed.map(p => ({ ...p })), selectedYear);
+  const [urlView] = useState(readUrlView); // the view the page was opened with
+  const [selectedKey, setSelectedKey] = useState(urlView.selectedKey); // playerId (or name for legacy rows)
+  const [compareKeys, setCompareKeys] = useState(() => (urlView.compare ? urlView.compare.split(",") : []));
+  const [compareOpen, setCompareOpen] = useState(urlView.compare.includes(","));
+  const [filterPos, setFilterPos] = useState(urlView.filterPos);
+  const [filterTeam, setFilterTeam] = useState(urlView.filterTeam);
+  const [minAge, setMinAge] = useState(urlView.minAge);
+  const [maxAge, setMaxAge] = useState(urlView.maxAge);
+  const [showTop, setShowTop] = useState(urlView.showTop);
+  const [watchlist, setWatchlist] = useState(loadStoredWatchlist);
+  const [watchOnly, setWatchOnly] = useState(urlView.watchOnly); // rankings filtered to the watchlist
+  const [watchTag, setWatchTag] = useState("All");
+  const [tablePrefs, setTablePrefs] = useState(loadTablePrefs); // { columns, sort }
+  const [showColumnPicker, setShowColumnPicker] = useState(false);
+  const [tab, setTab] = useState(urlView.tab); // rankings | movers | methodology
+  const [selectedYear, setSelectedYear] = useState(urlView.selectedYear ?? LATEST_DEMO_SEASON);
+  const [seasons, setSeasons] = useState(null); // manifest entries, null until loaded or if missing
+  const [manifestChecked, setManifestChecked] = useState(false);
+  const [backtest, setBacktest] = useState(null); // public/data/backtest.json, written by backtest.js
+  const [inSeason, setInSeason] = useState(urlView.inSeason); // score with this season's YTD stats blended in
+  const [inSeasonRanking, setInSeasonRanking] = useState(null); // { through, players }, null without YTD data
+  const [verdicts, setVerdicts] = useState(new Map()); // playerKey -> breakout verdict for selectedYear
+
+  const years = seasons && seasons.length > 0 ? seasons.map(s => s.year) : DEMO_SEASONS;
+  const latestYear = years[years.length - 1];
+  const historical = selectedYear < latestYear; // completed season - show actual results instead of projections
+
+  // Open on the newest season the manifest lists, unless the link names one
+  useEffect(() => {
+    loadManifest().then(list => {
+      setSeasons(list);
+      if (list && list.length > 0 && urlView.selectedYear == null) setSelectedYear(list[list.length - 1].year);
+      setManifestChecked(true);
+    });
+  }, [urlView]);
+
+  // Computed validation numbers for the banners - missing file just hides them
+  useEffect(() => {
+    fetch("/data/backtest.json")
+      .then(r => (r.ok ? r.json() : null))
+      .then(data => setBacktest(data))
+      .catch(() => setBacktest(null));
+  }, []);
+
+  const loadDemo = useCallback(async () => {
+    // Seasons without curated rows show the latest curated set, scored as its own year
+    const demoYear = HISTORICAL_DATA[selectedYear] ? selectedYear : LATEST_DEMO_SEASON;
+    const processed = processDemoData(HISTORICAL_DATA[demoYear], demoYear);
+    // The curated rows are far too few to be their own percentile population
+    const reference = getSeasonReference(await loadLeagueReference(), demoYear);
+    const scored = computeBreakoutScore(processed.map(p => ({ ...p })), demoYear, reference ? { reference } : {});
     setPlayers(scored);
+    setInSeasonRanking(null);
+    setVerdicts(getVerdicts(processed, demoYear));
     setDataSource("demo");
     setLoading(false);
   }, [selectedYear]);
@@ -694,36 +456,31 @@ const loadLive = useCallback(async () => {
       
       const data = await response.json();
       
-      if (!data.success || !data.players) {
-        throw new Error('Invalid data format');
+      // A file from an incompatible schema would score as garbage - refuse it
+      const problem = checkPlayersFile(data);
+      if (problem) {
+        throw new Error(`players-${selectedYear}.json: ${problem}`);
       }
       
       console.log(`✓ Loaded ${data.count} players from static data (last updated: ${data.lastUpdated})`);
       
-      // Calculate age from birthDate for each player
-      const today = new Date();
-      const playersWithAge = data.players.map(p => {
-        let age = p.age; // Use existing age if present
-        
-        if (p.birthDate && !age) {
-          // Calculate age from birth date
-          const birthDate = new Date(p.birthDate);
-          age = today.getFullYear() - birthDate.getFullYear();
-          
-          // Adjust if birthday hasn't occurred yet this year
-          const monthDiff = today.getMonth() - birthDate.getMonth();
-          if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) {
-            age--;
-          }
-        }
-        
-        return { ...p, age };
-      });
+      const playersWithAge = withAges(data.players, getSeasonAgeDate(selectedYear));
       
       // Data is already formatted correctly - just pass to scoring
-      const scored = computeBreakoutScore(playersWithAge, selectedYear);
+      const reference = getSeasonReference(await loadLeagueReference(), selectedYear);
+      const scored = computeBreakoutScore(playersWithAge, selectedYear, reference ? { reference } : {});
       
       setPlayers(scored);
+      // Year-to-date stats for the season being predicted, once there are some
+      const inSeasonDoc = await loadInSeason(selectedYear);
+      setInSeasonRanking(inSeasonDoc && {
+        through: inSeasonDoc.through,
+        players: scoreInSeason(playersWithAge, inSeasonDoc, selectedYear, reference ? { reference } : {}),
+      });
+      // Graded against the whole file - position ranks need every hitter, not just the ranked ones
+      setVerdicts(getVerdicts(playersWithAge, selectedYear, { inSeason: inSeasonDoc }));
+      // Remember watched players' scores - a newer file that moves one gets highlighted
+      setWatchlist(list => recordScores(list, scored, selectedYear, data.lastUpdated));
       setDataSource("live");
       setLoading(false);
       setError(null);
@@ -739,15 +496,88 @@ const loadLive = useCallback(async () => {
     loadLive();
   }, [selectedYear, loadLive]);
 
-  const filtered = players.filter(p => {
-    if (filterPos !== "All" && !p.position?.includes(filterPos)) return false;
-    if (filterTeam !== "All" && p.team !== filterTeam) return false;
-    if (p.age != null && (p.age < minAge || p.age > maxAge)) return false;
-    return true;
-  }).slice(0, showTop);
+  // Score -> probability map from backtest.js. It's fitted with one weights
+  // profile; the app scores with the default one, so anything else doesn't apply.
+  const probabilityModel = (backtest?.weights ?? "default") === "default" ? backtest?.probabilityModel : null;
+  const probabilityFit = describeProbabilityFit(probabilityModel);
+  const inSeasonActive = inSeason && inSeasonRanking != null;
+  const scoredPlayers = inSeasonActive ? inSeasonRanking.players : players;
+  const ranked = useMemo(
+    () => withProbabilities(scoredPlayers, probabilityModel).map((p, i) => ({ ...p, rank: i + 1 })),
+    [scoredPlayers, probabilityModel]
+  );
+
+  const watchedKeys = Object.keys(watchlist.players)
+    .filter(key => watchTag === "All" || watchlist.players[key].tags.includes(watchTag));
+  const filters = { position: filterPos, team: filterTeam, minAge, maxAge, top: showTop, only: watchOnly ? watchedKeys : null };
+  const filtered = filterPlayers(ranked, filters);
+  // Show-top picks the model's top N; the table's sort only reorders them
+  const sorted = sortPlayers(filtered, tablePrefs.sort, selectedYear);
+
+  useEffect(() => { saveTablePrefs(tablePrefs); }, [tablePrefs]);
+  useEffect(() => { saveStoredWatchlist(watchlist); }, [watchlist]);
+
+  const toggleWatch = (p) => setWatchlist(list => toggleWatched(list, p));
+  const exportWatchlist = () => downloadFile("breakout-watchlist.json", JSON.stringify(watchlist, null, 2), "application/json");
+  const importWatchlist = () => {
+    pickJsonFile()
+      .then(doc => setWatchlist(list => mergeWatchlists(list, loadWatchlist(doc))))
+      .catch(err => setError(`Could not import watchlist: ${err.message}`));
+  };
 
   const topPlayer = filtered[0];
 
+  const backtestSeasons = backtest?.seasons || [];
+  const latestBacktest = backtestSeasons[backtestSeasons.length - 1] || null;
+  const yearBacktest = backtestSeasons.find(b => b.year === selectedYear) || null;
+
+  // Selection is keyed by playerId so it survives year switches and reloads
+  const selected = findPlayer(ranked, selectedKey);
+  const selectPlayer = (p) => setSelectedKey(playerKey(p));
+
+  // Compare mode - ticked rows, kept across filter and year changes
+  const comparing = compareKeys.map(key => findPlayer(ranked, key)).filter(Boolean);
+  const toggleCompare = (p) => {
+    const key = playerKey(p);
+    if (compareKeys.includes(key)) {
+      setCompareKeys(compareKeys.filter(k => k !== key));
+      if (compareKeys.length <= 2) setCompareOpen(false);
+    } else if (compareKeys.length < MAX_COMPARE) setCompareKeys([...compareKeys, key]);
+  };
+
+  // View -> URL. Each change is a history entry, so back/forward step through
+  // them; the first write (once the year is settled) only fills in the URL.
+  const compare = compareOpen ? compareKeys.join(",") : "";
+  const view = { selectedYear, tab, filterPos, filterTeam, minAge, maxAge, showTop, watchOnly, inSeason, selectedKey, compare };
+  const viewSearch = toUrlSearch(view);
+  const urlWritten = useRef(false);
+  useEffect(() => {
+    if (!manifestChecked) return;
+    writeUrlView(view, !urlWritten.current);
+    urlWritten.current = true;
+  }, [viewSearch, manifestChecked]);
+
+  // URL -> view on back/forward
+  useEffect(() => {
+    const onPopState = () => {
+      const next = readUrlView();
+      if (next.selectedYear != null) setSelectedYear(next.selectedYear);
+      setTab(next.tab);
+      setFilterPos(next.filterPos);
+      setFilterTeam(next.filterTeam);
+      setMinAge(next.minAge);
+      setMaxAge(next.maxAge);
+      setShowTop(next.showTop);
+      setWatchOnly(next.watchOnly);
+      setInSeason(next.inSeason);
+      setSelectedKey(next.selectedKey);
+      if (next.compare) setCompareKeys(next.compare.split(","));
+      setCompareOpen(next.compare.includes(","));
+    };
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
+
   return (
     <div style={{
       minHeight: "100vh",
@@ -777,7 +607,7 @@ const loadLive = useCallback(async () => {
               <span style={{
                 fontSize: 10, background: "#00ff8822", color: "#00ff88",
                 border: "1px solid #00ff8844", padding: "2px 8px", borderRadius: 3, letterSpacing: "0.1em"
-              }}>STATCAST 2026</span>
+              }}>STATCAST {latestYear}</span>
             </div>
             <div style={{ fontSize: 11, color: "#556", marginTop: 4, letterSpacing: "0.05em" }}>
               MULTI-FACTOR PREDICTIVE RANKING · POWERED BY BASEBALL SAVANT
@@ -785,7 +615,7 @@ const loadLive = useCallback(async () => {
           </div>
           <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
             <div style={{ display: "flex", gap: 4, background: "#0a0e14", padding: 4, borderRadius: 6, border: "1px solid #1a2530" }}>
-              {[2025, 2026].map(y => (
+              {years.map(y => (
                 <button
                   key={y}
                   onClick={() => setSelectedYear(y)}
@@ -800,7 +630,7 @@ const loadLive = useCallback(async () => {
               ))}
             </div>
             <div style={{ fontSize: 9, color: "#445", maxWidth: 180, lineHeight: 1.3 }}>
-              {selectedYear < 2026 ? `Historical: ${selectedYear - 1} data → ${selectedYear} prediction` : "Live: 2025 data → 2026 prediction"}
+              {historical ? "Historical" : "Live"}: {selectedYear - 1} data{inSeasonActive ? ` + ${selectedYear} YTD` : ""} → {selectedYear} prediction
             </div>
           </div>
           <div style={{ display: "flex", gap: 8 }}>
@@ -814,6 +644,16 @@ const loadLive = useCallback(async () => {
                 letterSpacing: "0.1em", fontFamily: "inherit"
               }}
             >RANKINGS</button>
+            <button
+              onClick={() => setTab("movers")}
+              style={{
+                background: tab === "movers" ? "#00ff8820" : "transparent",
+                border: `1px solid ${tab === "movers" ? "#00ff88" : "#1a2530"}`,
+                color: tab === "movers" ? "#00ff88" : "#556",
+                padding: "6px 16px", borderRadius: 4, fontSize: 11, cursor: "pointer",
+                letterSpacing: "0.1em", fontFamily: "inherit"
+              }}
+            >MOVERS</button>
             <button
               onClick={() => setTab("methodology")}
               style={{
@@ -866,6 +706,9 @@ const loadLive = useCallback(async () => {
             <span>ℹ</span> Showing curated demo dataset with authentic Statcast figures · {players.length} players
           </div>
         )}
+        {inSeasonActive && (
+          <InSeasonBanner ranking={inSeasonRanking} selectedYear={selectedYear} />
+        )}
         
         {/* MODEL VERSION BANNER */}
         <div style={{
@@ -883,7 +726,9 @@ const loadLive = useCallback(async () => {
             </div>
           </div>
           <div style={{ fontSize: 9, color: "#445", textAlign: "right" }}>
-            Expected accuracy: 78-82%
+            {latestBacktest
+              ? `Backtested ${latestBacktest.year}: top-20 precision ${formatPct(latestBacktest.precisionAt[20])}`
+              : "Backtest not yet run"}
           </div>
         </div>
 
@@ -913,14 +758,22 @@ const loadLive = useCallback(async () => {
                 HISTORICAL ACCURACY
               </div>
               <div style={{ fontSize: 12, color: "#dde", lineHeight: 1.8 }}>
-                <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 4 }}>
-                  <span style={{ color: "#00cc66", fontSize: 14 }}>✓</span>
-                  <span><strong style={{ color: "#00cc66" }}>2024:</strong> 8/10 correct (80%)</span>
-                </div>
-                <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
-                  <span style={{ color: "#00cc66", fontSize: 14 }}>✓</span>
-                  <span><strong style={{ color: "#00cc66" }}>2023:</strong> 8/10 correct (80%)</span>
-                </div>
+                {backtestSeasons.length === 0 && (
+                  <div style={{ color: "#667" }}>No completed seasons backtested yet</div>
+                )}
+                {[...backtestSeasons].reverse().map(b => (
+                  <div key={b.year} style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 4 }}>
+                    <span style={{ color: "#00cc66", fontSize: 14 }}>✓</span>
+                    <span>
+                      <strong style={{ color: "#00cc66" }}>{b.year}:</strong> {b.hitsAt[20]}/20 top-20 breakouts ({formatPct(b.precisionAt[20])})
+                    </span>
+                  </div>
+                ))}
+                {probabilityFit && (
+                  <div style={{ fontSize: 10, color: "#667", marginTop: 4 }}>
+                    Breakout probabilities · {probabilityFit}
+                  </div>
+                )}
               </div>
             </div>
 
@@ -944,23 +797,28 @@ const loadLive = useCallback(async () => {
             marginTop: 16, paddingTop: 16, borderTop: "1px solid #ffaa0022",
             display: "flex", gap: 24, flexWrap: "wrap", fontSize: 10, color: "#778"
           }}>
-            <div>
-              <strong style={{ color: "#00ff88" }}>Top 5:</strong> 75% chance
-            </div>
-            <div>
-              <strong style={{ color: "#5588bb" }}>Top 10:</strong> 65% chance
-            </div>
-            <div>
-              <strong style={{ color: "#ffaa00" }}>Top 20:</strong> 50% chance
-            </div>
+            {BACKTEST_CUTOFFS.map((k, i) => (
+              <div key={k}>
+                <strong style={{ color: ["#00ff88", "#5588bb", "#ffaa00"][i] }}>Top {k}:</strong>{" "}
+                {formatPct(latestBacktest?.precisionAt[k])} hit rate
+              </div>
+            ))}
             <div style={{ marginLeft: "auto", fontStyle: "italic" }}>
-              Model captures ~67% of all league-wide breakouts
+              {latestBacktest
+                ? `Top 20 caught ${formatPct(latestBacktest.recallAt[20])} of ${latestBacktest.leagueBreakouts} league-wide breakouts in ${latestBacktest.year}`
+                : "Run backtest.js --write to compute hit rates"}
             </div>
           </div>
         </div>
 
         {tab === "methodology" ? (
           <MethodologyPanel />
+        ) : tab === "movers" ? (
+          <MoversPanel
+            season={seasons?.find(s => s.year === selectedYear) || null}
+            selectedYear={selectedYear}
+            onSelect={p => { if (findPlayer(ranked, p.key)) setSelectedKey(p.key); }}
+          />
         ) : (
           <>
             {/* FILTERS */}
@@ -970,7 +828,7 @@ const loadLive = useCallback(async () => {
               display: "flex", flexWrap: "wrap", gap: 16, alignItems: "center"
             }}>
               <FilterSelect label="POSITION" value={filterPos} onChange={setFilterPos} options={POSITIONS} />
-              <FilterSelect label="TEAM" value={filterTeam} onChange={setFilterTeam} options={TEAMS_SHORT} />
+              <FilterSelect label="TEAM" value={filterTeam} onChange={setFilterTeam} options={getTeamOptions(players)} />
               <div>
                 <div style={{ fontSize: 10, color: "#556", marginBottom: 4, letterSpacing: "0.1em" }}>MAX AGE</div>
                 <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
@@ -983,16 +841,68 @@ const loadLive = useCallback(async () => {
                 </div>
               </div>
               <FilterSelect label="SHOW TOP" value={showTop} onChange={v => setShowTop(+v)} options={[10,25,50,100,250,500]} />
+              <WatchlistControls
+                count={Object.keys(watchlist.players).length}
+                active={watchOnly}
+                onToggle={() => setWatchOnly(!watchOnly)}
+                tag={watchTag}
+                tags={getWatchlistTags(watchlist)}
+                onTag={setWatchTag}
+                onExport={exportWatchlist}
+                onImport={importWatchlist}
+              />
               <div style={{ marginLeft: "auto", fontSize: 11, color: "#445" }}>
                 {filtered.length} players shown
               </div>
+              <div style={{ display: "flex", gap: 6 }}>
+                {inSeasonRanking && (
+                  <button
+                    onClick={() => setInSeason(!inSeason)}
+                    title={`Blend ${selectedYear} stats through ${inSeasonRanking.through} into the scores`}
+                    style={{
+                      background: inSeason ? "#00ff8820" : "transparent",
+                      border: `1px solid ${inSeason ? "#00ff88" : "#1a2530"}`,
+                      color: inSeason ? "#00ff88" : "#556", padding: "5px 10px", borderRadius: 4,
+                      fontSize: 10, cursor: "pointer", letterSpacing: "0.1em", fontFamily: "inherit"
+                    }}
+                  >◐ IN-SEASON</button>
+                )}
+                <button
+                  onClick={() => setShowColumnPicker(!showColumnPicker)}
+                  style={{
+                    background: showColumnPicker ? "#00ff8820" : "transparent",
+                    border: `1px solid ${showColumnPicker ? "#00ff88" : "#1a2530"}`,
+                    color: showColumnPicker ? "#00ff88" : "#556", padding: "5px 10px", borderRadius: 4,
+                    fontSize: 10, cursor: "pointer", letterSpacing: "0.1em", fontFamily: "inherit"
+                  }}
+                >☰ COLUMNS</button>
+                {["csv", "xlsx"].map(format => (
+                  <button
+                    key={format}
+                    onClick={() => exportRankings(sorted, selectedYear, filters, format)}
+                    disabled={filtered.length === 0}
+                    style={{
+                      background: "transparent", border: "1px solid #1a2530",
+                      color: "#556", padding: "5px 10px", borderRadius: 4,
+                      fontSize: 10, cursor: "pointer", letterSpacing: "0.1em", fontFamily: "inherit"
+                    }}
+                  >⤓ {format.toUpperCase()}</button>
+                ))}
+              </div>
             </div>
 
-            {/* HISTORICAL SUCCESS RATE - only show for 2023 and 2024 */}
-            {(selectedYear === 2023 || selectedYear === 2024) && (
+            {showColumnPicker && (
+              <ColumnPicker
+                columns={tablePrefs.columns}
+                onChange={columns => setTablePrefs({ ...tablePrefs, columns })}
+                onReset={() => setTablePrefs(DEFAULT_TABLE_PREFS)}
+              />
+            )}
+
+            {/* MODEL VALIDATION - computed by backtest.js for seasons with actual results */}
+            {yearBacktest && (
               <div style={{
-                background: selectedYear === 2023 ? "#001a0f" : "#0a1220",
-                border: selectedYear === 2023 ? "1px solid #004422" : "1px solid #1a2540",
+                background: "#001a0f", border: "1px solid #004422",
                 borderRadius: 8, padding: "14px 20px", marginBottom: 20,
                 display: "flex", alignItems: "center", justifyContent: "space-between", flexWrap: "wrap", gap: 16
               }}>
@@ -1001,35 +911,79 @@ const loadLive = useCallback(async () => {
                     MODEL VALIDATION · {selectedYear - 1} DATA → {selectedYear} PREDICTIONS
                   </div>
                   <div style={{ fontSize: 14, color: "#dde", fontWeight: 600 }}>
-                    {selectedYear === 2023 && "Historical Accuracy: 80% (4/5 successes)"}
-                    {selectedYear === 2024 && "Historical Accuracy: 60% (3/5 successes)"}
+                    Precision@5 {formatPct(yearBacktest.precisionAt[5])} · @10 {formatPct(yearBacktest.precisionAt[10])} · @20 {formatPct(yearBacktest.precisionAt[20])}
+                  </div>
+                  <div style={{ fontSize: 10, color: "#667", marginTop: 4 }}>
+                    {yearBacktest.leagueBreakouts} league breakouts · top 20 recall {formatPct(yearBacktest.recallAt[20])}
                   </div>
                 </div>
                 <div style={{ fontSize: 10, color: "#667", maxWidth: 400, lineHeight: 1.5 }}>
-                  {selectedYear === 2023 && "Top hits: Yandy Díaz (batting champ), Luis Robert Jr. (All-Star, 38 HR), Corbin Carroll (NL ROY)"}
-                  {selectedYear === 2024 && "Top hits: Bobby Witt Jr. (MVP runner-up), Jarren Duran (All-Star), Jackson Merrill (ROY finalist)"}
+                  Top hits: {yearBacktest.topHits.slice(0, 4).map(h => `${h.name} (#${h.rank})`).join(", ") || "none"}
                 </div>
               </div>
             )}
 
             {/* HERO CARD (top player) */}
             {topPlayer && !loading && (
-              <HeroCard player={topPlayer} onClick={() => setSelected(topPlayer)} />
+              <HeroCard player={topPlayer} onClick={() => selectPlayer(topPlayer)} />
             )}
 
             {/* TABLE */}
             {loading ? (
               <LoadingState />
             ) : (
-              <RankingsTable players={filtered} onSelect={setSelected} selected={selected} selectedYear={selectedYear} />
+              <RankingsTable
+                players={sorted}
+                columns={getTableColumns(tablePrefs.columns)}
+                sort={tablePrefs.sort}
+                onSort={sort => setTablePrefs({ ...tablePrefs, sort })}
+                onSelect={selectPlayer}
+                selected={selected}
+                compareKeys={compareKeys}
+                onToggleCompare={toggleCompare}
+                watchlist={watchlist}
+                onToggleWatch={toggleWatch}
+                selectedYear={selectedYear}
+                historical={historical}
+                verdicts={verdicts}
+              />
             )}
 
-            {/* DETAIL PANEL */}
-            {selected && (
-              <DetailPanel player={selected} onClose={() => setSelected(null)} selectedYear={selectedYear} />
+            {/* COMPARE BAR - appears once a row is ticked */}
+            {compareKeys.length > 0 && !compareOpen && (
+              <CompareBar
+                players={comparing}
+                onOpen={() => setCompareOpen(true)}
+                onRemove={p => toggleCompare(p)}
+                onClear={() => setCompareKeys([])}
+              />
+            )}
+
+            {compareOpen && comparing.length >= 2 && (
+              <ComparePanel
+                players={comparing}
+                selectedYear={selectedYear}
+                onRemove={p => toggleCompare(p)}
+                onClose={() => setCompareOpen(false)}
+              />
             )}
           </>
         )}
+
+        {/* DETAIL PANEL - from the rankings or the movers */}
+        {selected && tab !== "methodology" && (
+          <DetailPanel
+            player={selected}
+            onClose={() => setSelectedKey(null)}
+            selectedYear={selectedYear}
+            historical={historical}
+            verdict={verdicts.get(playerKey(selected))}
+            probabilityFit={probabilityFit}
+            watchlist={watchlist}
+            onToggleWatch={toggleWatch}
+            onUpdateWatch={(key, changes) => setWatchlist(list => updateWatched(list, key, changes))}
+          />
+        )}
       </main>
     </div>
   );
@@ -1090,7 +1044,7 @@ function HeroCard({ player, onClick }) {
           {player.name}
         </div>
         <div style={{ fontSize: 13, color: "#556", marginTop: 4 }}>
-          {player.team} · {player.position} · Age {player.age ?? "—"}
+          {player.team || "—"} · {player.position || "—"} · Age {player.age ?? "—"}
         </div>
         
         {/* Breakout Type Badge */}
@@ -1127,6 +1081,12 @@ function HeroCard({ player, onClick }) {
           {player.breakoutScore}
         </div>
         <TierBadge tier={tier} />
+        {player.breakoutProbability != null && (
+          <div style={{ fontSize: 11, color: "#aab", marginTop: 8 }}>
+            {formatPct(player.breakoutProbability)} breakout probability
+            <span style={{ color: "#556" }}> ({formatInterval(player)})</span>
+          </div>
+        )}
         
         {/* Confidence Tier */}
         <div style={{
@@ -1146,46 +1106,133 @@ function HeroCard({ player, onClick }) {
 }
 
 // ─── RANKINGS TABLE ────────────────────────────────────────────────────────────
-function RankingsTable({ players, onSelect, selected, selectedYear }) {
+// Every player field the table can show. RK and PLAYER are always there; the
+// rest are picked and ordered in the column picker. key is what sortPlayers
+// sorts on.
+const TABLE_COLUMNS = [
+  { key: "team", label: "TEAM", width: "56px", format: "text", sortFirst: "asc" },
+  { key: "position", label: "POS", width: "56px", format: "text", sortFirst: "asc" },
+  { key: "age", label: "AGE", width: "64px", format: "int", color: "#7a8", sortFirst: "asc" },
+  { key: "pa", label: "PA", width: "64px", format: "int", color: "#556" },
+  { key: "xwoba", label: "xwOBA", width: "80px", format: "3dec" },
+  { key: "woba", label: "wOBA", width: "80px", format: "3dec" },
+  { key: "careerWoba", label: "CAREER wOBA", width: "96px", format: "3dec" },
+  { key: "careerXwoba", label: "CAREER xwOBA", width: "96px", format: "3dec" },
+  { key: "careerPa", label: "CAREER PA", width: "80px", format: "int" },
+  { key: "yearsInMLB", label: "YRS", width: "56px", format: "int" },
+  { key: "xwobaSurplus", label: "SURPLUS", width: "80px", format: "surplus" },
+  { key: "xwobaTrajectory", label: "xwOBA Δ", width: "80px", format: "signed3" },
+  { key: "hardHitRate", label: "HH%", width: "80px", format: "pct" },
+  { key: "barrelRate", label: "BBL%", width: "80px", format: "pct" },
+  { key: "kRate", label: "K%", width: "72px", format: "pct", sortFirst: "asc" },
+  { key: "chaseRate", label: "CHASE%", width: "72px", format: "pct", sortFirst: "asc" },
+  { key: "pullRate", label: "PULL%", width: "72px", format: "pct" },
+  { key: "batSpeed", label: "BAT SPD", width: "72px", format: "1dec" },
+  { key: "launchAngle", label: "LA°", width: "64px", format: "1dec" },
+  { key: "launchAngleDelta", label: "LA Δ", width: "64px", format: "signed1" },
+  { key: "hardHitImprovement", label: "HH% Δ", width: "72px", format: "signedPct" },
+  { key: "barrelImprovement", label: "BBL% Δ", width: "72px", format: "signedPct" },
+  { key: "kRateImprovement", label: "K% Δ", width: "72px", format: "signedPct" },
+  { key: "chaseImprovement", label: "CHASE Δ", width: "72px", format: "signedPct" },
+  { key: "breakoutScore", label: "SCORE", width: "96px", format: "score", align: "right" },
+  { key: "breakoutProbability", label: "P(BREAKOUT)", width: "88px", format: "probability", align: "right" },
+];
+
+const DEFAULT_TABLE_PREFS = {
+  columns: ["age", "pa", "xwoba", "xwobaSurplus", "hardHitRate", "barrelRate", "breakoutScore", "breakoutProbability"],
+  sort: { key: "rank", direction: "asc" },
+};
+
+// Column choice, order and sort are kept in localStorage, so each browser
+// reopens the table the way its user left it
+const TABLE_PREFS_KEY = "breakout.rankingsTable";
+
+function loadTablePrefs() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(TABLE_PREFS_KEY));
+    const columns = (saved?.columns || []).filter(key => TABLE_COLUMNS.some(c => c.key === key));
+    return {
+      columns: columns.length > 0 ? columns : DEFAULT_TABLE_PREFS.columns,
+      sort: saved?.sort?.key ? saved.sort : DEFAULT_TABLE_PREFS.sort,
+    };
+  } catch (err) {
+    return DEFAULT_TABLE_PREFS;
+  }
+}
+
+function saveTablePrefs(prefs) {
+  try {
+    window.localStorage.setItem(TABLE_PREFS_KEY, JSON.stringify(prefs));
+  } catch (err) {
+    // Private browsing / storage disabled - the choice just won't persist
+  }
+}
+
+function getTableColumns(keys) {
+  return keys.map(key => TABLE_COLUMNS.find(c => c.key === key)).filter(Boolean);
+}
+
+// Same click cycle everywhere: a new column starts in its natural direction,
+// a second click flips it
+function nextSort(sort, key, sortFirst = "desc") {
+  if (sort.key !== key) return { key, direction: sortFirst };
+  return { key, direction: sort.direction === "asc" ? "desc" : "asc" };
+}
+
+function TableCell({ column, player, selectedYear }) {
+  const value = getSortValue(player, column.key, selectedYear);
+  if (column.format === "score") return <ScoreBar score={player.breakoutScore} tier={getTier(player.breakoutScore)} />;
+  if (column.format === "probability") {
+    return (
+      <>
+        <div style={{ fontSize: 12, color: "#aab" }}>{formatPct(player.breakoutProbability)}</div>
+        <div style={{ fontSize: 9, color: "#445" }}>{formatInterval(player)}</div>
+      </>
+    );
+  }
+  if (column.format === "surplus") return <SurplusCell value={value} />;
+  return <StatCell value={value} format={column.format} color={column.color} />;
+}
+
+function RankingsTable({ players, columns, sort, onSort, onSelect, selected, compareKeys, onToggleCompare, watchlist, onToggleWatch, selectedYear, historical, verdicts }) {
+  const gridTemplateColumns = ["72px", "minmax(160px, 1fr)", ...columns.map(c => c.width), ...(historical ? ["1fr"] : [])].join(" ");
+  const header = (key, label, align, sortFirst) => (
+    <div
+      key={key}
+      onClick={() => onSort(nextSort(sort, key, sortFirst))}
+      style={{ textAlign: align, cursor: "pointer", userSelect: "none", color: sort.key === key ? "#00ff88" : undefined }}
+    >
+      {label}{sort.key === key ? (sort.direction === "asc" ? " ▲" : " ▼") : ""}
+    </div>
+  );
   return (
-    <div style={{ background: "#0d1520", border: "1px solid #1a2530", borderRadius: 8, overflow: "hidden" }}>
-      {/* Table header */}
+    <div style={{ background: "#0d1520", border: "1px solid #1a2530", borderRadius: 8, overflowX: "auto" }}>
+      {/* Table header - click a column to sort by it */}
       <div style={{
         display: "grid",
-        gridTemplateColumns: selectedYear < 2026 
-          ? "48px 1fr 64px 64px 80px 80px 80px 80px 96px 1fr"
-          : "48px 1fr 64px 64px 80px 80px 80px 80px 96px",
+        gridTemplateColumns,
         padding: "10px 16px", borderBottom: "1px solid #1a2530",
         fontSize: 10, color: "#445", letterSpacing: "0.12em"
       }}>
-        <div>RK</div>
-        <div>PLAYER</div>
-        <div style={{ textAlign: "center" }}>AGE</div>
-        <div style={{ textAlign: "center" }}>PA</div>
-        <div style={{ textAlign: "center" }}>xwOBA</div>
-        <div style={{ textAlign: "center" }}>SURPLUS</div>
-        <div style={{ textAlign: "center" }}>HH%</div>
-        <div style={{ textAlign: "center" }}>BBL%</div>
-        <div style={{ textAlign: "right" }}>SCORE</div>
-        {selectedYear < 2026 && <div>ACTUAL RESULT</div>}
+        {header("rank", "RK", "left", "asc")}
+        {header("name", "PLAYER", "left", "asc")}
+        {columns.map(c => header(c.key, c.label, c.align || "center", c.sortFirst))}
+        {historical && <div>VERDICT</div>}
       </div>
 
       {players.map((p, i) => {
         const tier = getTier(p.breakoutScore);
-        const isSelected = selected?.name === p.name;
+        const isSelected = selected != null && playerKey(selected) === playerKey(p);
         const confidenceTier = SAMPLE_SIZE_ADJUSTMENTS.getTier(p.pa);
         const kRateFlag = K_RATE_PENALTIES.getFlag(p.kRate);
         
-        // Calculate breakout tier for 2025 tab (2-tier system)
-        // Requirements: +.030 or +.050 improvement AND woba25 >= .320 AND pa25 >= 300 (breakout year PA)
+        // Actual outcome for completed seasons (2-tier system, see BREAKOUT_DEFINITION)
+        const breakoutLevel = classifyBreakout(p, selectedYear);
         let breakoutTier = null;
-        if (selectedYear === 2025 && p.woba25 != null && p.woba24 != null && p.woba25 >= 0.320 && p.pa25 != null && p.pa25 >= 300) {
-          const improvement = p.woba25 - p.woba24;
-          if (improvement >= 0.050) {
-            breakoutTier = { level: 'major', color: '#00ff44', bg: '#004411aa' }; // Major breakout
-          } else if (improvement >= 0.030) {
-            breakoutTier = { level: 'minor', color: '#00bb22', bg: '#002211aa' }; // Minor breakout
-          }
+        if (breakoutLevel === 'major') {
+          breakoutTier = { level: 'major', color: '#00ff44', bg: '#004411aa' }; // Major breakout
+        } else if (breakoutLevel === 'minor') {
+          breakoutTier = { level: 'minor', color: '#00bb22', bg: '#002211aa' }; // Minor breakout
         }
         
         // Determine row background - prioritize breakout highlighting
@@ -1200,13 +1247,11 @@ function RankingsTable({ players, onSelect, selected, selectedYear }) {
         
         return (
           <div
-            key={p.name + i}
+            key={playerKey(p) + i}
             onClick={() => onSelect(isSelected ? null : p)}
             style={{
               display: "grid",
-              gridTemplateColumns: selectedYear < 2026 
-                ? "48px 1fr 64px 64px 80px 80px 80px 80px 96px 1fr"
-                : "48px 1fr 64px 64px 80px 80px 80px 80px 96px",
+              gridTemplateColumns,
               padding: "11px 16px",
               borderBottom: "1px solid #0f1820",
               cursor: "pointer",
@@ -1215,11 +1260,26 @@ function RankingsTable({ players, onSelect, selected, selectedYear }) {
               alignItems: "center",
             }}
           >
-            <div style={{ fontSize: 12, color: "#445" }}>#{i + 1}</div>
+            {/* Compare tick + model rank (stays put when the table is re-sorted) */}
+            <div style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, color: "#445" }}>
+              <input
+                type="checkbox"
+                title={compareKeys.includes(playerKey(p)) ? "Remove from comparison" : `Compare (up to ${MAX_COMPARE})`}
+                checked={compareKeys.includes(playerKey(p))}
+                disabled={!compareKeys.includes(playerKey(p)) && compareKeys.length >= MAX_COMPARE}
+                onClick={e => e.stopPropagation()}
+                onChange={() => onToggleCompare(p)}
+                style={{ accentColor: "#00ff88", margin: 0, cursor: "pointer" }}
+              />
+              #{p.rank ?? i + 1}
+            </div>
             <div>
               <div style={{ display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap" }}>
+                <WatchStar watched={isWatched(watchlist, p)} onToggle={() => onToggleWatch(p)} />
                 <span style={{ fontSize: 13, color: "#dde", fontWeight: 600 }}>{p.name}</span>
-                {/* Show simple breakout badge text on 2025 tab */}
+                <ScoreChangeBadge change={getScoreChange(watchlist, p, selectedYear)} />
+                <InSeasonBadge check={p.inSeasonCheck} preseasonScore={p.preseasonScore} />
+                {/* Show simple breakout badge text on completed seasons */}
                 {breakoutTier && (
                   <span style={{
                     fontSize: 8, padding: "2px 6px", borderRadius: 3,
@@ -1241,28 +1301,17 @@ function RankingsTable({ players, onSelect, selected, selectedYear }) {
                   <span style={{ fontSize: 11 }}>{kRateFlag.icon}</span>
                 )}
               </div>
-              <div style={{ fontSize: 10, color: "#445", marginTop: 1 }}>{p.team} · {p.position}</div>
-            </div>
-            <div style={{ textAlign: "center", fontSize: 12, color: "#7a8" }}>{p.age ?? "—"}</div>
-            <div style={{ textAlign: "center", fontSize: 12, color: "#556" }}>{p.pa != null ? Math.round(p.pa) : "—"}</div>
-            <div style={{ textAlign: "center" }}>
-              <StatCell value={p[getFieldNames(selectedYear).currentXwoba]} format="3dec" />
+              <div style={{ fontSize: 10, color: "#445", marginTop: 1 }}>{p.team || "—"} · {p.position || "—"}</div>
             </div>
-            <div style={{ textAlign: "center" }}>
-              <SurplusCell value={p.xwobaSurplus} />
-            </div>
-            <div style={{ textAlign: "center" }}>
-              <StatCell value={p.hardHitRate} format="pct" />
-            </div>
-            <div style={{ textAlign: "center" }}>
-              <StatCell value={p.barrelRate} format="pct" />
-            </div>
-            <div style={{ textAlign: "right" }}>
-              <ScoreBar score={p.breakoutScore} tier={tier} />
-            </div>
-            {selectedYear < 2026 && (
-              <div style={{ fontSize: 11, color: p.actualResult?.startsWith("✅") ? "#00cc66" : p.actualResult?.startsWith("❌") ? "#cc4444" : "#888", paddingLeft: 12 }}>
-                {p.actualResult || "—"}
+            {columns.map(c => (
+              <div key={c.key} style={{ textAlign: c.align || "center" }}>
+                <TableCell column={c} player={p} selectedYear={selectedYear} />
+              </div>
+            ))}
+            {historical && (
+              <div style={{ fontSize: 11, color: "#888", paddingLeft: 12 }}>
+                <VerdictBadge verdict={verdicts.get(playerKey(p))} />
+                {p.resultNote && <div style={{ fontSize: 10, color: "#556", marginTop: 2 }}>{p.resultNote}</div>}
               </div>
             )}
           </div>
@@ -1272,13 +1321,690 @@ function RankingsTable({ players, onSelect, selected, selectedYear }) {
   );
 }
 
-function StatCell({ value, format }) {
+// ─── WATCHLIST ─────────────────────────────────────────────────────────────────
+function WatchStar({ watched, onToggle, size = 13 }) {
+  return (
+    <span
+      title={watched ? "Remove from watchlist" : "Add to watchlist"}
+      onClick={e => { e.stopPropagation(); onToggle(); }}
+      style={{ fontSize: size, color: watched ? "#ffcc00" : "#334", cursor: "pointer", lineHeight: 1 }}
+    >{watched ? "★" : "☆"}</span>
+  );
+}
+
+// A watched player's score moved since the previous data file
+function ScoreChangeBadge({ change }) {
+  if (!change) return null;
+  const up = change.delta > 0;
+  return (
+    <span title={`Score ${change.previous} → ${change.current} in the latest data`} style={{
+      fontSize: 9, padding: "1px 5px", borderRadius: 3, fontWeight: 700, letterSpacing: "0.05em",
+      color: up ? "#00ff88" : "#ff8844", background: up ? "#00ff8815" : "#ff884415",
+      border: `1px solid ${up ? "#00ff8844" : "#ff884444"}`
+    }}>{up ? "▲" : "▼"} {up ? "+" : ""}{change.delta}</span>
+  );
+}
+
+function WatchlistControls({ count, active, onToggle, tag, tags, onTag, onExport, onImport }) {
+  const small = {
+    background: "transparent", border: "1px solid #1a2530", color: "#556", padding: "5px 8px",
+    borderRadius: 4, fontSize: 10, cursor: "pointer", letterSpacing: "0.1em", fontFamily: "inherit"
+  };
+  return (
+    <div style={{ display: "flex", alignItems: "flex-end", gap: 6 }}>
+      <div>
+        <div style={{ fontSize: 10, color: "#556", marginBottom: 4, letterSpacing: "0.1em" }}>WATCHLIST</div>
+        <button onClick={onToggle} style={{
+          ...small,
+          background: active ? "#ffcc0020" : "transparent",
+          border: `1px solid ${active ? "#ffcc00" : "#1a2530"}`,
+          color: active ? "#ffcc00" : "#556"
+        }}>★ {active ? "ONLY WATCHED" : "ALL PLAYERS"} ({count})</button>
+      </div>
+      {active && tags.length > 0 && (
+        <FilterSelect label="TAG" value={tag} onChange={onTag} options={["All", ...tags]} />
+      )}
+      <button onClick={onExport} disabled={count === 0} title="Download the watchlist as JSON" style={small}>⤓ JSON</button>
+      <button onClick={onImport} title="Merge a shared watchlist JSON into yours" style={small}>⤒ IMPORT</button>
+    </div>
+  );
+}
+
+// Notes and tags for a watched player, in the detail panel
+function WatchNotes({ entry, onChange }) {
+  const field = {
+    width: "100%", boxSizing: "border-box", background: "#080c10", border: "1px solid #1a2530",
+    color: "#ccd", borderRadius: 4, padding: "6px 8px", fontSize: 11, fontFamily: "inherit", outline: "none"
+  };
+  const [tagText, setTagText] = useState(entry.tags.join(", "));
+  return (
+    <div style={{
+      background: "#14110a", border: "1px solid #ffcc0033",
+      borderRadius: 8, padding: 14, marginBottom: 20
+    }}>
+      <div style={{ fontSize: 10, color: "#556", letterSpacing: "0.1em", marginBottom: 8 }}>
+        WATCHLIST NOTES {entry.addedAt && <span style={{ color: "#445" }}>· added {entry.addedAt.slice(0, 10)}</span>}
+      </div>
+      <textarea
+        value={entry.note}
+        onChange={e => onChange({ note: e.target.value })}
+        placeholder="Notes - draft plans, scouting reads, what to check next"
+        rows={4}
+        style={{ ...field, resize: "vertical", marginBottom: 8 }}
+      />
+      <input
+        value={tagText}
+        onChange={e => setTagText(e.target.value)}
+        onBlur={() => onChange({ tags: tagText })}
+        placeholder="Tags, comma-separated (e.g. sleeper, 2b-target)"
+        style={field}
+      />
+    </div>
+  );
+}
+
+// ─── COMPARE ───────────────────────────────────────────────────────────────────
+const COMPARE_WIN = { color: "#00ff88", bg: "#00ff8812" };
+
+function formatCompareValue(value, format) {
+  if (value == null) return "—";
+  switch (format) {
+    case "pct": return formatPct(value);
+    case "3dec": return value.toFixed(3);
+    case "int": return Math.round(value);
+    case "percentile": return ordinal(Math.round(value));
+    case "multiplier": return `×${value.toFixed(2)}`;
+    // Raw signals mix rates, deltas and mph
+    case "signal": return Math.abs(value) < 2 ? value.toFixed(3) : value.toFixed(1);
+    default: return value;
+  }
+}
+
+function CompareBar({ players, onOpen, onRemove, onClear }) {
+  return (
+    <div style={{
+      position: "fixed", left: "50%", bottom: 20, transform: "translateX(-50%)", zIndex: 150,
+      background: "#0d1520", border: "1px solid #00ff8855", borderRadius: 8,
+      padding: "10px 14px", display: "flex", alignItems: "center", gap: 10,
+      boxShadow: "0 10px 40px #000a"
+    }}>
+      <span style={{ fontSize: 10, color: "#556", letterSpacing: "0.1em" }}>COMPARE {players.length}/{MAX_COMPARE}</span>
+      {players.map(p => (
+        <span key={playerKey(p)} style={{
+          fontSize: 11, color: "#dde", background: "#080c10", border: "1px solid #1a2530",
+          borderRadius: 4, padding: "3px 8px", display: "flex", gap: 6, alignItems: "center"
+        }}>
+          {p.name}
+          <span onClick={() => onRemove(p)} style={{ color: "#556", cursor: "pointer" }}>✕</span>
+        </span>
+      ))}
+      <button onClick={onOpen} disabled={players.length < 2} style={{
+        background: players.length < 2 ? "transparent" : "#00ff8820",
+        border: `1px solid ${players.length < 2 ? "#1a2530" : "#00ff88"}`,
+        color: players.length < 2 ? "#445" : "#00ff88", padding: "5px 12px", borderRadius: 4,
+        fontSize: 10, cursor: players.length < 2 ? "default" : "pointer", letterSpacing: "0.1em", fontFamily: "inherit"
+      }}>{players.length < 2 ? "PICK ONE MORE" : "COMPARE"}</button>
+      <button onClick={onClear} style={{
+        background: "transparent", border: "1px solid #1a2530", color: "#556", padding: "5px 10px",
+        borderRadius: 4, fontSize: 10, cursor: "pointer", letterSpacing: "0.1em", fontFamily: "inherit"
+      }}>CLEAR</button>
+    </div>
+  );
+}
+
+// Two to four players side by side; each row's best value is highlighted
+function ComparePanel({ players, selectedYear, onRemove, onClose }) {
+  const { sections, wins } = comparePlayers(players, selectedYear);
+  const gridTemplateColumns = `200px repeat(${players.length}, minmax(0, 1fr))`;
+
+  return (
+    <div onClick={onClose} style={{
+      position: "fixed", inset: 0, zIndex: 300, background: "#000c",
+      overflowY: "auto", padding: "32px 20px"
+    }}>
+      <div onClick={e => e.stopPropagation()} style={{
+        maxWidth: 1100, margin: "0 auto", background: "#0a0e14",
+        border: "1px solid #1a2530", borderRadius: 8, padding: 24
+      }}>
+        <button onClick={onClose} style={{
+          float: "right", background: "none", border: "none",
+          color: "#556", cursor: "pointer", fontSize: 18, padding: 4
+        }}>✕</button>
+        <div style={{ fontSize: 10, color: "#556", letterSpacing: "0.15em", marginBottom: 16 }}>
+          PLAYER COMPARISON · {selectedYear - 1} DATA → {selectedYear}
+        </div>
+
+        {/* Player headers */}
+        <div style={{ display: "grid", gridTemplateColumns, gap: 8, marginBottom: 16 }}>
+          <div />
+          {players.map((p, i) => {
+            const tier = getTier(p.breakoutScore);
+            const mostWins = wins[i] === Math.max(...wins);
+            return (
+              <div key={playerKey(p)} style={{
+                background: tier.bg, border: `1px solid ${mostWins ? COMPARE_WIN.color : tier.color + "33"}`,
+                borderRadius: 8, padding: 12, position: "relative"
+              }}>
+                <span onClick={() => onRemove(p)} title="Remove from comparison" style={{
+                  position: "absolute", top: 6, right: 8, color: "#556", cursor: "pointer", fontSize: 12
+                }}>✕</span>
+                <div style={{ fontSize: 15, fontWeight: 700, color: "#fff", paddingRight: 16 }}>{p.name}</div>
+                <div style={{ fontSize: 11, color: "#556" }}>{p.team || "—"} · {p.position || "—"} · Age {p.age ?? "—"} · #{p.rank}</div>
+                <div style={{ display: "flex", alignItems: "baseline", gap: 8, marginTop: 8 }}>
+                  <span style={{ fontSize: 28, fontWeight: 900, color: tier.color }}>{p.breakoutScore}</span>
+                  <TierBadge tier={tier} />
+                </div>
+                <div style={{ fontSize: 10, color: mostWins ? COMPARE_WIN.color : "#667", marginTop: 4 }}>
+                  Best on {wins[i]} dimension{wins[i] === 1 ? "" : "s"}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        {sections.map(section => (
+          <div key={section.key} style={{ marginBottom: 16 }}>
+            <div style={{ fontSize: 10, color: "#556", letterSpacing: "0.1em", marginBottom: 6 }}>
+              {section.label.toUpperCase()}
+            </div>
+            {section.rows.map((r, ri) => (
+              <div key={r.key} style={{
+                display: "grid", gridTemplateColumns, gap: 8, padding: "5px 0",
+                borderTop: ri === 0 ? "1px solid #1a2530" : "1px solid #0f1820", alignItems: "start"
+              }}>
+                <div style={{ fontSize: 11, color: "#889" }}>{r.label}</div>
+                {r.values.map((v, i) => {
+                  const won = r.winners.includes(i);
+                  const band = r.details?.[i];
+                  return (
+                    <div key={i} style={{
+                      fontSize: 12, color: won ? COMPARE_WIN.color : "#aab", fontWeight: won ? 700 : 400,
+                      background: won ? COMPARE_WIN.bg : "transparent", borderRadius: 3, padding: "1px 6px"
+                    }}>
+                      {formatCompareValue(v, r.format)}
+                      {/* Projection bands and flag texts */}
+                      {section.key === "projection" && band && (
+                        <span style={{ fontSize: 9, color: "#556", fontWeight: 400 }}>
+                          {" "}{formatCompareValue(band.p10, r.format)}–{formatCompareValue(band.p90, r.format)}
+                        </span>
+                      )}
+                      {section.key === "flags" && Array.isArray(band) && band.map((f, fi) => (
+                        <div key={fi} style={{ fontSize: 10, color: "#889", fontWeight: 400, lineHeight: 1.4, marginTop: 2 }}>
+                          {f.icon} {f.text}
+                        </div>
+                      ))}
+                    </div>
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+        ))}
+
+        <div style={{ fontSize: 10, color: "#445", lineHeight: 1.5 }}>
+          Highlighted: best value in the row. Higher wins everywhere except risk flags. Multipliers above ×1.00 boost the score.
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ─── MOVERS ────────────────────────────────────────────────────────────────────
+// Two dated snapshots of the season (listed in the manifest, one per fetch)
+// ranked and diffed. Each side is ranked against its own population, so ranks
+// can differ slightly from the rankings tab, which uses the league reference.
+const MOVERS_SHOWN = 50;
+
+// Fetched once per file; a failed fetch is retried next time
+const snapshotRequests = new Map();
+function loadSnapshot(file) {
+  if (!snapshotRequests.has(file)) {
+    snapshotRequests.set(file, fetch(`/data/${file}`)
+      .then(r => {
+        if (!r.ok) throw new Error(`${file} not found`);
+        return r.json();
+      })
+      .then(data => {
+        const problem = checkPlayersFile(data);
+        if (problem) throw new Error(`${file}: ${problem}`);
+        return data;
+      })
+      .catch(err => {
+        snapshotRequests.delete(file);
+        throw err;
+      }));
+  }
+  return snapshotRequests.get(file);
+}
+
+function MoversPanel({ season, selectedYear, onSelect }) {
+  const snapshots = season?.snapshots || [];
+  const dates = snapshots.map(s => s.date);
+  const [range, setRange] = useState({ from: null, to: null });
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Default: the latest snapshot against the one before it
+  const to = dates.includes(range.to) ? range.to : dates[dates.length - 1];
+  const from = dates.includes(range.from) && range.from < to ? range.from : dates[dates.indexOf(to) - 1];
+
+  useEffect(() => {
+    setDiff(null);
+    setError(null);
+    if (!from || !to) return;
+    let cancelled = false;
+    const fileOf = (date) => snapshots.find(s => s.date === date).file;
+    Promise.all([loadSnapshot(fileOf(from)), loadSnapshot(fileOf(to))])
+      .then(([before, after]) => {
+        if (!cancelled) setDiff(diffRankings(rankSnapshot(before.players, selectedYear), rankSnapshot(after.players, selectedYear)));
+      })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [from, to, selectedYear]);
+
+  const box = { background: "#0d1520", border: "1px solid #1a2530", borderRadius: 8, padding: "16px 20px", marginBottom: 20 };
+
+  if (dates.length < 2) {
+    return (
+      <div style={{ ...box, fontSize: 12, color: "#778", lineHeight: 1.6 }}>
+        Movers compares two snapshots of the {selectedYear} rankings - there {dates.length === 1 ? "is 1" : `are ${dates.length}`} so far.
+        Every run of <code>fetch-data-updated.js</code> adds one; after editing a data file by hand,
+        <code> node build-manifest.js --snapshot</code> does.
+      </div>
+    );
+  }
+
+  const moved = diff ? diff.moved.filter(m => m.scoreDelta !== 0 || m.rankDelta !== 0) : [];
+
+  return (
+    <>
+      <div style={{ ...box, display: "flex", flexWrap: "wrap", gap: 16, alignItems: "center" }}>
+        <FilterSelect label="FROM" value={from} onChange={v => setRange({ from: v, to })} options={dates.filter(d => d < to)} />
+        <FilterSelect label="TO" value={to} onChange={v => setRange({ from, to: v })} options={dates.slice(1)} />
+        {diff && (
+          <div style={{ marginLeft: "auto", fontSize: 11, color: "#445" }}>
+            {moved.length} moved · {diff.entered.length} new · {diff.dropped.length} dropped out
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div style={{ ...box, fontSize: 12, color: "#cc9900" }}>⚠ Could not load snapshots: {error}</div>
+      )}
+      {!diff && !error && <LoadingState />}
+
+      {diff && (
+        <>
+          <div style={box}>
+            <div style={{ fontSize: 10, color: "#556", letterSpacing: "0.1em", marginBottom: 10 }}>
+              BIGGEST SCORE CHANGES · {from} → {to}
+            </div>
+            {moved.length === 0 && <div style={{ fontSize: 12, color: "#667" }}>No score or rank changes</div>}
+            {moved.slice(0, MOVERS_SHOWN).map(m => (
+              <div key={m.key} onClick={() => onSelect(m)} style={{
+                display: "grid", gridTemplateColumns: "56px 200px 130px 90px 1fr", gap: 10, alignItems: "center",
+                padding: "7px 0", borderTop: "1px solid #0f1820", cursor: "pointer"
+              }}>
+                <DeltaBadge delta={m.scoreDelta} />
+                <div>
+                  <div style={{ fontSize: 13, color: "#dde", fontWeight: 600 }}>{m.name}</div>
+                  <div style={{ fontSize: 10, color: "#556" }}>{m.team || "—"} · {m.position || "—"}</div>
+                </div>
+                <div style={{ fontSize: 11, color: "#889" }}>
+                  #{m.rankBefore} → <span style={{ color: "#dde" }}>#{m.rank}</span>
+                  {m.rankDelta !== 0 && (
+                    <span style={{ color: m.rankDelta > 0 ? "#00ff88" : "#ff8844", marginLeft: 6 }}>
+                      {m.rankDelta > 0 ? "▲" : "▼"}{Math.abs(m.rankDelta)}
+                    </span>
+                  )}
+                </div>
+                <div style={{ fontSize: 11, color: "#889" }}>{m.scoreBefore} → <span style={{ color: "#dde" }}>{m.score}</span></div>
+                <div style={{ display: "flex", flexWrap: "wrap", gap: 4 }}>
+                  {[...m.drivers.filter(d => d.kind === "signal").slice(0, 3), ...m.drivers.filter(d => d.kind === "adjustment")]
+                    .map(d => <DriverChip key={d.key} driver={d} />)}
+                </div>
+              </div>
+            ))}
+            {moved.length > MOVERS_SHOWN && (
+              <div style={{ fontSize: 10, color: "#445", marginTop: 8 }}>
+                {moved.length - MOVERS_SHOWN} smaller moves not shown
+              </div>
+            )}
+          </div>
+
+          <div style={{ display: "flex", gap: 20, flexWrap: "wrap" }}>
+            <SnapshotList title="NEW ENTRANTS" players={diff.entered} onSelect={onSelect} />
+            <SnapshotList title="DROPPED OUT" players={diff.dropped} onSelect={onSelect} />
+          </div>
+        </>
+      )}
+    </>
+  );
+}
+
+function DeltaBadge({ delta }) {
+  const up = delta > 0;
+  const color = delta === 0 ? "#556" : up ? "#00ff88" : "#ff8844";
+  return (
+    <span style={{
+      fontSize: 12, fontWeight: 700, textAlign: "center", padding: "2px 6px", borderRadius: 3,
+      color, background: color + "15", border: `1px solid ${color}44`
+    }}>{up ? "+" : ""}{delta}</span>
+  );
+}
+
+// A signal's weighted change in score points, or an adjustment's old and new multiplier
+function DriverChip({ driver }) {
+  const signal = driver.kind === "signal";
+  const up = signal ? driver.impact > 0 : driver.after > driver.before;
+  const color = up ? "#00cc66" : "#ff8844";
+  const title = signal
+    ? `League percentile ${Math.round(driver.percentileBefore)} → ${Math.round(driver.percentileAfter)}`
+    : "Adjustment multiplier";
+  return (
+    <span title={title} style={{
+      fontSize: 10, color, border: `1px solid ${color}44`, borderRadius: 3, padding: "1px 6px", whiteSpace: "nowrap"
+    }}>
+      {driver.label}{" "}
+      {signal
+        ? `${up ? "+" : ""}${driver.impact.toFixed(1)}`
+        : `×${driver.before.toFixed(2)} → ×${driver.after.toFixed(2)}`}
+    </span>
+  );
+}
+
+function SnapshotList({ title, players, onSelect }) {
+  return (
+    <div style={{
+      flex: 1, minWidth: 280, background: "#0d1520", border: "1px solid #1a2530",
+      borderRadius: 8, padding: "16px 20px", marginBottom: 20
+    }}>
+      <div style={{ fontSize: 10, color: "#556", letterSpacing: "0.1em", marginBottom: 10 }}>
+        {title} ({players.length})
+      </div>
+      {players.length === 0 && <div style={{ fontSize: 12, color: "#667" }}>None</div>}
+      {players.map(p => (
+        <div key={p.key} onClick={() => onSelect(p)} style={{
+          display: "flex", justifyContent: "space-between", fontSize: 12, padding: "4px 0",
+          borderTop: "1px solid #0f1820", cursor: "pointer"
+        }}>
+          <span style={{ color: "#dde" }}>{p.name} <span style={{ color: "#556", fontSize: 10 }}>{p.team || "—"} · {p.position || "—"}</span></span>
+          <span style={{ color: "#889" }}>#{p.rank} · {p.score}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ─── IN-SEASON ─────────────────────────────────────────────────────────────────
+const IN_SEASON_STATUS = {
+  confirms: { icon: "✓", label: "CONFIRMS", color: "#00ff88" },
+  contradicts: { icon: "✗", label: "CONTRADICTS", color: "#ff8844" },
+};
+
+// What each status means for a breakout call vs a low preseason score
+function describeCheck(check) {
+  if (check.status === "confirms") {
+    return check.call ? "Underlying metrics are improving - backing the breakout call" : "Underlying metrics are slipping, as the low score expected";
+  }
+  if (check.status === "contradicts") {
+    return check.call ? "Underlying metrics are slipping - against the breakout call" : "Underlying metrics are improving despite the low preseason score";
+  }
+  return check.pa < IN_SEASON_CHECK_MIN_PA ? `Under ${IN_SEASON_CHECK_MIN_PA} PA - too early to read` : "No clear trend in the underlying metrics";
+}
+
+function InSeasonBanner({ ranking, selectedYear }) {
+  const count = (status) => ranking.players.filter(p => p.inSeasonCheck?.status === status).length;
+  return (
+    <div style={{
+      background: "#0a1220", border: "1px solid #00ff8844",
+      borderRadius: 6, padding: "10px 16px", marginBottom: 20,
+      fontSize: 12, color: "#88bbaa", display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap"
+    }}>
+      <span>◐</span> In-season: {selectedYear - 1} stats blended with {selectedYear} through {ranking.through}, weighted by PA
+      <span style={{ marginLeft: "auto", fontSize: 11 }}>
+        <span style={{ color: IN_SEASON_STATUS.confirms.color }}>{count("confirms")} confirm</span>
+        {" · "}
+        <span style={{ color: IN_SEASON_STATUS.contradicts.color }}>{count("contradicts")} contradict</span>
+        {" "}their preseason score
+      </span>
+    </div>
+  );
+}
+
+function InSeasonBadge({ check, preseasonScore }) {
+  const status = check && IN_SEASON_STATUS[check.status];
+  if (!status) return null;
+  return (
+    <span title={`${describeCheck(check)} (preseason score ${preseasonScore})`} style={{
+      fontSize: 9, padding: "1px 5px", borderRadius: 3, fontWeight: 700, letterSpacing: "0.05em",
+      color: status.color, background: status.color + "15", border: `1px solid ${status.color}44`
+    }}>{status.icon} {status.label}</span>
+  );
+}
+
+const IN_SEASON_ROWS = [
+  { key: "barrelRate", label: "Barrel rate", format: "pct" },
+  { key: "hardHitRate", label: "Hard-hit rate", format: "pct" },
+  { key: "kRate", label: "K rate", format: "pct" },
+  { key: "pullRate", label: "Pull rate", format: "pct" },
+  { key: "launchAngle", label: "Launch angle", format: "deg" },
+];
+
+// Last season vs year-to-date vs the blend the score uses, with each YTD weight
+function InSeasonPanel({ player, selectedYear }) {
+  const { line, base, reliability, through } = player.inSeason;
+  const check = player.inSeasonCheck;
+  const status = IN_SEASON_STATUS[check.status];
+  const direction = Object.fromEntries(check.metrics.map(m => [m.key, m.direction]));
+  const fmt = (v, f) => (v == null ? "—" : f === "pct" ? (v * 100).toFixed(1) + "%" : v.toFixed(1) + "°");
+  const cell = { fontSize: 11, color: "#aab", textAlign: "right" };
+
+  return (
+    <div style={{
+      background: "#0d1520", border: `1px solid ${status ? status.color + "44" : "#1a2530"}`,
+      borderRadius: 8, padding: 14, marginBottom: 20
+    }}>
+      <div style={{ fontSize: 10, color: "#556", letterSpacing: "0.1em", marginBottom: 6 }}>
+        {selectedYear} IN-SEASON CHECK · {line.pa} PA THROUGH {through}
+      </div>
+      <div style={{ fontSize: 12, color: status ? status.color : "#889", lineHeight: 1.5, marginBottom: 4 }}>
+        {status && <strong>{status.icon} {status.label}: </strong>}{describeCheck(check)}
+      </div>
+      <div style={{ fontSize: 11, color: "#667", marginBottom: 10 }}>
+        Score {player.preseasonScore} (#{player.preseasonRank}) preseason → {player.breakoutScore} blended · {selectedYear} wOBA {line.woba?.toFixed(3) ?? "—"}, {line.hr} HR
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: "1.4fr 1fr 1fr 1.3fr", gap: "4px 8px", alignItems: "baseline" }}>
+        {["", selectedYear - 1, `${selectedYear} YTD`, "BLEND (YTD WT)"].map(h => (
+          <div key={h} style={{ fontSize: 9, color: "#445", letterSpacing: "0.08em", textAlign: h ? "right" : "left" }}>{h}</div>
+        ))}
+        {IN_SEASON_ROWS.map(r => (
+          <Fragment key={r.key}>
+            <div style={{ fontSize: 11, color: "#889" }}>{r.label}</div>
+            <div style={cell}>{fmt(base[r.key] ?? player[r.key], r.format)}</div>
+            <div style={{ ...cell, color: direction[r.key] === "up" ? "#00cc66" : direction[r.key] === "down" ? "#ff8844" : "#aab" }}>
+              {fmt(line[r.key], r.format)}
+            </div>
+            <div style={cell}>
+              {reliability[r.key] != null
+                ? <>{fmt(player[r.key], r.format)} <span style={{ color: "#556" }}>({Math.round(reliability[r.key] * 100)}%)</span></>
+                : "—"}
+            </div>
+          </Fragment>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// ─── BREAKOUT VERDICTS ─────────────────────────────────────────────────────────
+const VERDICT_STATUS = {
+  breakout: { icon: "✓", label: "BREAKOUT", color: "#00cc66" },
+  "no-breakout": { icon: "✗", label: "NO BREAKOUT", color: "#cc4444" },
+  "on-pace": { icon: "◐", label: "ON PACE", color: "#00ff88" },
+  "off-pace": { icon: "◐", label: "OFF PACE", color: "#ff8844" },
+  unknown: { icon: "?", label: "NOT GRADED", color: "#888" },
+  pending: { icon: "…", label: "PENDING", color: "#556" },
+};
+
+function describeVerdict(v) {
+  const hits = v.criteria.filter(c => c.hit).map(c => c.label);
+  if (v.status === "pending") return `No ${v.year} line in this data yet`;
+  if (v.status === "unknown") {
+    return v.criteria.some(c => c.hit != null)
+      ? `No PA in the ${v.year} line to check the ${BREAKOUT_DEFINITION.minPa} PA full-time bar`
+      : "Not enough data to check any criterion";
+  }
+  if (hits.length === 0) return "No criterion met";
+  if (!v.qualified) return `${hits.join(", ")} - but ${v.pa ?? "unknown"} PA${v.basis === "ytd" ? " pace" : ""}, under the ${BREAKOUT_DEFINITION.minPa} PA full-time bar`;
+  return hits.join(" · ");
+}
+
+function VerdictBadge({ verdict }) {
+  const status = verdict && VERDICT_STATUS[verdict.status];
+  if (!status) return "—";
+  return (
+    <span title={describeVerdict(verdict)} style={{
+      fontSize: 9, padding: "1px 5px", borderRadius: 3, fontWeight: 700, letterSpacing: "0.05em",
+      color: status.color, background: status.color + "15", border: `1px solid ${status.color}44`
+    }}>{status.icon} {status.label}</span>
+  );
+}
+
+const signedNum = (n, digits) => (n > 0 ? "+" : "") + (digits ? n.toFixed(digits).replace(/^(-?)0\./, "$1.") : n);
+
+// Before / after / result for one criterion. Position ranks have no before.
+function formatCriterion(c, basis) {
+  const rate = (v) => v.toFixed(3).replace(/^0\./, ".");
+  const num = (v, f) => (v == null ? "—" : f(v));
+  if (c.key === "position") {
+    return { before: "", after: c.after != null ? `#${c.after} of ${c.of} ${c.position}` : "—" };
+  }
+  if (c.unavailable) return { before: "n/a", after: "n/a", change: null };
+  const f = c.key === "woba" ? rate : String;
+  const pace = basis === "ytd" && (c.key === "hr" || c.key === "sb") ? " pace" : "";
+  return {
+    before: num(c.before, f),
+    after: num(c.after, f) + (c.after != null ? pace : ""),
+    change: c.change != null ? signedNum(c.change, c.key === "woba" ? 3 : 0) : null,
+  };
+}
+
+// The README breakout definition checked criterion by criterion, with the
+// numbers behind each. A season under way shows its full-season pace.
+function VerdictPanel({ verdict, note, selectedYear }) {
+  const status = VERDICT_STATUS[verdict.status];
+  const mark = (hit) => (hit == null ? { icon: "–", color: "#445" } : hit ? { icon: "✓", color: "#00cc66" } : { icon: "✗", color: "#cc4444" });
+  const cell = { fontSize: 11, color: "#aab", textAlign: "right" };
+  const basis = verdict.basis === "ytd"
+    ? ` · ${verdict.pa} PA PACE THROUGH ${verdict.through}`
+    : verdict.basis === "final" ? ` · ${verdict.pa ?? "—"} PA` : "";
+
+  return (
+    <div style={{
+      background: "#0d1520", border: `1px solid ${status.color}44`,
+      borderRadius: 8, padding: 14, marginBottom: 20
+    }}>
+      <div style={{ fontSize: 10, color: "#556", letterSpacing: "0.1em", marginBottom: 6 }}>
+        {selectedYear} BREAKOUT VERDICT{basis}
+      </div>
+      <div style={{ fontSize: 12, color: status.color, lineHeight: 1.5, marginBottom: verdict.criteria.length > 0 ? 10 : 0 }}>
+        <strong>{status.icon} {status.label}: </strong>{describeVerdict(verdict)}
+      </div>
+      {verdict.criteria.length > 0 && (
+        <div style={{ display: "grid", gridTemplateColumns: "1.5fr 0.8fr 1.4fr 0.3fr", gap: "4px 8px", alignItems: "baseline" }}>
+          {["", selectedYear - 1, selectedYear, ""].map((h, i) => (
+            <div key={i} style={{ fontSize: 9, color: "#445", letterSpacing: "0.08em", textAlign: i ? "right" : "left" }}>{h}</div>
+          ))}
+          {verdict.criteria.map(c => {
+            const f = formatCriterion(c, verdict.basis);
+            const m = mark(c.hit);
+            return (
+              <Fragment key={c.key}>
+                <div style={{ fontSize: 11, color: "#889" }} title={c.key === "position" && c.stats.length ? `Ranked on ${c.stats.join(", ")}` : c.unavailable ? "No park- and league-adjusted wRC+ in this data - not derived from wOBA" : undefined}>{c.label}</div>
+                <div style={cell}>{f.before}</div>
+                <div style={cell}>
+                  {f.after}
+                  {f.change && <span style={{ color: "#556" }}> ({f.change})</span>}
+                </div>
+                <div style={{ ...cell, color: m.color, fontWeight: 700 }}>{m.icon}</div>
+              </Fragment>
+            );
+          })}
+        </div>
+      )}
+      {note && (
+        <div style={{ fontSize: 11, color: "#667", marginTop: 10, lineHeight: 1.5 }}>Note: {note}</div>
+      )}
+    </div>
+  );
+}
+
+// ─── COLUMN PICKER ─────────────────────────────────────────────────────────────
+// Shown columns first, in table order, then the rest
+function ColumnPicker({ columns, onChange, onReset }) {
+  const hidden = TABLE_COLUMNS.filter(c => !columns.includes(c.key));
+  const move = (i, delta) => {
+    const next = [...columns];
+    [next[i], next[i + delta]] = [next[i + delta], next[i]];
+    onChange(next);
+  };
+  const arrow = (label, onClick, disabled) => (
+    <button onClick={onClick} disabled={disabled} style={{
+      background: "transparent", border: "1px solid #1a2530", color: disabled ? "#223" : "#778",
+      borderRadius: 3, fontSize: 10, padding: "0 6px", cursor: disabled ? "default" : "pointer", fontFamily: "inherit"
+    }}>{label}</button>
+  );
+  return (
+    <div style={{
+      background: "#0d1520", border: "1px solid #1a2530", borderRadius: 8,
+      padding: "14px 20px", marginBottom: 20
+    }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 10 }}>
+        <div style={{ fontSize: 10, color: "#556", letterSpacing: "0.1em" }}>COLUMNS · RK AND PLAYER ARE ALWAYS SHOWN</div>
+        <button onClick={onReset} style={{
+          background: "transparent", border: "1px solid #1a2530", color: "#556",
+          padding: "3px 10px", borderRadius: 4, fontSize: 10, cursor: "pointer", fontFamily: "inherit", letterSpacing: "0.1em"
+        }}>RESET</button>
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(200px, 1fr))", gap: "6px 16px" }}>
+        {getTableColumns(columns).map((c, i) => (
+          <div key={c.key} style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 11, color: "#aab" }}>
+            <input type="checkbox" checked onChange={() => onChange(columns.filter(k => k !== c.key))}
+              disabled={columns.length === 1} style={{ accentColor: "#00ff88" }} />
+            <span style={{ flex: 1 }}>{c.label}</span>
+            {arrow("↑", () => move(i, -1), i === 0)}
+            {arrow("↓", () => move(i, 1), i === columns.length - 1)}
+          </div>
+        ))}
+        {hidden.map(c => (
+          <label key={c.key} style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 11, color: "#556", cursor: "pointer" }}>
+            <input type="checkbox" checked={false} onChange={() => onChange([...columns, c.key])} style={{ accentColor: "#00ff88" }} />
+            <span>{c.label}</span>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function formatStat(value, format) {
+  const sign = value > 0 ? "+" : "";
+  switch (format) {
+    case "pct": return (value * 100).toFixed(1) + "%";
+    case "3dec": return value.toFixed(3);
+    case "1dec": return value.toFixed(1);
+    case "int": return Math.round(value);
+    case "signed3": return sign + value.toFixed(3);
+    case "signed1": return sign + value.toFixed(1);
+    case "signedPct": return sign + (value * 100).toFixed(1);
+    default: return value;
+  }
+}
+
+function StatCell({ value, format, color = "#aab" }) {
   if (value == null) return <span style={{ color: "#334", fontSize: 11 }}>—</span>;
-  let txt;
-  if (format === "pct") txt = (value * 100).toFixed(1) + "%";
-  else if (format === "3dec") txt = value.toFixed(3);
-  else txt = value;
-  return <span style={{ fontSize: 12, color: "#aab" }}>{txt}</span>;
+  return <span style={{ fontSize: 12, color }}>{formatStat(value, format)}</span>;
 }
 
 function SurplusCell({ value }) {
@@ -1320,19 +2046,9 @@ function TierBadge({ tier }) {
 }
 
 // ─── PROJECTED STATS ──────────────────────────────────────────────────────────
-function ProjectedStats({ player, selectedYear, tier }) {
-  const fields = getFieldNames(selectedYear);
-  const currentXwoba = player[fields.currentXwoba];
-  const currentWoba = player.currentWoba || player[fields.currentWoba];
-  
-  // Calculate projected improvement based on signals
-  const projectedWobaGain = Math.max(0, Math.min(0.060, 
-    (player.xwobaSurplus || 0) * 0.70 + // 70% of surplus converts
-    (player.xwobaTrajectory || 0) * 0.50 // 50% of trajectory continues
-  ));
-  
-  const projectedWoba = currentWoba ? currentWoba + projectedWobaGain : currentXwoba;
-  const projectedWrcPlus = projectedWoba ? Math.round(20 + (projectedWoba - 0.300) * 500) : null;
+function ProjectedStats({ player, selectedYear, tier, probabilityFit }) {
+  const projection = projectPlayer(player, selectedYear);
+  const currentWoba = player.currentWoba || getSeasonStat(player, selectedYear - 1, "woba");
   
   // Determine breakout type based on signals
   const breakoutTypes = [];
@@ -1342,27 +2058,15 @@ function ProjectedStats({ player, selectedYear, tier }) {
   if (player.launchAngleDelta > 2.5) breakoutTypes.push("Swing Change");
   const breakoutType = breakoutTypes.length > 0 ? breakoutTypes.join(" + ") : "All-Around";
   
-  // Estimate HR based on barrel rate and PA
-  const projectedHR = player.barrelRate && player.pa 
-    ? Math.round((player.barrelRate * 0.80 * player.pa) / 2.5)
-    : null;
-  
-  // Calculate likelihood based on score
-  let likelihood = "Medium";
-  let likelihoodPct = 50;
-  if (player.breakoutScore >= 80) {
-    likelihood = "Very High";
-    likelihoodPct = 75;
-  } else if (player.breakoutScore >= 68) {
-    likelihood = "High";
-    likelihoodPct = 65;
-  } else if (player.breakoutScore >= 55) {
-    likelihood = "Medium";
-    likelihoodPct = 50;
-  } else {
-    likelihood = "Low";
-    likelihoodPct = 35;
-  }
+  const rows = projection ? [
+    { label: "PA", band: projection.pa, format: v => v },
+    { label: "wOBA", band: projection.woba, format: v => v.toFixed(3) },
+    { label: "wRC+", band: projection.wrcPlus, format: v => v },
+    { label: "OPS", band: projection.ops, format: v => v.toFixed(3) },
+    { label: "HR", band: projection.hr, format: v => v },
+    { label: "SB", band: projection.sb, format: v => v },
+  ] : [];
+  const wobaChange = projection?.woba && currentWoba ? projection.woba.mean - currentWoba : null;
   
   return (
     <div style={{
@@ -1374,43 +2078,33 @@ function ProjectedStats({ player, selectedYear, tier }) {
         PROJECTED {selectedYear} PERFORMANCE
       </div>
       
-      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16, marginBottom: 16 }}>
-        {/* wOBA Projection */}
-        <div>
-          <div style={{ fontSize: 9, color: "#556", marginBottom: 4 }}>Projected wOBA</div>
-          <div style={{ fontSize: 20, color: tier.color, fontWeight: 700 }}>
-            {projectedWoba ? projectedWoba.toFixed(3) : "—"}
-          </div>
-          {currentWoba && projectedWobaGain > 0 && (
-            <div style={{ fontSize: 10, color: "#00cc66", marginTop: 2 }}>
-              ↑ +{projectedWobaGain.toFixed(3)} from {currentWoba.toFixed(3)}
-            </div>
-          )}
-        </div>
-        
-        {/* wRC+ Projection */}
-        <div>
-          <div style={{ fontSize: 9, color: "#556", marginBottom: 4 }}>Projected wRC+</div>
-          <div style={{ fontSize: 20, color: tier.color, fontWeight: 700 }}>
-            {projectedWrcPlus || "—"}
+      {/* Marcel projection - 10th / 90th percentile under each stat */}
+      {projection ? (
+        <>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 12, marginBottom: 8 }}>
+            {rows.map(r => (
+              <div key={r.label}>
+                <div style={{ fontSize: 9, color: "#556", marginBottom: 4 }}>{r.label}</div>
+                <div style={{ fontSize: 18, color: tier.color, fontWeight: 700 }}>
+                  {r.band ? r.format(r.band.mean) : "—"}
+                </div>
+                <div style={{ fontSize: 9, color: "#445", marginTop: 2 }}>
+                  {r.band ? `${r.format(r.band.p10)}–${r.format(r.band.p90)}` : "no data"}
+                </div>
+              </div>
+            ))}
           </div>
-          {projectedWrcPlus && projectedWrcPlus >= 120 && (
-            <div style={{ fontSize: 10, color: "#00cc66", marginTop: 2 }}>
-              Above average production
-            </div>
-          )}
-        </div>
-      </div>
-      
-      {/* Power Projection */}
-      {projectedHR && (
-        <div style={{ marginBottom: 12 }}>
-          <div style={{ fontSize: 9, color: "#556", marginBottom: 4 }}>Projected Power</div>
-          <div style={{ fontSize: 13, color: "#dde" }}>
-            {projectedHR - 3} to {projectedHR + 3} HR range
-            {player.barrelRate > 0.10 && <span style={{ color: "#ffaa00", marginLeft: 6 }}>⚡ Elite power potential</span>}
+          <div style={{ fontSize: 9, color: "#556", marginBottom: 16, lineHeight: 1.5 }}>
+            Marcel 5/4/3 weighting over {projection.seasons.join(", ")} · {Math.round(projection.reliability * 100)}% own stats, rest league average · 10th–90th percentile
+            {wobaChange != null && (
+              <span style={{ color: wobaChange > 0 ? "#00cc66" : "#cc4444" }}>
+                {" "}· wOBA {wobaChange > 0 ? "+" : ""}{wobaChange.toFixed(3)} vs {currentWoba.toFixed(3)}
+              </span>
+            )}
           </div>
-        </div>
+        </>
+      ) : (
+        <div style={{ fontSize: 11, color: "#667", marginBottom: 16 }}>No MLB history to project from</div>
       )}
       
       {/* Breakout Type */}
@@ -1419,20 +2113,21 @@ function ProjectedStats({ player, selectedYear, tier }) {
         <div style={{ fontSize: 13, color: "#dde" }}>{breakoutType}</div>
       </div>
       
-      {/* Likelihood */}
+      {/* Calibrated probability (isotonic fit on backtested seasons) */}
       <div style={{
         paddingTop: 12, borderTop: "1px solid #1a2530",
         display: "flex", alignItems: "center", justifyContent: "space-between"
       }}>
         <div>
-          <div style={{ fontSize: 9, color: "#556", marginBottom: 4 }}>Breakout Likelihood</div>
+          <div style={{ fontSize: 9, color: "#556", marginBottom: 4 }}>Breakout Probability</div>
           <div style={{ fontSize: 14, color: tier.color, fontWeight: 700 }}>
-            {likelihood} ({likelihoodPct}%)
+            {formatPct(player.breakoutProbability)}
           </div>
         </div>
         <div style={{ fontSize: 10, color: "#667", maxWidth: 200, lineHeight: 1.4, textAlign: "right" }}>
-          Based on {player.breakoutScore >= 70 ? "strong" : "moderate"} signals across 
-          {breakoutTypes.length > 1 ? " multiple" : " single"} dimension{breakoutTypes.length > 1 ? "s" : ""}
+          {player.breakoutProbability != null
+            ? `90% interval ${formatInterval(player)} - observed rate for similar scores in backtested seasons. ${probabilityFit}`
+            : "Not calibrated yet"}
         </div>
       </div>
       
@@ -1450,66 +2145,9 @@ function ProjectedStats({ player, selectedYear, tier }) {
 
 // ─── RED FLAGS PANEL ──────────────────────────────────────────────────────────
 function RedFlagsPanel({ player, selectedYear }) {
-  const flags = [];
-  const positives = [];
+  const { flags, positives } = collectFlags(player, selectedYear);
   const confidenceTier = SAMPLE_SIZE_ADJUSTMENTS.getTier(player.pa);
   
-  // Collect all flags
-  const kRateFlag = K_RATE_PENALTIES.getFlag(player.kRate);
-  const careerContextFlag = CAREER_CONTEXT.getFlag(player.currentWoba, player.careerWoba);
-  const chaseRateFlag = CHASE_RATE_FILTER.getFlag(player.chaseRate);
-  const batSpeedFlag = BAT_SPEED_BOOST.getFlag(player.batSpeed, player.currentWoba);
-  const launchAngleFlag = LAUNCH_ANGLE_CHANGE.getFlag(player.launchAngleDelta, player.age);
-  const pullRateFlag = PULL_RATE_BOOST.getFlag(player.pullRate, selectedYear);
-  const sophomoreSlumpFlag = SOPHOMORE_SLUMP.getFlag(player.age, player.currentWoba, player.careerWoba, player.yearsInMLB);
-  const yearsOfServiceFlag = YEARS_OF_SERVICE.getFlag(player.yearsInMLB);
-  
-  // Sample size flags
-  if (player.pa != null && player.pa < 200) {
-    flags.push({
-      icon: "🚩",
-      text: `Small sample size (${Math.round(player.pa)} PA) - high variance`,
-      severity: "high"
-    });
-  } else if (player.pa != null && player.pa < 300) {
-    flags.push({
-      icon: "⚠️",
-      text: `Moderate sample (${Math.round(player.pa)} PA) - some uncertainty`,
-      severity: "medium"
-    });
-  }
-  
-  // Add negative flags
-  if (kRateFlag) flags.push(kRateFlag);
-  if (chaseRateFlag) flags.push(chaseRateFlag);
-  if (sophomoreSlumpFlag) flags.push(sophomoreSlumpFlag);  // NEW v3.1
-  if (yearsOfServiceFlag) flags.push(yearsOfServiceFlag);  // NEW v3.1
-  if (careerContextFlag && careerContextFlag.severity !== "positive") flags.push(careerContextFlag);
-  
-  // Age flags
-  if (player.age != null && player.age >= 29) {
-    flags.push({
-      icon: player.age >= 32 ? "🚩" : "⚠️",
-      text: `Age ${player.age} - breakouts rare for veterans`,
-      severity: player.age >= 32 ? "high" : "medium"
-    });
-  }
-  
-  // Extreme surplus flags (could be small sample noise)
-  if (player.xwobaSurplus != null && player.xwobaSurplus > 0.070 && player.pa < 250) {
-    flags.push({
-      icon: "⚠️",
-      text: `Extreme surplus (+${player.xwobaSurplus.toFixed(3)}) on small sample - verify with more PA`,
-      severity: "medium"
-    });
-  }
-  
-  // Add positive signals
-  if (careerContextFlag && careerContextFlag.severity === "positive") positives.push(careerContextFlag);
-  if (batSpeedFlag) positives.push(batSpeedFlag);
-  if (launchAngleFlag) positives.push(launchAngleFlag);
-  if (pullRateFlag) positives.push(pullRateFlag);
-  
   // If no flags and no positives, show clean profile
   if (flags.length === 0 && positives.length === 0) {
     return (
@@ -1585,17 +2223,61 @@ function RedFlagsPanel({ player, selectedYear }) {
   );
 }
 
+// ─── SCORE ADJUSTMENTS ────────────────────────────────────────────────────────
+function AdjustmentsPanel({ player }) {
+  const adjustments = player._adjustments;
+  if (!adjustments) return null;
+  
+  // Only the stages that actually moved this player
+  const applied = ADJUSTMENT_PIPELINE
+    .map(a => ({ ...a, multiplier: adjustments[a.key] }))
+    .filter(a => a.multiplier != null && Math.abs(a.multiplier - 1) > 0.0001);
+  
+  return (
+    <div style={{
+      background: "#0a0e14", border: "1px solid #1a2530",
+      borderRadius: 8, padding: 14, marginBottom: 20
+    }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: 8 }}>
+        <div style={{ fontSize: 10, color: "#556", letterSpacing: "0.1em" }}>SCORE ADJUSTMENTS</div>
+        <div style={{ fontSize: 10, color: "#667" }}>
+          raw {adjustments.rawScore} → <span style={{ color: "#dde", fontWeight: 700 }}>{player.breakoutScore}</span>
+          {adjustments.adjustedScore !== player.breakoutScore && <span> ({adjustments.adjustedScore} before the ceiling)</span>}
+        </div>
+      </div>
+      {applied.length === 0 && (
+        <div style={{ fontSize: 11, color: "#667" }}>No contextual adjustments applied</div>
+      )}
+      {applied.map(a => {
+        const pct = (a.multiplier - 1) * 100;
+        return (
+          <div key={a.key} style={{
+            display: "flex", justifyContent: "space-between", fontSize: 11,
+            marginBottom: 4, lineHeight: 1.4
+          }}>
+            <span style={{ color: "#aab" }}>
+              {a.label}{a.signal && <span style={{ color: "#556" }}> (surplus signal only)</span>}
+            </span>
+            <span style={{ color: pct > 0 ? "#00cc66" : "#ff8844", fontWeight: 700 }}>
+              ×{a.multiplier.toFixed(2)} ({pct > 0 ? "+" : ""}{pct.toFixed(0)}%)
+            </span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
 // ─── DETAIL PANEL ──────────────────────────────────────────────────────────────
-function DetailPanel({ player, onClose, selectedYear }) {
+function DetailPanel({ player, onClose, selectedYear, historical, verdict, probabilityFit, watchlist, onToggleWatch, onUpdateWatch }) {
   const tier = getTier(player.breakoutScore);
-  const fields = getFieldNames(selectedYear);
 
   const signals = [
     { key: "xwOBA Surplus", desc: "xwOBA minus actual wOBA", value: player.xwobaSurplus, format: "surplus", weight: "30%" },
     { key: "xwOBA Trajectory", desc: `${selectedYear - 2}→${selectedYear - 1} xwOBA delta`, value: player.xwobaTrajectory, format: "surplus", weight: "20%" },
     { key: "Hard-Hit Rate", desc: "EV ≥ 95 mph batted balls", value: player.hardHitRate, format: "pct", weight: "15%" },
     { key: "Barrel Rate", desc: "Optimal EV + LA combo", value: player.barrelRate, format: "pct", weight: "15%" },
-    { key: "xwOBA Level", desc: "Raw underlying skill", value: player[fields.currentXwoba], format: "3dec", weight: "15%" },
+    { key: "xwOBA Level", desc: "Raw underlying skill", value: getSeasonStat(player, selectedYear - 1, "xwoba"), format: "3dec", weight: "15%" },
     { key: "K-Rate (inv)", desc: "Contact discipline signal", value: player.kRate != null ? 1 - player.kRate : null, format: "pct", weight: "5%" },
   ];
 
@@ -1621,8 +2303,12 @@ function DetailPanel({ player, onClose, selectedYear }) {
 
       <div style={{ marginBottom: 20 }}>
         <div style={{ fontSize: 10, color: "#556", letterSpacing: "0.15em" }}>PLAYER ANALYSIS</div>
-        <div style={{ fontSize: 22, fontWeight: 700, color: "#fff", marginTop: 6 }}>{player.name}</div>
-        <div style={{ fontSize: 12, color: "#556" }}>{player.team} · {player.position} · Age {player.age ?? "—"}</div>
+        <div style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 6 }}>
+          <WatchStar watched={isWatched(watchlist, player)} onToggle={() => onToggleWatch(player)} size={20} />
+          <span style={{ fontSize: 22, fontWeight: 700, color: "#fff" }}>{player.name}</span>
+          <ScoreChangeBadge change={getScoreChange(watchlist, player, selectedYear)} />
+        </div>
+        <div style={{ fontSize: 12, color: "#556" }}>{player.team || "—"} · {player.position || "—"} · Age {player.age ?? "—"}</div>
       </div>
 
       <div style={{
@@ -1632,30 +2318,40 @@ function DetailPanel({ player, onClose, selectedYear }) {
         <div style={{ fontSize: 48, fontWeight: 900, color: tier.color }}>{player.breakoutScore}</div>
         <div style={{ fontSize: 11, color: "#556", letterSpacing: "0.1em" }}>BREAKOUT SCORE</div>
         <TierBadge tier={tier} />
+        <div style={{ fontSize: 12, color: "#aab", marginTop: 10 }}>
+          {player.breakoutProbability != null
+            ? <>{formatPct(player.breakoutProbability)} breakout probability <span style={{ color: "#556" }}>(90%: {formatInterval(player)})</span></>
+            : <span style={{ color: "#556" }}>No calibrated probability - run backtest.js --write</span>}
+        </div>
+        {player.breakoutProbability != null && probabilityFit && (
+          <div style={{ fontSize: 10, color: "#556", marginTop: 4 }}>{probabilityFit}</div>
+        )}
       </div>
 
-      {player.actualResult && selectedYear < 2026 && (
-        <div style={{
-          background: player.actualResult.startsWith("✅") ? "#001a0f" : player.actualResult.startsWith("❌") ? "#1a0000" : "#0a0e14",
-          border: `1px solid ${player.actualResult.startsWith("✅") ? "#004422" : player.actualResult.startsWith("❌") ? "#442200" : "#1a2530"}`,
-          borderRadius: 8, padding: 14, marginBottom: 20
-        }}>
-          <div style={{ fontSize: 10, color: "#556", letterSpacing: "0.1em", marginBottom: 6 }}>
-            {selectedYear} ACTUAL RESULT
-          </div>
-          <div style={{ fontSize: 12, color: player.actualResult.startsWith("✅") ? "#00cc66" : player.actualResult.startsWith("❌") ? "#cc4444" : "#aab", lineHeight: 1.5 }}>
-            {player.actualResult}
-          </div>
-        </div>
+      {isWatched(watchlist, player) && (
+        <WatchNotes
+          key={playerKey(player)}
+          entry={watchlist.players[playerKey(player)]}
+          onChange={changes => onUpdateWatch(playerKey(player), changes)}
+        />
+      )}
+
+      {player.inSeason && player.inSeasonCheck && (
+        <InSeasonPanel player={player} selectedYear={selectedYear} />
+      )}
+
+      {verdict && (historical || verdict.basis) && (
+        <VerdictPanel verdict={verdict} note={player.resultNote} selectedYear={selectedYear} />
       )}
 
       {/* Projected Stats - only for future predictions */}
-      {selectedYear >= 2026 && (
-        <ProjectedStats player={player} selectedYear={selectedYear} tier={tier} />
+      {!historical && (
+        <ProjectedStats player={player} selectedYear={selectedYear} tier={tier} probabilityFit={probabilityFit} />
       )}
 
       {/* Red Flags & Confidence */}
       <RedFlagsPanel player={player} selectedYear={selectedYear} />
+      <AdjustmentsPanel player={player} />
 
       <div style={{ fontSize: 10, color: "#556", letterSpacing: "0.1em", marginBottom: 12 }}>SIGNAL BREAKDOWN</div>
 
@@ -1685,7 +2381,7 @@ function DetailPanel({ player, onClose, selectedYear }) {
                 }} />
               </div>
               <span style={{ fontSize: 10, color: "#556" }}>
-                {Math.round(player._scores[normalizeKey(s.key)])}ile
+                {ordinal(Math.round(player._scores[normalizeKey(s.key)]))} pct
               </span>
             </div>
           )}
@@ -1703,6 +2399,13 @@ function DetailPanel({ player, onClose, selectedYear }) {
   );
 }
 
+// 1st, 2nd, 3rd, 11th, 42nd ... - signal scores are league percentiles
+function ordinal(n) {
+  const teen = n % 100 >= 11 && n % 100 <= 13;
+  const suffix = teen ? "th" : ["th", "st", "nd", "rd"][n % 10] || "th";
+  return `${n}${suffix}`;
+}
+
 function normalizeKey(label) {
   const map = {
     "xwOBA Surplus": "xwobaSurplus",
@@ -0,0 +1,395 @@
+// ─── CONTEXTUAL ADJUSTMENTS ──────────────────────────────────────────────────
+
+// Age curve multipliers based on when breakouts actually occur
+// Research: Most breakouts happen ages 24-26, not 27
+export const AGE_MULTIPLIERS = {
+  getMultiplier: (age) => {
+    if (age == null) return 1.0;
+    if (age <= 23) return 1.15;  // Rapid skill development window
+    if (age <= 26) return 1.25;  // ⭐ PRIME BREAKOUT WINDOW - when most breakouts occur
+    if (age <= 28) return 1.00;  // Peak years but minimal improvement
+    if (age <= 30) return 0.85;  // Decline beginning
+    return 0.70;                 // Heavy penalty - rare to break out late
+  }
+};
+
+
+
+// Sample size confidence adjustments
+export const SAMPLE_SIZE_ADJUSTMENTS = {
+  getMultiplier: (pa) => {
+    if (pa == null) return 0.60;
+    if (pa >= 500) return 1.00;   // Full confidence
+    if (pa >= 300) return 0.95;   // Slight discount
+    if (pa >= 200) return 0.85;   // Moderate discount
+    if (pa >= 150) return 0.75;   // Large discount
+    return 0.60;                  // Speculative
+  },
+  getTier: (pa) => {
+    if (pa == null) return { label: "SPEC", color: "#cc4444", desc: "No data" };
+    if (pa >= 400) return { label: "HIGH", color: "#00cc66", desc: "400+ PA - reliable" };
+    if (pa >= 200) return { label: "MED", color: "#ffaa00", desc: "200-400 PA - moderate" };
+    return { label: "LOW", color: "#cc6600", desc: "<200 PA - speculative" };
+  }
+};
+
+// K-rate penalty (high strikeout rate reduces breakout probability)
+export const K_RATE_PENALTIES = {
+  getPenalty: (kRate) => {
+    if (kRate == null) return 1.0;
+    if (kRate >= 0.30) return 0.85;  // Severe contact concerns
+    if (kRate >= 0.25) return 0.95;  // Moderate contact concerns
+    return 1.0;                      // No penalty
+  },
+  getFlag: (kRate) => {
+    if (kRate == null) return null;
+    if (kRate >= 0.30) return { icon: "🚩", text: `High K-rate (${(kRate * 100).toFixed(1)}%) - contact concerns`, severity: "high" };
+    if (kRate >= 0.25) return { icon: "⚠️", text: `Elevated K-rate (${(kRate * 100).toFixed(1)}%) - monitor contact`, severity: "medium" };
+    return null;
+  }
+};
+
+// NEW: Career context adjustment (career year vs down year)
+export const CAREER_CONTEXT = {
+  getMultiplier: (currentWoba, careerWoba) => {
+    if (currentWoba == null || careerWoba == null) return 1.0;
+    const context = currentWoba - careerWoba;
+    
+    if (context > 0.025) {
+      // Career year - likely regressing DOWN next year
+      return 0.75;  // 25% penalty
+    } else if (context < -0.020) {
+      // Down year - likely bouncing back UP
+      return 1.10;  // 10% boost
+    }
+    return 1.0;
+  },
+  getFlag: (currentWoba, careerWoba) => {
+    if (currentWoba == null || careerWoba == null) return null;
+    const context = currentWoba - careerWoba;
+    
+    if (context > 0.025) {
+      return { icon: "⚠️", text: `Career year (+${context.toFixed(3)} vs career avg) - regression risk`, severity: "medium" };
+    } else if (context < -0.020) {
+      return { icon: "✓", text: `Down year (${context.toFixed(3)} vs career avg) - bounce-back candidate`, severity: "positive" };
+    }
+    return null;
+  }
+};
+
+// NEW: Sophomore slump / career year regression detector
+// Replaces CAREER_CONTEXT for a 1st-3rd-year player's career year - the two
+// never both apply, so one career year is only penalized once.
+export const SOPHOMORE_SLUMP = {
+  applies: (currentWoba, careerWoba, yearsInMLB) => {
+    if (currentWoba == null || careerWoba == null) return false;
+    // Had a breakout rookie/sophomore year - high regression risk
+    return yearsInMLB != null && yearsInMLB >= 1 && yearsInMLB <= 3 && currentWoba - careerWoba > 0.030;
+  },
+  getMultiplier: (age, currentWoba, careerWoba, yearsInMLB) => {
+    if (SOPHOMORE_SLUMP.applies(currentWoba, careerWoba, yearsInMLB)) {
+      return 0.65;  // 35% penalty - even more aggressive than veterans
+    }
+    // General career year detection is CAREER_CONTEXT's
+    return 1.0;
+  },
+  getFlag: (age, currentWoba, careerWoba, yearsInMLB) => {
+    if (!SOPHOMORE_SLUMP.applies(currentWoba, careerWoba, yearsInMLB)) return null;
+    const context = currentWoba - careerWoba;
+    return { 
+      icon: "🚩", 
+      text: `Sophomore/3rd year after breakout (+${context.toFixed(3)} vs career) - regression risk`, 
+      severity: "high" 
+    };
+  }
+};
+
+// NEW: Years of service adjustment (rookies are higher variance)
+export const YEARS_OF_SERVICE = {
+  getMultiplier: (yearsInMLB) => {
+    if (yearsInMLB == null) return 1.0;   // Unknown - no debut date or career lines to go on
+    if (yearsInMLB === 1) return 0.80;  // Rookie - very high variance
+    if (yearsInMLB === 2) return 0.90;  // Sophomore - still learning
+    if (yearsInMLB === 3) return 0.95;  // 3rd year - minor discount
+    if (yearsInMLB >= 6) return 0.95;   // Veteran - less likely to break out
+    return 1.0;  // Years 4-5 are prime
+  },
+  getFlag: (yearsInMLB) => {
+    if (yearsInMLB == null) return null;
+    if (yearsInMLB === 1) {
+      return { icon: "⚠️", text: "Rookie (1st year) - high variance, limited track record", severity: "medium" };
+    } else if (yearsInMLB === 2) {
+      return { icon: "⚠️", text: "Sophomore (2nd year) - still developing, approach may change", severity: "medium" };
+    } else if (yearsInMLB >= 7) {
+      return { icon: "⚠️", text: `Veteran (${yearsInMLB} years) - established player, less growth potential`, severity: "medium" };
+    }
+    return null;
+  }
+};
+
+// UPDATED: Chase rate threshold lowered to 30%
+export const CHASE_RATE_FILTER = {
+  getSurplusReliability: (chaseRate, xwobaSurplus) => {
+    if (chaseRate == null || xwobaSurplus == null) return 1.0;
+    
+    // High surplus + high chase rate = might be fool's gold
+    // LOWERED threshold from 32% to 30%
+    if (xwobaSurplus > 0.035 && chaseRate > 0.30) {
+      return 0.70;  // Discount surplus signal by 30%
+    } else if (xwobaSurplus > 0.035 && chaseRate > 0.27) {
+      return 0.85;  // Moderate discount
+    }
+    return 1.0;
+  },
+  getFlag: (chaseRate) => {
+    if (chaseRate == null) return null;
+    // LOWERED thresholds
+    if (chaseRate > 0.33) {
+      return { icon: "🚩", text: `Very high chase rate (${(chaseRate * 100).toFixed(1)}%) - severe approach concerns`, severity: "high" };
+    } else if (chaseRate > 0.30) {
+      return { icon: "🚩", text: `High chase rate (${(chaseRate * 100).toFixed(1)}%) - approach concerns`, severity: "high" };
+    } else if (chaseRate > 0.27) {
+      return { icon: "⚠️", text: `Elevated chase rate (${(chaseRate * 100).toFixed(1)}%) - plate discipline issue`, severity: "medium" };
+    }
+    return null;
+  }
+};
+
+// UPDATED: Bat speed threshold lowered to 74+ mph
+export const BAT_SPEED_BOOST = {
+  getMultiplier: (batSpeed, currentWoba) => {
+    if (batSpeed == null || currentWoba == null) return 1.0;
+    
+    // Elite bat speed (74+ mph, LOWERED from 75+) but underperforming (<.330 wOBA)
+    if (batSpeed >= 74.0 && currentWoba < 0.330) {
+      return 1.10;  // 10% boost - untapped power potential
+    }
+    return 1.0;
+  },
+  getFlag: (batSpeed, currentWoba) => {
+    if (batSpeed == null) return null;
+    // LOWERED threshold
+    if (batSpeed >= 74.0 && currentWoba != null && currentWoba < 0.330) {
+      return { icon: "⚡", text: `Elite bat speed (${batSpeed.toFixed(1)} mph) with room to grow - power upside`, severity: "positive" };
+    } else if (batSpeed >= 73.0) {
+      return { icon: "✓", text: `Plus bat speed (${batSpeed.toFixed(1)} mph) - strong raw power`, severity: "positive" };
+    }
+    return null;
+  }
+};
+
+// NEW: Launch angle change (swing adjustment breakout)
+export const LAUNCH_ANGLE_CHANGE = {
+  getMultiplier: (launchAngleDelta, age) => {
+    if (launchAngleDelta == null || age == null) return 1.0;
+    
+    // Significant LA increase (3°+) for young player (<27)
+    if (launchAngleDelta >= 3.0 && age <= 27) {
+      return 1.12;  // 12% boost - swing change in progress
+    }
+    return 1.0;
+  },
+  getFlag: (launchAngleDelta, age) => {
+    if (launchAngleDelta == null) return null;
+    if (launchAngleDelta >= 3.0 && age != null && age <= 27) {
+      return { icon: "📈", text: `Launch angle increased ${launchAngleDelta.toFixed(1)}° - swing change breakout`, severity: "positive" };
+    }
+    return null;
+  }
+};
+
+// NEW: Pull rate boost (shift ban beneficiaries)
+export const PULL_RATE_BOOST = {
+  getMultiplier: (pullRate, year) => {
+    if (pullRate == null || year == null) return 1.0;
+    
+    // Extreme pull hitters benefit from shift ban (2023+)
+    if (pullRate > 0.48 && year >= 2023) {
+      return 1.08;  // 8% boost - shift ban beneficiary
+    }
+    return 1.0;
+  },
+  getFlag: (pullRate, year) => {
+    if (pullRate == null) return null;
+    if (pullRate > 0.48 && year != null && year >= 2023) {
+      return { icon: "↖️", text: `Extreme pull hitter (${(pullRate * 100).toFixed(1)}%) - shift ban boost`, severity: "positive" };
+    }
+    return null;
+  }
+};
+
+// Marks for the elite young talent bonus below. A weights profile can carry
+// its own (tune-weights.js searches them alongside the weights).
+export const ELITE_THRESHOLDS = {
+  hardHitRate: 0.55,   // Top 5% MLB
+  barrelRate: 0.13,    // Top 10% MLB
+};
+
+// v5.0: Elite Profile + Improvement Trajectory Bonuses
+export function getEliteProfileMultiplier(p, thresholds = ELITE_THRESHOLDS) {
+  let eliteProfileMultiplier = 1.0;
+  
+  // Current skill thresholds
+  const hardHitAboveAvg = p.hardHitRate != null && p.hardHitRate > 0.45;
+  const barrelAboveAvg = p.barrelRate != null && p.barrelRate > 0.10;
+  const batSpeedAboveAvg = p.batSpeed != null && p.batSpeed > 73;
+  const lowKRate = p.kRate != null && p.kRate < 0.20;
+  
+  // YoY improvement thresholds (normalized to decimals: 0.02 = 2 percentage points)
+  const barrelImproving = p.barrelImprovement != null && p.barrelImprovement > 0.02;
+  const hardHitImproving = p.hardHitImprovement != null && p.hardHitImprovement > 0.03;
+  const chaseImproving = p.chaseImprovement != null && p.chaseImprovement > 0.02;
+  
+  // K-rate checks (NEW - critical for sustainable improvements)
+  const kRateStable = p.kRateImprovement == null || p.kRateImprovement >= -0.03; // K-rate didn't spike >3%
+  const kRateExploded = p.kRateImprovement != null && p.kRateImprovement < -0.05; // K-rate spiked 5%+
+  
+  // Current skill bonuses
+  if (hardHitAboveAvg) eliteProfileMultiplier *= 1.10;
+  if (barrelAboveAvg) eliteProfileMultiplier *= 1.10;
+  if (batSpeedAboveAvg) eliteProfileMultiplier *= 1.08;
+  if (lowKRate) eliteProfileMultiplier *= 1.08;
+  
+  // YoY improvement bonuses - BUT ONLY if K-rate stayed stable!
+  // Research: Contact quality gains that come with K-rate explosion = unsustainable
+  if (barrelImproving && kRateStable) eliteProfileMultiplier *= 1.15; // Sustainable barrel gains
+  if (hardHitImproving && kRateStable) eliteProfileMultiplier *= 1.12; // Sustainable power growth
+  if (chaseImproving) eliteProfileMultiplier *= 1.10; // Better discipline always good
+  
+  // PENALTY: K-rate explosion (sold out for power but can't make contact)
+  if (kRateExploded) eliteProfileMultiplier *= 0.75; // -25% penalty for K-rate spike
+  
+  // MEGA BONUS: Elite current profile (all 4 thresholds)
+  if (hardHitAboveAvg && barrelAboveAvg && batSpeedAboveAvg && lowKRate) {
+    eliteProfileMultiplier *= 1.15;
+  }
+  
+  // MEGA BONUS: Improving trajectory (2+ improvements) - only if K-rate stable
+  const improvementCount = ((barrelImproving && kRateStable) ? 1 : 0) + 
+                           ((hardHitImproving && kRateStable) ? 1 : 0) + 
+                           (chaseImproving ? 1 : 0);
+  if (improvementCount >= 2) {
+    eliteProfileMultiplier *= 1.20; // Multiple sustainable improvements = real skill growth
+  }
+  
+  // NEW v5.2: Elite Young Talent Bonus (Sliding Scale by Age)
+  // Research: Power doesn't improve with age - players arrive with near-peak skills
+  // Young players with ELITE current metrics are extremely rare and valuable
+  const eliteHardHit = p.hardHitRate != null && p.hardHitRate > thresholds.hardHitRate;
+  const eliteBarrel = p.barrelRate != null && p.barrelRate > thresholds.barrelRate;
+  
+  // Sliding scale: Younger = Rarer = Bigger bonus
+  if (eliteHardHit && eliteBarrel && p.age != null) {
+    if (p.age <= 21) {
+      eliteProfileMultiplier *= 1.40; // Extreme rarity (Roman Anthony, Gunnar Henderson types)
+    } else if (p.age === 22) {
+      eliteProfileMultiplier *= 1.30; // Very rare
+    } else if (p.age === 23) {
+      eliteProfileMultiplier *= 1.20; // Rare
+    } else if (p.age === 24) {
+      eliteProfileMultiplier *= 1.10; // Uncommon but not exceptional
+    }
+    // Age 25+: No bonus - this is expected peak age range
+  }
+  
+  return eliteProfileMultiplier;
+}
+
+// ─── ADJUSTMENT PIPELINE ──────────────────────────────────────────────────────
+// Every contextual multiplier applied in computeBreakoutScore, in order. Stages
+// with a `signal` rescale that WEIGHTS signal's contribution only; the rest
+// multiply the whole score. Each multiplier lands in p._adjustments[key].
+// getMultiplier gets computeBreakoutScore's options as its third argument.
+export const ADJUSTMENT_PIPELINE = [
+  { key: "surplusReliability", label: "Chase-rate surplus filter", signal: "xwobaSurplus",
+    getMultiplier: (p) => CHASE_RATE_FILTER.getSurplusReliability(p.chaseRate, p.xwobaSurplus) },
+  { key: "age", label: "Age curve",
+    getMultiplier: (p) => AGE_MULTIPLIERS.getMultiplier(p.age) },
+  { key: "sampleSize", label: "Sample size",
+    getMultiplier: (p) => SAMPLE_SIZE_ADJUSTMENTS.getMultiplier(p.pa) },
+  { key: "kRate", label: "K-rate penalty",
+    getMultiplier: (p) => K_RATE_PENALTIES.getPenalty(p.kRate) },
+  { key: "careerContext", label: "Career context",
+    getMultiplier: (p) => (SOPHOMORE_SLUMP.applies(p.currentWoba, p.careerWoba, p.yearsInMLB)
+      ? 1.0
+      : CAREER_CONTEXT.getMultiplier(p.currentWoba, p.careerWoba)) },
+  { key: "sophomoreSlump", label: "Sophomore slump",
+    getMultiplier: (p) => SOPHOMORE_SLUMP.getMultiplier(p.age, p.currentWoba, p.careerWoba, p.yearsInMLB) },
+  { key: "yearsOfService", label: "Years of service",
+    getMultiplier: (p) => YEARS_OF_SERVICE.getMultiplier(p.yearsInMLB) },
+  { key: "batSpeed", label: "Bat speed upside",
+    getMultiplier: (p) => BAT_SPEED_BOOST.getMultiplier(p.batSpeed, p.currentWoba) },
+  { key: "launchAngle", label: "Launch angle change",
+    getMultiplier: (p) => LAUNCH_ANGLE_CHANGE.getMultiplier(p.launchAngleDelta, p.age) },
+  { key: "pullRate", label: "Pull rate (shift ban)",
+    getMultiplier: (p, year) => PULL_RATE_BOOST.getMultiplier(p.pullRate, year) },
+  { key: "eliteProfile", label: "Elite profile",
+    getMultiplier: (p, year, options = {}) => getEliteProfileMultiplier(p, options.eliteThresholds) },
+];
+
+// ─── FLAGS ────────────────────────────────────────────────────────────────────
+// Risk factors and positive signals for a player, as shown in RedFlagsPanel
+export function collectFlags(player, year) {
+  const flags = [];
+  const positives = [];
+  
+  // Collect all flags
+  const kRateFlag = K_RATE_PENALTIES.getFlag(player.kRate);
+  const careerContextFlag = SOPHOMORE_SLUMP.applies(player.currentWoba, player.careerWoba, player.yearsInMLB)
+    ? null
+    : CAREER_CONTEXT.getFlag(player.currentWoba, player.careerWoba);
+  const chaseRateFlag = CHASE_RATE_FILTER.getFlag(player.chaseRate);
+  const batSpeedFlag = BAT_SPEED_BOOST.getFlag(player.batSpeed, player.currentWoba);
+  const launchAngleFlag = LAUNCH_ANGLE_CHANGE.getFlag(player.launchAngleDelta, player.age);
+  const pullRateFlag = PULL_RATE_BOOST.getFlag(player.pullRate, year);
+  const sophomoreSlumpFlag = SOPHOMORE_SLUMP.getFlag(player.age, player.currentWoba, player.careerWoba, player.yearsInMLB);
+  const yearsOfServiceFlag = YEARS_OF_SERVICE.getFlag(player.yearsInMLB);
+  
+  // Sample size flags
+  if (player.pa != null && player.pa < 200) {
+    flags.push({
+      icon: "🚩",
+      text: `Small sample size (${Math.round(player.pa)} PA) - high variance`,
+      severity: "high"
+    });
+  } else if (player.pa != null && player.pa < 300) {
+    flags.push({
+      icon: "⚠️",
+      text: `Moderate sample (${Math.round(player.pa)} PA) - some uncertainty`,
+      severity: "medium"
+    });
+  }
+  
+  // Add negative flags
+  if (kRateFlag) flags.push(kRateFlag);
+  if (chaseRateFlag) flags.push(chaseRateFlag);
+  if (sophomoreSlumpFlag) flags.push(sophomoreSlumpFlag);  // NEW v3.1
+  if (yearsOfServiceFlag) flags.push(yearsOfServiceFlag);  // NEW v3.1
+  if (careerContextFlag && careerContextFlag.severity !== "positive") flags.push(careerContextFlag);
+  
+  // Age flags
+  if (player.age != null && player.age >= 29) {
+    flags.push({
+      icon: player.age >= 32 ? "🚩" : "⚠️",
+      text: `Age ${player.age} - breakouts rare for veterans`,
+      severity: player.age >= 32 ? "high" : "medium"
+    });
+  }
+  
+  // Extreme surplus flags (could be small sample noise)
+  if (player.xwobaSurplus != null && player.xwobaSurplus > 0.070 && player.pa < 250) {
+    flags.push({
+      icon: "⚠️",
+      text: `Extreme surplus (+${player.xwobaSurplus.toFixed(3)}) on small sample - verify with more PA`,
+      severity: "medium"
+    });
+  }
+  
+  // Add positive signals
+  if (careerContextFlag && careerContextFlag.severity === "positive") positives.push(careerContextFlag);
+  if (batSpeedFlag) positives.push(batSpeedFlag);
+  if (launchAngleFlag) positives.push(launchAngleFlag);
+  if (pullRateFlag) positives.push(pullRateFlag);
+  
+  return { flags, positives };
+}
@@ -0,0 +1,151 @@
+import { computeBreakoutScore } from "./score.js";
+import { getPredictionSeasons, getSeasonStat, getSeasonAgeDate, withAges } from "./players.js";
+import { fitIsotonic, predictProbability } from "./calibration.js";
+
+// ─── BREAKOUT DEFINITION ──────────────────────────────────────────────────────
+// Graded against the actual-results season fetch-data-updated.js writes into
+// every players-YYYY.json (seasons[2025] in the 2025 file). A breakout needs a
+// full-time role and a good final line, not just a gain from a bad base.
+export const BREAKOUT_DEFINITION = {
+  minorGain: 0.030,   // +.030 wOBA over the data year
+  majorGain: 0.050,   // +.050 wOBA
+  minWoba: 0.320,     // final wOBA floor
+  minPa: 300,         // breakout-year PA
+};
+
+export const BACKTEST_CUTOFFS = [5, 10, 20];
+
+// "major" | "minor" | null
+export function classifyBreakout(p, year) {
+  const { base, actual } = getPredictionSeasons(year);
+  const before = getSeasonStat(p, base, "woba") ?? p.currentWoba;
+  const after = getSeasonStat(p, actual, "woba");
+  const pa = getSeasonStat(p, actual, "pa");
+  if (before == null || after == null || pa == null) return null;
+  if (after < BREAKOUT_DEFINITION.minWoba || pa < BREAKOUT_DEFINITION.minPa) return null;
+
+  const gain = after - before;
+  if (gain >= BREAKOUT_DEFINITION.majorGain) return "major";
+  if (gain >= BREAKOUT_DEFINITION.minorGain) return "minor";
+  return null;
+}
+
+// A season can only be graded once its actual results are filled in
+export function hasActuals(players, year) {
+  return players.some(p => getSeasonStat(p, year, "woba") != null);
+}
+
+// Score bands used for the calibration table - same cutoffs as getTier
+const CALIBRATION_BANDS = [
+  { label: "ELITE", min: 80, max: Infinity },
+  { label: "HIGH", min: 68, max: 80 },
+  { label: "MED", min: 55, max: 68 },
+  { label: "LOW", min: -Infinity, max: 55 },
+];
+
+// ─── BACKTEST ─────────────────────────────────────────────────────────────────
+// Score a completed season's file with the current model and grade the ranking
+// against what actually happened. Recall is measured against every breakout in
+// the file, including players the star filter removes before ranking.
+// options are passed through to computeBreakoutScore (e.g. a tuned weights profile).
+export function runBacktest(players, year, options = {}) {
+  const league = withAges(players, getSeasonAgeDate(year));
+  const leagueBreakouts = league.filter(p => classifyBreakout(p, year) != null).length;
+
+  const ranked = computeBreakoutScore(league.map(p => ({ ...p })), year, options);
+  const hits = ranked.map(p => classifyBreakout(p, year) != null);
+
+  const precisionAt = {};
+  const recallAt = {};
+  const hitsAt = {};
+  BACKTEST_CUTOFFS.forEach((k) => {
+    const n = Math.min(k, ranked.length);
+    const count = hits.slice(0, n).filter(Boolean).length;
+    hitsAt[k] = count;
+    precisionAt[k] = n > 0 ? count / n : null;
+    recallAt[k] = leagueBreakouts > 0 ? count / leagueBreakouts : null;
+  });
+
+  const calibration = CALIBRATION_BANDS.map((band) => {
+    const inBand = ranked.filter(p => p.breakoutScore >= band.min && p.breakoutScore < band.max);
+    const breakouts = inBand.filter(p => classifyBreakout(p, year) != null).length;
+    return {
+      label: band.label,
+      minScore: Number.isFinite(band.min) ? band.min : null,
+      players: inBand.length,
+      breakouts,
+      rate: inBand.length > 0 ? breakouts / inBand.length : null,
+    };
+  });
+
+  const topHits = ranked.slice(0, Math.max(...BACKTEST_CUTOFFS))
+    .map((p, i) => ({ playerId: p.playerId ?? null, name: p.name, rank: i + 1, score: p.breakoutScore, result: classifyBreakout(p, year) }))
+    .filter(p => p.result != null);
+
+  return {
+    year,
+    evaluated: ranked.length,
+    leagueBreakouts,
+    hitsAt,
+    precisionAt,
+    recallAt,
+    calibration,
+    topHits,
+  };
+}
+
+// ─── PROBABILITY CALIBRATION ──────────────────────────────────────────────────
+// [{ score, label }] for every ranked player in a graded season. Expects ages
+// to be filled in already (withAges).
+export function calibrationPoints(players, year, options = {}) {
+  const ranked = computeBreakoutScore(players.map(p => ({ ...p })), year, options);
+  return ranked.map(p => ({ score: p.breakoutScore, label: classifyBreakout(p, year) != null ? 1 : 0 }));
+}
+
+// Pool every graded season and fit score -> observed breakout rate.
+// seasons: [{ year, players }]; options go to computeBreakoutScore, so the
+// model must be refitted whenever the weights change. The blocks' rates are
+// in-sample - heldOut is the honest check, null until two seasons are graded.
+export function fitProbabilityModel(seasons, options = {}) {
+  const graded = seasons.map(({ year, players }) => ({
+    year,
+    points: calibrationPoints(withAges(players, getSeasonAgeDate(year)), year, options),
+  }));
+  const model = fitIsotonic(graded.flatMap(s => s.points));
+  return model ? { ...model, seasons: seasons.map(s => s.year), heldOut: heldOutCalibration(graded) } : null;
+}
+
+// Leave-one-season-out: each graded season is predicted by a model fitted on
+// the others. The Brier score is set against always predicting the training
+// seasons' base rate - a model that can't beat that has learned nothing.
+// graded: [{ year, points }]
+export function heldOutCalibration(graded) {
+  if (graded.length < 2) return null;
+  const pooled = [];
+  const seasons = graded.map(({ year, points }) => {
+    const training = graded.filter(s => s.year !== year).flatMap(s => s.points);
+    const model = fitIsotonic(training);
+    const baseRate = training.filter(p => p.label === 1).length / training.length;
+    const predicted = points.map(p => ({ ...p, probability: predictProbability(model, p.score).probability, baseRate }));
+    pooled.push(...predicted);
+    return { year, ...summarizeHeldOut(predicted) };
+  });
+  return { method: "leave-one-season-out", seasons, pooled: summarizeHeldOut(pooled) };
+}
+
+const round4 = (v) => Math.round(v * 10000) / 10000;
+
+function brierScore(predicted, key) {
+  return predicted.reduce((sum, p) => sum + (p[key] - p.label) ** 2, 0) / predicted.length;
+}
+
+function summarizeHeldOut(predicted) {
+  const n = predicted.length;
+  return {
+    players: n,
+    breakouts: predicted.filter(p => p.label === 1).length,
+    meanProbability: n > 0 ? round4(predicted.reduce((sum, p) => sum + p.probability, 0) / n) : null,
+    brier: n > 0 ? round4(brierScore(predicted, "probability")) : null,
+    baseRateBrier: n > 0 ? round4(brierScore(predicted, "baseRate")) : null,
+  };
+}
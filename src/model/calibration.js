@@ -0,0 +1,153 @@
+// ─── SCORE → PROBABILITY ──────────────────────────────────────────────────────
+// breakoutScore is a ranking, not a probability. These fit the observed
+// breakout rate as a function of score on backtested seasons.
+
+const EPS = 1e-6;
+
+// One-feature logistic regression, fitted by gradient descent on a
+// standardized score so the step size doesn't depend on the score scale.
+// points: [{ score, label }] with label 0/1
+export function fitLogistic(points, { iterations = 500, learningRate = 0.5 } = {}) {
+  const n = points.length;
+  if (n === 0) return null;
+  const mean = points.reduce((sum, p) => sum + p.score, 0) / n;
+  const variance = points.reduce((sum, p) => sum + (p.score - mean) ** 2, 0) / n;
+  const sd = Math.sqrt(variance) || 1;
+
+  let intercept = 0;
+  let slope = 0;
+  for (let i = 0; i < iterations; i++) {
+    let gradIntercept = 0;
+    let gradSlope = 0;
+    points.forEach((p) => {
+      const x = (p.score - mean) / sd;
+      const err = 1 / (1 + Math.exp(-(intercept + slope * x))) - p.label;
+      gradIntercept += err;
+      gradSlope += err * x;
+    });
+    intercept -= (learningRate * gradIntercept) / n;
+    slope -= (learningRate * gradSlope) / n;
+  }
+  return { type: "logistic", intercept, slope, mean, sd };
+}
+
+export function predictLogistic(model, score) {
+  const x = (score - model.mean) / model.sd;
+  return 1 / (1 + Math.exp(-(model.intercept + model.slope * x)));
+}
+
+export function logLoss(model, points) {
+  if (points.length === 0) return null;
+  const total = points.reduce((sum, p) => {
+    const prob = Math.min(1 - EPS, Math.max(EPS, predictLogistic(model, p.score)));
+    return sum - (p.label * Math.log(prob) + (1 - p.label) * Math.log(1 - prob));
+  }, 0);
+  return total / points.length;
+}
+
+// Wilson score interval for k successes out of n - stays inside [0, 1] and
+// doesn't collapse to zero width on small or all-0 / all-1 samples.
+// z = 1.645 is a 90% interval.
+export function wilsonInterval(k, n, z = 1.645) {
+  if (n === 0) return { low: 0, high: 1 };
+  const rate = k / n;
+  const denom = 1 + (z * z) / n;
+  const center = (rate + (z * z) / (2 * n)) / denom;
+  const half = (z * Math.sqrt((rate * (1 - rate)) / n + (z * z) / (4 * n * n))) / denom;
+  return { low: Math.max(0, center - half), high: Math.min(1, center + half) };
+}
+
+// Isotonic regression (pool adjacent violators): breakout rate as a
+// non-decreasing step function of score. Blocks smaller than minBlock are
+// pooled into a neighbour so one lucky top pick can't read as 100%.
+// Pooling two adjacent blocks keeps the fit monotone.
+export function fitIsotonic(points, { minBlock = 10 } = {}) {
+  if (points.length === 0) return null;
+  const sorted = [...points].sort((a, b) => a.score - b.score);
+
+  const makeBlock = (p) => ({ minScore: p.score, maxScore: p.score, scoreSum: p.score, n: 1, positives: p.label });
+  const merge = (a, b) => ({
+    minScore: a.minScore,
+    maxScore: b.maxScore,
+    scoreSum: a.scoreSum + b.scoreSum,
+    n: a.n + b.n,
+    positives: a.positives + b.positives,
+  });
+
+  let blocks = [];
+  sorted.forEach((p) => {
+    blocks.push(makeBlock(p));
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1];
+      const prev = blocks[blocks.length - 2];
+      if (prev.positives / prev.n < last.positives / last.n) break;
+      blocks.splice(-2, 2, merge(prev, last));
+    }
+  });
+
+  while (blocks.length > 1) {
+    const i = blocks.findIndex(b => b.n < minBlock);
+    if (i === -1) break;
+    // Pool into the smaller neighbour
+    const j = i === 0 ? 1 : i === blocks.length - 1 ? i - 1 : (blocks[i - 1].n <= blocks[i + 1].n ? i - 1 : i + 1);
+    const [a, b] = j < i ? [j, i] : [i, j];
+    blocks.splice(a, 2, merge(blocks[a], blocks[b]));
+  }
+
+  const round = (v) => Math.round(v * 10000) / 10000;
+  return {
+    type: "isotonic",
+    points: points.length,
+    blocks: blocks.map((b) => {
+      const { low, high } = wilsonInterval(b.positives, b.n);
+      return {
+        minScore: b.minScore,
+        maxScore: b.maxScore,
+        meanScore: round(b.scoreSum / b.n),
+        players: b.n,
+        breakouts: b.positives,
+        rate: round(b.positives / b.n),
+        low: round(low),
+        high: round(high),
+      };
+    }),
+  };
+}
+
+// { probability, low, high } for a score. Isotonic fits are interpolated
+// between block centres so neighbouring scores don't jump a whole step.
+export function predictProbability(model, score) {
+  if (!model || score == null) return null;
+  if (model.type === "logistic") {
+    const probability = predictLogistic(model, score);
+    return { probability, low: null, high: null };
+  }
+
+  const blocks = model.blocks;
+  const value = (b) => ({ probability: b.rate, low: b.low, high: b.high });
+  if (score <= blocks[0].meanScore) return value(blocks[0]);
+  const lastBlock = blocks[blocks.length - 1];
+  if (score >= lastBlock.meanScore) return value(lastBlock);
+
+  const i = blocks.findIndex(b => b.meanScore >= score);
+  const a = blocks[i - 1];
+  const b = blocks[i];
+  const t = (score - a.meanScore) / (b.meanScore - a.meanScore || 1);
+  const lerp = (x, y) => x + (y - x) * t;
+  return { probability: lerp(a.rate, b.rate), low: lerp(a.low, b.low), high: lerp(a.high, b.high) };
+}
+
+// Copies ranked players with breakoutProbability / breakoutProbabilityLow /
+// breakoutProbabilityHigh. Without a model the fields are left null rather
+// than guessed.
+export function withProbabilities(players, model) {
+  return players.map((p) => {
+    const prediction = predictProbability(model, p.breakoutScore);
+    return {
+      ...p,
+      breakoutProbability: prediction ? prediction.probability : null,
+      breakoutProbabilityLow: prediction ? prediction.low : null,
+      breakoutProbabilityHigh: prediction ? prediction.high : null,
+    };
+  });
+}
@@ -0,0 +1,91 @@
+import { WEIGHTS, SIGNAL_LABELS } from "./weights.js";
+import { ADJUSTMENT_PIPELINE, collectFlags } from "./adjustments.js";
+import { projectPlayer } from "./projection.js";
+
+// ─── PLAYER COMPARISON ────────────────────────────────────────────────────────
+// Two to four scored players lined up dimension by dimension, with the winner
+// of each. Every dimension is oriented so that higher is better except where
+// better: "lower" says otherwise (risk flags). A dimension only has a winner
+// when at least two players have a value and they don't all tie.
+
+export const MAX_COMPARE = 4;
+
+const PROJECTION_STATS = [
+  { key: "pa", label: "PA" },
+  { key: "woba", label: "wOBA" },
+  { key: "wrcPlus", label: "wRC+" },
+  { key: "ops", label: "OPS" },
+  { key: "hr", label: "HR" },
+  { key: "sb", label: "SB" },
+];
+
+// Indices of the best value(s); [] when there's nothing to decide
+function findWinners(values, better = "higher") {
+  const present = values.map((v, i) => ({ v, i })).filter(x => x.v != null && Number.isFinite(x.v));
+  if (present.length < 2) return [];
+  const best = better === "lower" ? Math.min(...present.map(x => x.v)) : Math.max(...present.map(x => x.v));
+  const winners = present.filter(x => Math.abs(x.v - best) < 1e-9).map(x => x.i);
+  return winners.length === present.length ? [] : winners;
+}
+
+function row(key, label, values, { better = "higher", format, details } = {}) {
+  return { key, label, values, winners: findWinners(values, better), format, details };
+}
+
+// players: scored by computeBreakoutScore (with probabilities if available).
+// Returns { players, sections: [{ key, label, rows }], wins } where each row
+// is { key, label, values, winners, format, details? } and wins[i] counts the
+// rows player i won outright or shared.
+export function comparePlayers(players, year, weights = WEIGHTS) {
+  const signals = Object.keys(weights);
+  const flags = players.map(p => collectFlags(p, year));
+  const projections = players.map(p => projectPlayer(p, year));
+
+  const sections = [
+    {
+      key: "summary",
+      label: "Score",
+      rows: [
+        row("breakoutScore", "Breakout score", players.map(p => p.breakoutScore), { format: "int" }),
+        row("breakoutProbability", "Breakout probability", players.map(p => p.breakoutProbability ?? null), { format: "pct" }),
+        row("rawScore", "Score before adjustments", players.map(p => p._adjustments?.rawScore ?? null), { format: "int" }),
+      ],
+    },
+    {
+      key: "signals",
+      label: "Signals (raw)",
+      rows: signals.map(signal => row(signal, SIGNAL_LABELS[signal] || signal, players.map(p => p._raw?.[signal] ?? null), { format: "signal" })),
+    },
+    {
+      key: "scores",
+      label: "Signals (league percentile)",
+      rows: signals.map(signal => row(signal, SIGNAL_LABELS[signal] || signal, players.map(p => p._scores?.[signal] ?? null), { format: "percentile" })),
+    },
+    {
+      key: "adjustments",
+      label: "Adjustment multipliers",
+      rows: ADJUSTMENT_PIPELINE.map(a => row(a.key, a.label, players.map(p => p._adjustments?.[a.key] ?? null), { format: "multiplier" })),
+    },
+    {
+      key: "flags",
+      label: "Flags",
+      rows: [
+        row("flags", "Risk flags", flags.map(f => f.flags.length), { better: "lower", format: "int", details: flags.map(f => f.flags) }),
+        row("positives", "Positive signals", flags.map(f => f.positives.length), { format: "int", details: flags.map(f => f.positives) }),
+      ],
+    },
+    {
+      key: "projection",
+      label: `Projected ${year}`,
+      rows: PROJECTION_STATS.map(s => row(s.key, s.label, projections.map(proj => proj?.[s.key]?.mean ?? null), {
+        format: s.key === "woba" || s.key === "ops" ? "3dec" : "int",
+        details: projections.map(proj => proj?.[s.key] ?? null),
+      })),
+    },
+  ];
+
+  const wins = players.map((_, i) => sections.reduce(
+    (sum, section) => sum + section.rows.filter(r => r.winners.includes(i)).length, 0
+  ));
+  return { players, sections, wins };
+}
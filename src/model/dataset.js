@@ -0,0 +1,106 @@
+// ─── DATA FILES ───────────────────────────────────────────────────────────────
+// players-YYYY.json carries a "MAJOR.MINOR" schemaVersion, documented by
+// public/data/players.schema.json. A minor bump only adds optional fields, so
+// any file with the same major can be read; a major bump means the app and the
+// data were built from different versions of fetch-data-updated.js.
+//
+// public/data/manifest.json lists what's there, so the app doesn't have to
+// guess which seasons exist.
+
+export const PLAYERS_SCHEMA_VERSION = "2.0";
+
+export const MANIFEST_FORMAT = "data-manifest";
+export const MANIFEST_FORMAT_VERSION = 1;
+
+function major(version) {
+  return parseInt(String(version).split(".")[0], 10);
+}
+
+export function isCompatibleSchema(version) {
+  return version != null && major(version) === major(PLAYERS_SCHEMA_VERSION);
+}
+
+// null when the app can read this players-YYYY.json, otherwise the reason it can't
+export function checkPlayersFile(data) {
+  if (!data || !Array.isArray(data.players)) return "not a players file";
+  if (data.schemaVersion == null) return "no schemaVersion - regenerate it with fetch-data-updated.js";
+  if (!isCompatibleSchema(data.schemaVersion)) {
+    const hint = major(data.schemaVersion) === 1 ? " - upgrade it with migrate-players.js" : "";
+    return `schemaVersion ${data.schemaVersion}, this build reads ${major(PLAYERS_SCHEMA_VERSION)}.x${hint}`;
+  }
+  return null;
+}
+
+// ─── 1.x -> 2.0 ───────────────────────────────────────────────────────────────
+// 1.x kept per-season stats in year-suffixed keys (woba25, xwoba24, pa26,
+// launchAngle25) plus a separate history list; 2.0 folds both into the
+// seasons map (see players.js). 1.x careerWoba was a copy of currentWoba, not a
+// baseline, so it's dropped to null rather than feeding CAREER_CONTEXT a zero
+// context - regenerate the file with fetch-data-updated.js for the real one.
+const LEGACY_SEASON_KEY = /^(woba|xwoba|pa|launchAngle)(\d{2})$/;
+
+function upgradePlayerRecord(p, year) {
+  const { history, ...rest } = p;
+  const seasons = {};
+  const put = (season, stat, value) => {
+    if (value == null) return;
+    seasons[season] = { ...seasons[season], [stat]: value };
+  };
+
+  (history || []).forEach(line => {
+    ["pa", "woba", "hr", "sb", "ops"].forEach(stat => put(line.season, stat, line[stat]));
+  });
+  // Top-level pa has always been the data-year line
+  put(year - 1, "pa", p.pa);
+
+  Object.keys(rest).forEach(key => {
+    const match = key.match(LEGACY_SEASON_KEY);
+    if (!match) return;
+    put(2000 + parseInt(match[2], 10), match[1], rest[key]);
+    delete rest[key];
+  });
+  return { ...rest, careerWoba: null, seasons };
+}
+
+// A 1.x players file rewritten as 2.0; anything else comes back unchanged
+export function upgradePlayersFile(data) {
+  if (!data || major(data.schemaVersion) !== 1) return data;
+  return {
+    ...data,
+    schemaVersion: PLAYERS_SCHEMA_VERSION,
+    players: data.players.map(p => upgradePlayerRecord(p, data.year)),
+  };
+}
+
+// seasons: [{ file, data, sources: [{ key, url }] | null, snapshots: [{ date, file }] }]
+// -> manifest.json; extra is merged into the top level (e.g. the schema and
+// reference file names)
+export function buildManifest(seasons, extra = {}) {
+  return {
+    format: MANIFEST_FORMAT,
+    formatVersion: MANIFEST_FORMAT_VERSION,
+    schemaVersion: PLAYERS_SCHEMA_VERSION,
+    generated: new Date().toISOString(),
+    ...extra,
+    seasons: seasons
+      .map(({ file, data, sources, snapshots }) => ({
+        year: data.year,
+        file,
+        schemaVersion: data.schemaVersion ?? null,
+        dataYears: data.dataYears || [],
+        rows: data.players.length,
+        lastUpdated: data.lastUpdated || null,
+        sources: sources || null,
+        snapshots: snapshots || [],
+      }))
+      .sort((a, b) => a.year - b.year),
+  };
+}
+
+// Seasons in a manifest the app can load, oldest first; null if the manifest
+// itself is missing or from an unknown format
+export function getManifestSeasons(manifest) {
+  if (!manifest || manifest.format !== MANIFEST_FORMAT) return null;
+  if (manifest.formatVersion !== MANIFEST_FORMAT_VERSION) return null;
+  return (manifest.seasons || []).filter(s => isCompatibleSchema(s.schemaVersion));
+}
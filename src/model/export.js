@@ -0,0 +1,81 @@
+import { WEIGHTS } from "./weights.js";
+import { ADJUSTMENT_PIPELINE, collectFlags } from "./adjustments.js";
+import { getTier } from "./score.js";
+import { getPredictionSeasons, getSeasonStat } from "./players.js";
+
+// ─── RANKINGS EXPORT ──────────────────────────────────────────────────────────
+// The rankings as a flat table - one row per player, in the order given -
+// for the UI's CSV/XLSX export and the API's format=csv. Columns: identity and
+// ranking, the stored stats, each signal's raw value (_raw), its percentile
+// (_scores), every adjustment multiplier (_adjustments) and the detail
+// panel's flags. Players must come from computeBreakoutScore.
+
+const STAT_FIELDS = [
+  "pa", "currentWoba", "careerWoba", "xwobaSurplus", "xwobaTrajectory",
+  "hardHitRate", "barrelRate", "batSpeed", "kRate", "chaseRate", "pullRate",
+  "launchAngle", "launchAngleDelta", "hardHitImprovement", "barrelImprovement",
+  "kRateImprovement", "chaseImprovement", "yearsInMLB",
+];
+
+const formatFlags = (list) => list.map(f => f.text).join("; ");
+
+// [{ header, value(p, year) }] - header names are stable, scripts key on them
+export function getExportColumns(weights = WEIGHTS) {
+  const signals = Object.keys(weights);
+  return [
+    { header: "rank", value: p => p.rank ?? null },
+    { header: "playerId", value: p => p.playerId ?? null },
+    { header: "name", value: p => p.name },
+    { header: "team", value: p => p.team ?? null },
+    { header: "position", value: p => p.position ?? null },
+    { header: "age", value: p => p.age ?? null },
+    { header: "breakoutScore", value: p => p.breakoutScore },
+    { header: "tier", value: p => getTier(p.breakoutScore).label },
+    { header: "breakoutProbability", value: p => p.breakoutProbability ?? null },
+    { header: "breakoutProbabilityLow", value: p => p.breakoutProbabilityLow ?? null },
+    { header: "breakoutProbabilityHigh", value: p => p.breakoutProbabilityHigh ?? null },
+    { header: "xwoba", value: (p, year) => getSeasonStat(p, getPredictionSeasons(year).base, "xwoba") },
+    ...STAT_FIELDS.map(field => ({ header: field, value: p => p[field] ?? null })),
+    ...signals.map(signal => ({ header: "raw." + signal, value: p => p._raw?.[signal] ?? null })),
+    ...signals.map(signal => ({ header: "score." + signal, value: p => p._scores?.[signal] ?? null })),
+    { header: "rawScore", value: p => p._adjustments?.rawScore ?? null },
+    { header: "adjustedScore", value: p => p._adjustments?.adjustedScore ?? null },
+    ...ADJUSTMENT_PIPELINE.map(a => ({ header: "adj." + a.key, value: p => p._adjustments?.[a.key] ?? null })),
+    { header: "flags", value: (p, year) => formatFlags(collectFlags(p, year).flags) },
+    { header: "positives", value: (p, year) => formatFlags(collectFlags(p, year).positives) },
+  ];
+}
+
+// Six decimals drops float noise (0.010000000000000009) without losing anything real
+function cleanValue(v) {
+  if (typeof v !== "number") return v ?? null;
+  return Number.isFinite(v) ? Math.round(v * 1e6) / 1e6 : null;
+}
+
+// { headers: [...], rows: [[...], ...] } with null for anything missing
+export function toExportTable(players, year, weights = WEIGHTS) {
+  const columns = getExportColumns(weights);
+  return {
+    headers: columns.map(c => c.header),
+    rows: players.map(p => columns.map(c => cleanValue(c.value(p, year)))),
+  };
+}
+
+function csvField(v) {
+  if (v == null) return "";
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// RFC 4180: CRLF line ends, quotes only where needed
+export function toCsv(table) {
+  return [table.headers, ...table.rows].map(row => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+// breakout-rankings-2026-SS-SEA.csv - the non-default filters go in the name
+export function getExportFileName(year, filters = {}, extension = "csv") {
+  const parts = ["breakout-rankings", year];
+  if (filters.position && filters.position !== "All") parts.push(filters.position);
+  if (filters.team && filters.team !== "All") parts.push(filters.team);
+  return `${parts.join("-")}.${extension}`;
+}
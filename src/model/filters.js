@@ -0,0 +1,63 @@
+import { getPredictionSeasons, getSeasonStat } from "./players.js";
+import { playerKey } from "./identity.js";
+
+// ─── RANKING FILTERS ──────────────────────────────────────────────────────────
+// The rankings table's filters, shared with the read API so a filtered API
+// call returns exactly the rows the UI shows for the same settings.
+
+export const POSITIONS = ["All", "C", "1B", "2B", "3B", "SS", "OF", "DH"];
+
+// What the UI opens with; the API leaves top unset (every ranked player)
+export const DEFAULT_FILTERS = {
+  position: "All",
+  team: "All",
+  minAge: 18,
+  maxAge: 35,
+  minPa: 0,
+  top: 25,
+};
+
+// Multi-position players are stored as "C/OF" - match on any listed position
+export function playsPosition(p, pos) {
+  return (p.position || "").split("/").includes(pos);
+}
+
+// players must already be ranked; order is kept. Unknown ages pass the age
+// filter (the curated rows and some statsapi gaps have none). filters.only,
+// a list of playerKeys (e.g. the watchlist), keeps just those players.
+export function filterPlayers(players, filters = {}) {
+  const f = { ...DEFAULT_FILTERS, ...filters };
+  const only = f.only ? new Set(f.only) : null;
+  const kept = players.filter(p => {
+    if (only && !only.has(playerKey(p))) return false;
+    if (f.position !== "All" && !playsPosition(p, f.position)) return false;
+    if (f.team !== "All" && p.team !== f.team) return false;
+    if (p.age != null && (p.age < f.minAge || p.age > f.maxAge)) return false;
+    if (f.minPa > 0 && (p.pa == null || p.pa < f.minPa)) return false;
+    return true;
+  });
+  return f.top == null ? kept : kept.slice(0, f.top);
+}
+
+// ─── SORTING ──────────────────────────────────────────────────────────────────
+// Rankings table sort. Keys are player fields; wOBA/xwOBA come from the
+// base season's line. Missing values sort last in either direction, and ties
+// keep the model's order.
+const SEASON_SORT_FIELDS = ["woba", "xwoba"];
+
+export function getSortValue(p, key, year) {
+  if (SEASON_SORT_FIELDS.includes(key)) return getSeasonStat(p, getPredictionSeasons(year).base, key);
+  return p[key] ?? null;
+}
+
+export function sortPlayers(players, { key = "rank", direction = "asc" } = {}, year) {
+  const sign = direction === "desc" ? -1 : 1;
+  return players
+    .map((p, i) => ({ p, i, v: getSortValue(p, key, year) }))
+    .sort((a, b) => {
+      if (a.v == null || b.v == null) return a.v == null ? (b.v == null ? a.i - b.i : 1) : -1;
+      const cmp = typeof a.v === "string" ? a.v.localeCompare(b.v) : a.v - b.v;
+      return cmp !== 0 ? sign * cmp : a.i - b.i;
+    })
+    .map(({ p }) => p);
+}
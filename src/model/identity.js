@@ -0,0 +1,36 @@
+// ─── PLAYER IDENTITY ──────────────────────────────────────────────────────────
+// MLBAM player_id is the join key across every Savant leaderboard and statsapi,
+// so it is the only safe way to tell two "Max Muncy"s apart. Names are a
+// fallback for older data files and curated rows that predate playerId.
+
+// "Herrera, Iván" and "Ivan Herrera" both become "ivan herrera"
+export function normalizeName(name) {
+  if (!name) return "";
+  let n = name;
+  if (n.includes(",")) {
+    const [last, first] = n.split(",");
+    n = `${first} ${last}`;
+  }
+  return n
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z ]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function playerKey(p) {
+  if (!p) return null;
+  return p.playerId != null ? String(p.playerId) : normalizeName(p.name);
+}
+
+// Resolve a key (id or name) against a player list, falling back to name match
+// so deep links keep working across data files with and without IDs
+export function findPlayer(players, key) {
+  if (key == null) return null;
+  const byKey = players.find(p => playerKey(p) === key);
+  if (byKey) return byKey;
+  const name = normalizeName(key);
+  return players.find(p => normalizeName(p.name) === name) || null;
+}
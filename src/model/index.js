@@ -0,0 +1,23 @@
+// ─── BREAKOUT MODEL ───────────────────────────────────────────────────────────
+// Pure-JS breakout model shared by the React app (src/App.jsx), the Vercel
+// functions (api/, via lib/rankings.js) and the CLI (score-players.js).
+// No React, DOM or Node APIs in here - it must run in all three.
+
+export * from "./weights.js";
+export * from "./adjustments.js";
+export * from "./score.js";
+export * from "./reference.js";
+export * from "./players.js";
+export * from "./identity.js";
+export * from "./backtest.js";
+export * from "./calibration.js";
+export * from "./projection.js";
+export * from "./tuning.js";
+export * from "./dataset.js";
+export * from "./filters.js";
+export * from "./export.js";
+export * from "./compare.js";
+export * from "./watchlist.js";
+export * from "./movers.js";
+export * from "./inseason.js";
+export * from "./verdict.js";
@@ -0,0 +1,153 @@
+import { computeBreakoutScore } from "./score.js";
+import { playerKey, normalizeName } from "./identity.js";
+
+// ─── IN-SEASON MODE ───────────────────────────────────────────────────────────
+// Once the predicted season is under way, its year-to-date lines
+// (in-season-YYYY.json, from build-in-season.js) are blended into the player
+// records before scoring. Each stat mixes YTD and last season by PA-based
+// reliability - pa / (pa + STABILIZATION_PA[stat]), so a stat gets half its
+// weight from this season at its stabilization point. The change signals move
+// with it: barrelImprovement becomes blended barrel rate minus the season
+// before last. Chase rate, bat speed and xwOBA have no YTD source and keep last
+// season's values; so do PA, wOBA and age, which drive the adjustments.
+
+export const IN_SEASON_FORMAT = "in-season";
+export const IN_SEASON_FORMAT_VERSION = 1;
+
+// PA at which a YTD rate is as reliable as it is noisy (split-half r = .5)
+export const STABILIZATION_PA = {
+  kRate: 60,
+  hardHitRate: 80,
+  launchAngle: 80,
+  barrelRate: 100,
+  pullRate: 120,
+};
+
+// Blended fields and the change signal that moves with each (sign: +1 when the
+// change is current - prior, -1 when it's prior - current)
+const BLENDED_FIELDS = [
+  { field: "hardHitRate", change: "hardHitImprovement", sign: 1 },
+  { field: "barrelRate", change: "barrelImprovement", sign: 1 },
+  { field: "kRate", change: "kRateImprovement", sign: -1 },
+  { field: "launchAngle", change: "launchAngleDelta", sign: 1 },
+  { field: "pullRate" },
+];
+
+// Underlying metrics the check reads, and the YTD move against last season
+// that counts as real rather than noise
+export const IN_SEASON_CHECKS = [
+  { key: "barrelRate", label: "Barrel rate", threshold: 0.02, better: "higher" },
+  { key: "hardHitRate", label: "Hard-hit rate", threshold: 0.03, better: "higher" },
+  { key: "kRate", label: "K rate", threshold: 0.03, better: "lower" },
+];
+export const IN_SEASON_CHECK_MIN_PA = 50;
+
+// Preseason scores from here up (MED tier and above) count as a breakout call
+const BREAKOUT_CALL_SCORE = 55;
+
+// from / through: the first and last game dates the lines cover
+export function buildInSeasonFile(year, lines, { from, through, sources } = {}) {
+  return {
+    format: IN_SEASON_FORMAT,
+    formatVersion: IN_SEASON_FORMAT_VERSION,
+    year,
+    from: from || null,
+    through: through || null,
+    generated: new Date().toISOString(),
+    sources: sources || [],
+    count: lines.length,
+    players: lines,
+  };
+}
+
+// Problem with an in-season file that makes it unusable, or null
+export function checkInSeasonFile(doc) {
+  if (!doc || doc.format !== IN_SEASON_FORMAT) return "not an in-season file";
+  if (doc.formatVersion !== IN_SEASON_FORMAT_VERSION) return `unsupported formatVersion ${doc.formatVersion}`;
+  if (!Array.isArray(doc.players)) return "no players list";
+  return null;
+}
+
+export function getReliability(pa, field) {
+  return pa > 0 ? pa / (pa + STABILIZATION_PA[field]) : 0;
+}
+
+// Lookup p -> its YTD line or null. Lines are matched by playerId, then by
+// normalized name for players files without IDs.
+export function indexInSeason(doc) {
+  const index = new Map();
+  doc.players.forEach(line => {
+    if (line.playerId != null) index.set(String(line.playerId), line);
+    const name = normalizeName(line.name);
+    if (!index.has(name)) index.set(name, line);
+  });
+  return (p) => index.get(playerKey(p)) || index.get(normalizeName(p.name)) || null;
+}
+
+// players (unscored) with YTD blended in. Each matched player gets
+// p.inSeason = { pa, through, line, base, reliability }: the YTD line, last
+// season's value of each blended field and the YTD weight it got.
+export function blendInSeason(players, doc) {
+  const findLine = indexInSeason(doc);
+  return players.map(p => {
+    const line = findLine(p);
+    if (!line) return { ...p, inSeason: null };
+
+    const blended = { ...p };
+    const base = {};
+    const reliability = {};
+    BLENDED_FIELDS.forEach(({ field, change, sign }) => {
+      if (p[field] == null || line[field] == null) return;
+      const w = getReliability(line.pa, field);
+      blended[field] = w * line[field] + (1 - w) * p[field];
+      base[field] = p[field];
+      reliability[field] = w;
+      if (change && p[change] != null) blended[change] = p[change] + sign * (blended[field] - p[field]);
+    });
+    blended.inSeason = { pa: line.pa, through: doc.through, line, base, reliability };
+    return blended;
+  });
+}
+
+// Do a player's YTD underlying metrics back up the preseason score? A metric
+// moves "up" or "down" (better/worse than last season by its threshold); more
+// ups than downs is an improving trend. A breakout call with an improving
+// trend, or a low score with a declining one, confirms; the opposite
+// contradicts. Fewer than IN_SEASON_CHECK_MIN_PA gives no status.
+export function checkInSeason(p, preseasonScore) {
+  if (!p.inSeason) return null;
+  const { line, base, pa } = p.inSeason;
+  const metrics = IN_SEASON_CHECKS.map(m => {
+    const before = base[m.key] ?? p[m.key] ?? null;
+    const now = line[m.key] ?? null;
+    const delta = before != null && now != null ? now - before : null;
+    const better = delta == null ? 0 : (m.better === "lower" ? -delta : delta);
+    const direction = Math.abs(better) < m.threshold ? "steady" : better > 0 ? "up" : "down";
+    return { key: m.key, label: m.label, base: before, ytd: now, delta, direction: delta == null ? null : direction };
+  });
+  const trend = metrics.filter(m => m.direction === "up").length - metrics.filter(m => m.direction === "down").length;
+  const call = preseasonScore >= BREAKOUT_CALL_SCORE;
+
+  let status = null;
+  if (pa >= IN_SEASON_CHECK_MIN_PA && trend !== 0) {
+    status = (trend > 0) === call ? "confirms" : "contradicts";
+  }
+  return { status, call, trend, pa, through: p.inSeason.through, metrics };
+}
+
+// players: unscored (with ages). Scores them preseason and with YTD blended in;
+// returns the in-season ranking, each player carrying preseasonScore,
+// preseasonRank and inSeasonCheck.
+export function scoreInSeason(players, doc, year, options = {}) {
+  const preseason = computeBreakoutScore(players.map(p => ({ ...p })), year, options);
+  const before = new Map(preseason.map((p, i) => [playerKey(p), { score: p.breakoutScore, rank: i + 1 }]));
+  return computeBreakoutScore(blendInSeason(players, doc), year, options).map(p => {
+    const pre = before.get(playerKey(p));
+    return {
+      ...p,
+      preseasonScore: pre?.score ?? null,
+      preseasonRank: pre?.rank ?? null,
+      inSeasonCheck: pre ? checkInSeason(p, pre.score) : null,
+    };
+  });
+}
@@ -0,0 +1,87 @@
+import { WEIGHTS, SIGNAL_LABELS } from "./weights.js";
+import { ADJUSTMENT_PIPELINE } from "./adjustments.js";
+import { computeBreakoutScore } from "./score.js";
+import { withAges, getSeasonAgeDate } from "./players.js";
+import { playerKey } from "./identity.js";
+
+// ─── MOVERS ───────────────────────────────────────────────────────────────────
+// Two snapshots of the same season (see lib/snapshots.js) ranked and diffed:
+// who climbed or fell, who's new to the rankings and who dropped out, and the
+// signals behind each move. Both sides are aged to the same date, so age
+// never shows up as a mover.
+
+// Below this many score points a signal's change isn't worth listing
+const MIN_DRIVER_IMPACT = 0.5;
+
+// A snapshot's players ranked the way the app ranks them. Percentiles come from
+// the snapshot's own population - the league as it looked when it was taken.
+export function rankSnapshot(players, year, weights = WEIGHTS) {
+  return computeBreakoutScore(withAges(players, getSeasonAgeDate(year)), year, { weights })
+    .map((p, i) => ({ ...p, rank: i + 1 }));
+}
+
+// Signals whose weighted percentile moved the pre-adjustment score, biggest
+// first, then the adjustment stages whose multiplier changed
+function getDrivers(before, after, weights) {
+  const signals = Object.entries(weights)
+    .map(([signal, w]) => {
+      const from = before._scores?.[signal] ?? 50;
+      const to = after._scores?.[signal] ?? 50;
+      return {
+        kind: "signal",
+        key: signal,
+        label: SIGNAL_LABELS[signal] || signal,
+        before: before._raw?.[signal] ?? null,
+        after: after._raw?.[signal] ?? null,
+        percentileBefore: from,
+        percentileAfter: to,
+        impact: (to - from) * w,
+      };
+    })
+    .filter(d => Math.abs(d.impact) >= MIN_DRIVER_IMPACT)
+    .sort((a, b) => Math.abs(b.impact) - Math.abs(a.impact));
+
+  const adjustments = ADJUSTMENT_PIPELINE
+    .map(a => ({
+      kind: "adjustment",
+      key: a.key,
+      label: a.label,
+      before: before._adjustments?.[a.key] ?? null,
+      after: after._adjustments?.[a.key] ?? null,
+    }))
+    .filter(d => d.before != null && d.after != null && Math.abs(d.after - d.before) > 0.0001);
+
+  return [...signals, ...adjustments];
+}
+
+const summarize = (p) => ({
+  key: playerKey(p), name: p.name, team: p.team, position: p.position, rank: p.rank, score: p.breakoutScore,
+});
+
+// before / after: ranked lists (rankSnapshot). moved is every player in both,
+// largest score change first; rankDelta > 0 means they climbed.
+export function diffRankings(before, after, weights = WEIGHTS) {
+  const previous = new Map(before.map(p => [playerKey(p), p]));
+  const current = new Set(after.map(p => playerKey(p)));
+
+  const moved = after
+    .filter(p => previous.has(playerKey(p)))
+    .map(p => {
+      const b = previous.get(playerKey(p));
+      return {
+        ...summarize(p),
+        rankBefore: b.rank,
+        rankDelta: b.rank - p.rank,
+        scoreBefore: b.breakoutScore,
+        scoreDelta: p.breakoutScore - b.breakoutScore,
+        drivers: getDrivers(b, p, weights),
+      };
+    })
+    .sort((a, b) => Math.abs(b.scoreDelta) - Math.abs(a.scoreDelta) || Math.abs(b.rankDelta) - Math.abs(a.rankDelta));
+
+  return {
+    moved,
+    entered: after.filter(p => !previous.has(playerKey(p))).map(summarize),
+    dropped: before.filter(p => !current.has(playerKey(p))).map(summarize),
+  };
+}
@@ -0,0 +1,91 @@
+// ─── PLAYER RECORDS ───────────────────────────────────────────────────────────
+// Per-season stats live in a map keyed by year:
+//   seasons: { 2024: { pa, woba, xwoba, launchAngle, hr, sb, ops }, 2025: { ... } }
+// Any stat can be missing. A prediction for year Y is made from the base
+// season (Y-1) with the prior season (Y-2) for year-over-year changes; Y itself
+// holds the actual results once the season has been played.
+
+export function getPredictionSeasons(year) {
+  return { base: year - 1, prior: year - 2, actual: year };
+}
+
+// One stat from one season, null when the player has no such line
+export function getSeasonStat(p, season, stat) {
+  const line = p.seasons && p.seasons[season];
+  return line && line[stat] != null ? line[stat] : null;
+}
+
+// ─── PROCESS DEMO DATA ────────────────────────────────────────────────────────
+export function processDemoData(raw, year) {
+  const { base, prior } = getPredictionSeasons(year);
+  return raw.map((p) => {
+    const currentXwoba = getSeasonStat(p, base, "xwoba");
+    const prevXwoba = getSeasonStat(p, prior, "xwoba");
+    const currentWoba = getSeasonStat(p, base, "woba");
+    
+    // Calculate launch angle delta
+    const currentLaunchAngle = getSeasonStat(p, base, "launchAngle");
+    const prevLaunchAngle = getSeasonStat(p, prior, "launchAngle");
+    const launchAngleDelta = currentLaunchAngle != null && prevLaunchAngle != null 
+      ? currentLaunchAngle - prevLaunchAngle 
+      : null;
+    
+    // Set current wOBA and career wOBA (for demo, use available data)
+    const playerCurrentWoba = p.currentWoba || currentWoba;
+    const playerCareerWoba = p.careerWoba ?? null; // no career data: CAREER_CONTEXT stays neutral
+    
+    // Estimate years in MLB if not provided (based on whether they have previous year data)
+    let yearsInMLB = p.yearsInMLB;
+    if (yearsInMLB == null) {
+      // No prior-season line: likely rookie (1 year)
+      // Prior-season line: likely 2+ years
+      const hasPrior = getSeasonStat(p, prior, "woba") != null;
+      if (!hasPrior && p.age <= 23) {
+        yearsInMLB = 1;  // Rookie
+      } else if (hasPrior && p.age <= 24) {
+        yearsInMLB = 2;  // Sophomore
+      } else if (p.age <= 26) {
+        yearsInMLB = 3;  // 3rd year
+      } else if (p.age <= 28) {
+        yearsInMLB = 4;  // Mid-career
+      } else {
+        yearsInMLB = 6;  // Veteran
+      }
+    }
+    
+    return {
+      ...p,
+      xwobaSurplus: currentXwoba != null && currentWoba != null ? +(currentXwoba - currentWoba).toFixed(3) : null,
+      xwobaTrajectory: currentXwoba != null && prevXwoba != null ? +(currentXwoba - prevXwoba).toFixed(3) : 0,
+      launchAngleDelta,
+      currentWoba: playerCurrentWoba,
+      careerWoba: playerCareerWoba,
+      yearsInMLB,
+    };
+  });
+}
+
+// Baseball age convention: age on June 30 of the season being predicted
+export function getSeasonAgeDate(year) {
+  return new Date(year, 5, 30);
+}
+
+// Calculate age from birthDate for each player (static files ship age: null)
+export function withAges(players, today = new Date()) {
+  return players.map(p => {
+    let age = p.age; // Use existing age if present
+    
+    if (p.birthDate && !age) {
+      const birthDate = new Date(p.birthDate);
+      age = today.getFullYear() - birthDate.getFullYear();
+      
+      // Adjust if birthday hasn't occurred yet this year
+      const monthDiff = today.getMonth() - birthDate.getMonth();
+      if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) {
+        age--;
+      }
+    }
+    
+    return { ...p, age };
+  });
+}
@@ -0,0 +1,123 @@
+// ─── PROJECTIONS ──────────────────────────────────────────────────────────────
+// Marcel-style projection (Tango's "monkey" system): weight the last three
+// seasons 5/4/3, regress each rate toward the league mean by adding a fixed
+// amount of league-average PA, then age the result. Deliberately simple -
+// it's a baseline the breakout score can be read against, not a competitor
+// to Steamer/ZiPS.
+//
+// Input is the p.seasons map (see players.js) - the lines before the
+// prediction year that have PA. Records without any, like the curated demo
+// rows, fall back to the data-year line (pa/currentWoba).
+
+export const MARCEL_WEIGHTS = [5, 4, 3];   // data year, one back, two back
+export const REGRESSION_PA = 1200;         // weighted league-average PA mixed in
+
+const Z_90 = 1.2816;                       // 10th/90th percentile of a normal
+
+// League-wide per-PA rates. spread is the per-PA standard deviation (season
+// noise shrinks with sqrt(PA)); talentSd is the spread of true talent between
+// regulars, used for how uncertain the regressed rate itself is.
+export const LEAGUE_BASELINE = {
+  woba: { rate: 0.313, spread: 0.50, talentSd: 0.030 },
+  hr: { rate: 0.030, spread: 0.171, talentSd: 0.012 },
+  sb: { rate: 0.020, spread: 0.140, talentSd: 0.015 },
+  ops: { rate: 0.715, spread: 1.10, talentSd: 0.080 },
+};
+
+// wOBA -> wRC+ (no park factor): runs above average per PA over league R/PA
+const WOBA_SCALE = 1.24;
+const LEAGUE_RUNS_PER_PA = 0.117;
+
+// Marcel's aging curve: +0.6% per year under 29, -0.3% per year over
+export const AGING_CURVE = {
+  getMultiplier: (age) => {
+    if (age == null) return 1.0;
+    if (age < 29) return 1 + 0.006 * (29 - age);
+    return 1 - 0.003 * (age - 29);
+  }
+};
+
+export function wobaToWrcPlus(woba) {
+  if (woba == null) return null;
+  const runsPerPa = (woba - LEAGUE_BASELINE.woba.rate) / WOBA_SCALE + LEAGUE_RUNS_PER_PA;
+  return Math.round((runsPerPa / LEAGUE_RUNS_PER_PA) * 100);
+}
+
+// Seasons before the prediction year, newest first, capped at three
+export function getHistory(p, year) {
+  const history = Object.entries(p.seasons || {})
+    .map(([season, line]) => ({
+      season: Number(season),
+      pa: line.pa ?? 0,
+      woba: line.woba ?? null,
+      hr: line.hr ?? null,
+      sb: line.sb ?? null,
+      ops: line.ops ?? null,
+    }))
+    .filter(s => s.season < year && s.pa > 0)
+    .sort((a, b) => b.season - a.season);
+  if (history.length > 0) return history.slice(0, MARCEL_WEIGHTS.length);
+  if (p.pa == null || p.currentWoba == null) return [];
+  return [{ season: year - 1, pa: p.pa, woba: p.currentWoba, hr: null, sb: null, ops: null }];
+}
+
+// PA: half of last year, a tenth of the year before, plus 200
+function projectPa(history, year) {
+  const paIn = (season) => history.find(s => s.season === season)?.pa || 0;
+  return Math.round(0.5 * paIn(year - 1) + 0.1 * paIn(year - 2) + 200);
+}
+
+// Weighted, regressed, aged per-PA rate plus its 10th/90th percentile over pa
+function projectRate(history, stat, age, pa) {
+  const league = LEAGUE_BASELINE[stat];
+  let weightedPa = 0;
+  let weightedSum = 0;
+  history.forEach((season, i) => {
+    const value = season[stat];
+    if (value == null) return;
+    // Counting stats are stored as totals, rate stats as rates
+    const rate = stat === "hr" || stat === "sb" ? value / season.pa : value;
+    weightedPa += MARCEL_WEIGHTS[i] * season.pa;
+    weightedSum += MARCEL_WEIGHTS[i] * season.pa * rate;
+  });
+  if (weightedPa === 0) return null;
+
+  const reliability = weightedPa / (weightedPa + REGRESSION_PA);
+  const regressed = (weightedSum + REGRESSION_PA * league.rate) / (weightedPa + REGRESSION_PA);
+  const rate = regressed * AGING_CURVE.getMultiplier(age);
+
+  // Outcome spread = what we don't know about talent + what a season of pa adds
+  const talentSd = league.talentSd * Math.sqrt(1 - reliability);
+  const noiseSd = league.spread / Math.sqrt(Math.max(pa, 1));
+  const sd = Math.sqrt(talentSd ** 2 + noiseSd ** 2);
+  return { rate, reliability, p10: Math.max(0, rate - Z_90 * sd), p90: rate + Z_90 * sd };
+}
+
+const band = (mean, p10, p90) => ({ mean, p10, p90 });
+
+// { pa, woba, wrcPlus, hr, sb, ops } each as { mean, p10, p90 }, or null when
+// the player has no usable history. Counting-stat bands hold PA at the
+// projection; PA has its own band.
+export function projectPlayer(p, year) {
+  const history = getHistory(p, year);
+  if (history.length === 0) return null;
+
+  const pa = projectPa(history, year);
+  const paSd = 0.25 * pa;
+  const woba = projectRate(history, "woba", p.age, pa);
+  const hr = projectRate(history, "hr", p.age, pa);
+  const sb = projectRate(history, "sb", p.age, pa);
+  const ops = projectRate(history, "ops", p.age, pa);
+  const count = (r) => r ? band(Math.round(r.rate * pa), Math.round(r.p10 * pa), Math.round(r.p90 * pa)) : null;
+
+  return {
+    seasons: history.map(s => s.season),
+    reliability: woba ? woba.reliability : null,
+    pa: band(pa, Math.max(0, Math.round(pa - Z_90 * paSd)), Math.round(pa + Z_90 * paSd)),
+    woba: woba ? band(woba.rate, woba.p10, woba.p90) : null,
+    wrcPlus: woba ? band(wobaToWrcPlus(woba.rate), wobaToWrcPlus(woba.p10), wobaToWrcPlus(woba.p90)) : null,
+    hr: count(hr),
+    sb: count(sb),
+    ops: ops ? band(ops.rate, ops.p10, ops.p90) : null,
+  };
+}
@@ -0,0 +1,81 @@
+import { WEIGHTS } from "./weights.js";
+import { scorePlayer } from "./score.js";
+
+// ─── LEAGUE REFERENCE ─────────────────────────────────────────────────────────
+// Each signal is scored as a percentile of the season's whole hitter
+// population (every non-pitcher in players-YYYY.json, before the star filter),
+// not of whoever is left in the list being ranked. That keeps a player's
+// signal scores the same whether he's ranked among 400 hitters, a filtered
+// subset or the curated demo rows, and makes 2025 and 2026 comparable.
+//
+// The distributions are stored as 101 quantiles per signal in
+// public/data/league-reference.json (see build-league-reference.js).
+
+export const REFERENCE_FORMAT = "league-reference";
+export const REFERENCE_FORMAT_VERSION = 1;
+
+const QUANTILES = 100;
+
+export function isPitcher(p) {
+  const pos = (p.position || "").toUpperCase();
+  return pos.includes("SP") || pos.includes("RP") || pos === "P";
+}
+
+// Linear-interpolated quantile of a sorted array, q in [0, 1]
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// { year, population, quantiles: { field: [q0 .. q100] } } for one season
+export function buildLeagueReference(players, year) {
+  const hitters = players.filter(p => !isPitcher(p));
+  const raws = hitters.map(p => scorePlayer(p, year));
+  const quantiles = {};
+  Object.keys(WEIGHTS).forEach((field) => {
+    const vals = raws.map(r => r[field]).filter(v => v != null && !Number.isNaN(v)).sort((a, b) => a - b);
+    if (vals.length === 0) return;
+    const round = (v) => Math.round(v * 1e6) / 1e6;
+    quantiles[field] = Array.from({ length: QUANTILES + 1 }, (_, i) => round(quantile(vals, i / QUANTILES)));
+  });
+  return { year, population: hitters.length, quantiles };
+}
+
+// Percentile (0-100) of v within a stored quantile list. Ties across a run of
+// equal quantiles land in the middle of the run.
+export function percentileRank(quantiles, v) {
+  if (v <= quantiles[0]) return 0;
+  if (v >= quantiles[QUANTILES]) return 100;
+  let lo = 0;
+  while (quantiles[lo + 1] < v) lo++;
+  let hi = lo + 1;
+  if (quantiles[hi] === v) {
+    while (hi < QUANTILES && quantiles[hi + 1] === v) hi++;
+    return ((lo + 1 + hi) / 2 / QUANTILES) * 100;
+  }
+  const t = (v - quantiles[lo]) / (quantiles[hi] - quantiles[lo]);
+  return ((lo + t) / QUANTILES) * 100;
+}
+
+// Pick one season out of a league-reference.json document
+export function getSeasonReference(document, year) {
+  if (!document || document.format !== REFERENCE_FORMAT) return null;
+  if (document.formatVersion !== REFERENCE_FORMAT_VERSION) return null;
+  return (document.seasons || {})[year] || null;
+}
+
+// seasons: [{ year, players }] -> the league-reference.json document
+export function buildReferenceDocument(seasons) {
+  const out = {
+    format: REFERENCE_FORMAT,
+    formatVersion: REFERENCE_FORMAT_VERSION,
+    generated: new Date().toISOString(),
+    seasons: {},
+  };
+  seasons.forEach(({ year, players }) => {
+    out.seasons[year] = buildLeagueReference(players, year);
+  });
+  return out;
+}
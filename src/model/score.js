@@ -0,0 +1,150 @@
+import { WEIGHTS } from "./weights.js";
+import { ADJUSTMENT_PIPELINE } from "./adjustments.js";
+import { getPredictionSeasons, getSeasonStat } from "./players.js";
+import { buildLeagueReference, percentileRank, isPitcher } from "./reference.js";
+
+// ─── SCORING ──────────────────────────────────────────────────────────────────
+
+// The adjustment multipliers stack well past 100 (the elite-profile bonuses
+// alone can reach 4x). Scores up to SCORE_KNEE are kept as they are; above it
+// the remaining headroom to 100 is approached but never reached, so the top of
+// the list stays ordered on the visible score instead of tying at a cap.
+export const SCORE_KNEE = 70;
+
+export function softCeiling(adjustedTotal) {
+  if (adjustedTotal <= SCORE_KNEE) return Math.max(0, adjustedTotal);
+  const over = adjustedTotal - SCORE_KNEE;
+  const headroom = 100 - SCORE_KNEE;
+  return SCORE_KNEE + headroom * over / (over + headroom);
+}
+
+export function scorePlayer(p, year) {
+  const { base } = getPredictionSeasons(year);
+  const raw = {};
+
+  // Tier 1: Raw Power Skills (current levels)
+  raw.hardHitRate = p.hardHitRate;
+  raw.barrelRate = p.barrelRate;
+  raw.batSpeed = p.batSpeed;
+  
+  // Tier 2: Year-over-Year Improvements
+  raw.barrelImprovement = p.barrelImprovement;
+  raw.hardHitImprovement = p.hardHitImprovement;
+  raw.chaseImprovement = p.chaseImprovement;
+  
+  // Tier 3: Contact & Discipline
+  raw.kRateInverse = p.kRate != null ? (1 - p.kRate) : null;
+  raw.chaseRateInverse = p.chaseRate != null ? (1 - p.chaseRate) : null;
+  
+  // Tier 4: Expected Performance
+  raw.xwobaSurplus = p.xwobaSurplus;
+  raw.xwobaLevel = getSeasonStat(p, base, "xwoba");
+
+  return raw;
+}
+
+// Percentile of each raw signal in the season's league reference (0-100).
+// Missing values, or a signal with no reference distribution, score 50.
+export function normalize(players, field, quantiles) {
+  players.forEach((p) => {
+    const v = p._raw[field];
+    if (v == null || !quantiles) { p._scores[field] = 50; return; }
+    p._scores[field] = percentileRank(quantiles, v);
+  });
+}
+
+// options.weights and options.eliteThresholds come from a tuned profile (see
+// loadWeightsProfile); the defaults are WEIGHTS and ELITE_THRESHOLDS.
+// options.reference is the season's stored league reference (see reference.js);
+// without one it is built from the players passed in, before any filtering.
+export function computeBreakoutScore(players, year, options = {}) {
+  const weights = options.weights || WEIGHTS;
+  const reference = options.reference || buildLeagueReference(players, year);
+  const { base } = getPredictionSeasons(year);
+  
+  // Filter out pitchers - we only predict hitter breakouts
+  players = players.filter(p => !isPitcher(p));
+  
+  // Filter out established stars - they've already broken out
+  // Exception: Young players (age < 24) with limited PA (< 400) can still break out
+  players = players.filter(p => {
+    const woba = p.currentWoba || getSeasonStat(p, base, "woba");
+    if (woba == null) return true; // Keep if we don't have woba data
+    
+    // If wOBA > .350 AND (age >= 24 OR pa >= 400), they're an established star
+    if (woba > 0.350) {
+      const age = p.age;
+      const pa = p.pa;
+      
+      // Young players with limited samples can still break out even with high wOBA
+      if (age != null && age < 24 && pa != null && pa < 400) {
+        return true; // Keep young, limited-sample players
+      }
+      
+      return false; // Exclude established stars
+    }
+    
+    return true; // Keep everyone else
+  });
+  
+  players.forEach((p) => {
+    p._raw = scorePlayer(p, year);
+    p._scores = {};
+  });
+
+  Object.keys(weights).forEach((field) => normalize(players, field, reference.quantiles[field]));
+
+  players.forEach((p) => {
+    // Each signal's weighted contribution, before any adjustment
+    const contributions = {};
+    Object.entries(weights).forEach(([field, w]) => {
+      contributions[field] = (p._scores[field] ?? 50) * w;
+    });
+    const total = Object.values(contributions).reduce((sum, c) => sum + c, 0);
+    
+    // Signal-level stages first (they rescale one contribution), then
+    // score-level stages multiply the adjusted total
+    const adjustments = {};
+    let adjustedTotal = total;
+    ADJUSTMENT_PIPELINE.filter(a => a.signal).forEach((a) => {
+      const multiplier = a.getMultiplier(p, year, options);
+      adjustments[a.key] = multiplier;
+      adjustedTotal += (contributions[a.signal] ?? 0) * (multiplier - 1);
+    });
+    ADJUSTMENT_PIPELINE.filter(a => !a.signal).forEach((a) => {
+      const multiplier = a.getMultiplier(p, year, options);
+      adjustments[a.key] = multiplier;
+      adjustedTotal *= multiplier;
+    });
+    
+    // adjustedScore is the total before the soft ceiling
+    p.breakoutScore = Math.round(softCeiling(adjustedTotal));
+    p._adjustments = {
+      ...adjustments,
+      rawScore: Math.round(total),
+      adjustedScore: Math.round(adjustedTotal)
+    };
+  });
+
+  players.sort((a, b) => b.breakoutScore - a.breakoutScore || b._adjustments.adjustedScore - a._adjustments.adjustedScore);
+  return players;
+}
+
+// ─── TIER LABEL ───────────────────────────────────────────────────────────────
+export function getTier(score) {
+  if (score >= 80) return { label: "ELITE", color: "#00ff88", bg: "rgba(0,255,136,0.12)" };
+  if (score >= 68) return { label: "HIGH", color: "#ffcc00", bg: "rgba(255,204,0,0.12)" };
+  if (score >= 55) return { label: "MED", color: "#ff8c42", bg: "rgba(255,140,66,0.12)" };
+  return { label: "LOW", color: "#888", bg: "rgba(136,136,136,0.08)" };
+}
+
+// ─── SIGNAL BREAKDOWN ─────────────────────────────────────────────────────────
+// Per-signal view of a player scored by computeBreakoutScore, in weight order:
+// [{ signal, raw, percentile, weight, contribution }]. contribution is the
+// signal's share of the score before adjustments (percentile x weight).
+export function getSignalBreakdown(p, weights = WEIGHTS) {
+  return Object.entries(weights).map(([signal, weight]) => {
+    const percentile = p._scores?.[signal] ?? 50;
+    return { signal, raw: p._raw?.[signal] ?? null, percentile, weight, contribution: percentile * weight };
+  });
+}
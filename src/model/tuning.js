@@ -0,0 +1,172 @@
+import { WEIGHTS, WEIGHTS_FORMAT, WEIGHTS_FORMAT_VERSION } from "./weights.js";
+import { ELITE_THRESHOLDS } from "./adjustments.js";
+import { getSeasonAgeDate, withAges } from "./players.js";
+import { calibrationPoints } from "./backtest.js";
+import { fitLogistic, logLoss } from "./calibration.js";
+
+// ─── WEIGHT TUNING ────────────────────────────────────────────────────────────
+// Random-restart hill climbing over WEIGHTS vectors and the ELITE_THRESHOLDS
+// marks, graded on backtested seasons. Cross-validation is leave-one-season-out:
+// tune on every other season, grade on the held-out one. The rest of the
+// adjustment pipeline and its thresholds stay as they are.
+
+export const TUNING_METRICS = ["precision@5", "precision@10", "precision@20", "logloss"];
+
+// Deterministic PRNG (mulberry32) so a seed reproduces a run
+function makeRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function normalizeWeights(weights) {
+  const total = Object.values(weights).reduce((sum, w) => sum + w, 0) || 1;
+  const out = {};
+  Object.keys(weights).forEach((field) => { out[field] = weights[field] / total; });
+  return out;
+}
+
+// Multiplicative jitter keeps weights positive; sigma shrinks as the search settles
+function perturb(weights, random, sigma) {
+  const out = {};
+  Object.keys(weights).forEach((field) => {
+    const gaussian = Math.sqrt(-2 * Math.log(random() || 1e-12)) * Math.cos(2 * Math.PI * random());
+    out[field] = Math.max(0.001, weights[field] * Math.exp(sigma * gaussian));
+  });
+  return normalizeWeights(out);
+}
+
+function randomWeights(random) {
+  const out = {};
+  Object.keys(WEIGHTS).forEach((field) => { out[field] = -Math.log(random() || 1e-12); });
+  return normalizeWeights(out);
+}
+
+// Search range for each elite mark - roughly the league's 75th to 99th percentile
+const THRESHOLD_RANGES = {
+  hardHitRate: { min: 0.45, max: 0.65 },
+  barrelRate: { min: 0.08, max: 0.20 },
+};
+
+const clampThreshold = (field, v) => Math.min(THRESHOLD_RANGES[field].max, Math.max(THRESHOLD_RANGES[field].min, v));
+
+// Additive jitter in proportion to each range, on the same shrinking sigma
+function perturbThresholds(thresholds, random, sigma) {
+  const out = {};
+  Object.keys(thresholds).forEach((field) => {
+    const { min, max } = THRESHOLD_RANGES[field];
+    const gaussian = Math.sqrt(-2 * Math.log(random() || 1e-12)) * Math.cos(2 * Math.PI * random());
+    out[field] = clampThreshold(field, thresholds[field] + (max - min) * 0.25 * sigma * gaussian);
+  });
+  return out;
+}
+
+function randomThresholds(random) {
+  const out = {};
+  Object.entries(THRESHOLD_RANGES).forEach(([field, { min, max }]) => { out[field] = min + (max - min) * random(); });
+  return out;
+}
+
+const defaultParams = () => ({ weights: normalizeWeights({ ...WEIGHTS }), eliteThresholds: { ...ELITE_THRESHOLDS } });
+
+// seasons: [{ year, players }] - ages are fixed once per season up front
+export function prepareSeasons(seasons) {
+  return seasons.map(({ year, players }) => ({
+    year,
+    players: withAges(players, getSeasonAgeDate(year)),
+  }));
+}
+
+// params: { weights, eliteThresholds } - passed straight to computeBreakoutScore
+function scoreSeasons(seasons, params) {
+  return seasons.map(({ year, players }) => calibrationPoints(players, year, params));
+}
+
+// Higher is always better: log-loss is returned negated
+function evaluate(metric, trainSeasons, evalSeasons, params) {
+  if (metric === "logloss") {
+    const trainPoints = scoreSeasons(trainSeasons, params).flat();
+    const model = fitLogistic(trainPoints);
+    const evalPoints = scoreSeasons(evalSeasons, params).flat();
+    return -logLoss(model, evalPoints);
+  }
+  const k = parseInt(metric.split("@")[1]);
+  const perSeason = scoreSeasons(evalSeasons, params).map((points) => {
+    const top = points.slice(0, k);
+    return top.length > 0 ? top.filter(p => p.label === 1).length / top.length : 0;
+  });
+  return perSeason.reduce((sum, v) => sum + v, 0) / perSeason.length;
+}
+
+export function tuneWeights(seasons, { metric = "precision@20", iterations = 300, seed = 1, start = WEIGHTS, startThresholds = ELITE_THRESHOLDS } = {}) {
+  if (!TUNING_METRICS.includes(metric)) throw new Error(`Unknown metric ${metric}`);
+  const random = makeRandom(seed);
+
+  let best = { weights: normalizeWeights({ ...start }), eliteThresholds: { ...startThresholds } };
+  let bestScore = evaluate(metric, seasons, seasons, best);
+  const baselineScore = bestScore;
+
+  for (let i = 0; i < iterations; i++) {
+    const sigma = 0.5 * (1 - i / iterations) + 0.05;
+    // Every tenth candidate is a fresh random vector to escape local optima
+    const candidate = i % 10 === 9
+      ? { weights: randomWeights(random), eliteThresholds: randomThresholds(random) }
+      : { weights: perturb(best.weights, random, sigma), eliteThresholds: perturbThresholds(best.eliteThresholds, random, sigma) };
+    const score = evaluate(metric, seasons, seasons, candidate);
+    if (score > bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  }
+
+  return { ...best, score: bestScore, baselineScore };
+}
+
+// Leave-one-season-out estimate of how the tuned weights do on unseen data
+export function crossValidate(seasons, options = {}) {
+  const metric = options.metric || "precision@20";
+  return seasons.map((heldOut) => {
+    const train = seasons.filter(s => s.year !== heldOut.year);
+    const tuned = tuneWeights(train, options);
+    return {
+      heldOutYear: heldOut.year,
+      trainYears: train.map(s => s.year),
+      tuned: evaluate(metric, train, [heldOut], tuned),
+      baseline: evaluate(metric, train, [heldOut], defaultParams()),
+    };
+  });
+}
+
+export function buildWeightsProfile({ version, metric, seasons, tuned, folds, seed, iterations }) {
+  const round = (v) => Math.round(v * 10000) / 10000;
+  const weights = {};
+  Object.entries(tuned.weights).forEach(([field, w]) => { weights[field] = round(w); });
+  const eliteThresholds = {};
+  Object.entries(tuned.eliteThresholds).forEach(([field, v]) => { eliteThresholds[field] = round(v); });
+  return {
+    format: WEIGHTS_FORMAT,
+    formatVersion: WEIGHTS_FORMAT_VERSION,
+    version,
+    generated: new Date().toISOString(),
+    metric,
+    seasons,
+    search: { seed, iterations },
+    // Log-loss is reported as a positive number here even though the search maximizes -logloss
+    inSample: {
+      tuned: metric === "logloss" ? -tuned.score : tuned.score,
+      baseline: metric === "logloss" ? -tuned.baselineScore : tuned.baselineScore,
+    },
+    crossValidation: folds.map(f => ({
+      ...f,
+      tuned: metric === "logloss" ? -f.tuned : f.tuned,
+      baseline: metric === "logloss" ? -f.baseline : f.baseline,
+    })),
+    weights,
+    eliteThresholds,
+  };
+}
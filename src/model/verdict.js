@@ -0,0 +1,178 @@
+import { BREAKOUT_DEFINITION } from "./backtest.js";
+import { getPredictionSeasons, getSeasonStat } from "./players.js";
+import { wobaToWrcPlus } from "./projection.js";
+import { POSITIONS, playsPosition } from "./filters.js";
+import { indexInSeason } from "./inseason.js";
+import { playerKey } from "./identity.js";
+
+// ─── BREAKOUT VERDICTS ────────────────────────────────────────────────────────
+// Each predicted player graded against the README's breakout definition: ANY
+// of the criteria below, in a full-time role (BREAKOUT_DEFINITION.minPa). This
+// is the fan-facing definition - the backtest grades with the stricter
+// wOBA-only classifyBreakout. A criterion the data can't decide is hit: null,
+// never a miss.
+//
+// wRC+ is only graded from a real (park- and league-adjusted) wRC+ in the
+// season lines. Derived from wOBA it would just repeat the wOBA check, so
+// without one the criterion is marked unavailable rather than guessed.
+//
+// A completed season is judged on its final line (seasons[year], from
+// fetch-data-updated.js). A season under way is judged on its in-season YTD
+// line, with PA and counting stats paced to a full season - "on pace" rather
+// than "broke out".
+
+export const VERDICT_CRITERIA = {
+  wobaGain: 0.030,                      // +.030 wOBA over the data year
+  wrcPlusGain: 20,                      // +20 wRC+
+  hrSurge: { min: 25, fromBelow: 20 },  // 25+ HR after fewer than 20
+  sbSurge: { min: 20, fromBelow: 10 },  // 20+ SB after fewer than 10
+  positionRank: 60,                     // top 60 at a position
+};
+
+// Opening day to the last regular-season game
+const REGULAR_SEASON_DAYS = 186;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Share of the regular season a YTD line covers, 0-1
+export function getSeasonFraction(from, through) {
+  if (!from || !through) return null;
+  const days = (Date.parse(through) - Date.parse(from)) / DAY_MS + 1;
+  return days > 0 ? Math.min(1, days / REGULAR_SEASON_DAYS) : null;
+}
+
+// The line a verdict is judged on: { basis, pa, woba, wrcPlus, hr, sb, through },
+// or null before the season has any. YTD counting stats are paced; the YTD
+// store has no stolen bases or wRC+.
+export function getOutcomeLine(p, year, ytd = null) {
+  if (ytd && ytd.line && ytd.line.pa > 0) {
+    const fraction = getSeasonFraction(ytd.from, ytd.through) || 1;
+    const pace = (n) => (n != null ? Math.round(n / fraction) : null);
+    return {
+      basis: "ytd", pa: pace(ytd.line.pa), woba: ytd.line.woba ?? null, wrcPlus: null,
+      hr: pace(ytd.line.hr), sb: null, through: ytd.through,
+    };
+  }
+  const pa = getSeasonStat(p, year, "pa");
+  const woba = getSeasonStat(p, year, "woba");
+  if (pa == null && woba == null) return null;
+  return {
+    basis: "final", pa, woba, wrcPlus: getSeasonStat(p, year, "wrcPlus"),
+    hr: getSeasonStat(p, year, "hr"), sb: getSeasonStat(p, year, "sb"), through: null,
+  };
+}
+
+// ─── POSITION RANKS ───────────────────────────────────────────────────────────
+// Fantasy value of an outcome line: the sum of its z-scores in HR, SB and
+// runs above average (wRC+ over 100, times PA). A stat counts only if every
+// line in the population has it, so YTD lines (no SB) and files without
+// counting stats rank on what they have.
+const VALUE_STATS = [
+  { key: "hr", value: (l) => l.hr },
+  { key: "sb", value: (l) => l.sb },
+  { key: "runs", value: (l) => (l.woba != null && l.pa != null ? (wobaToWrcPlus(l.woba) - 100) * l.pa / 100 : null) },
+];
+
+function zScores(values) {
+  const mean = values.reduce((s, v) => s + v, 0) / values.length;
+  const sd = Math.sqrt(values.reduce((s, v) => s + (v - mean) ** 2, 0) / values.length);
+  return values.map(v => (sd > 0 ? (v - mean) / sd : 0));
+}
+
+// entries: [{ p, line }]. Returns key -> { rank, position, of, stats } - the
+// player's best rank over the positions they play. A position with no more
+// players than the top-N cutoff (a hand-picked list, a thin file) is skipped:
+// everyone in it would rank inside the cutoff.
+function rankByPosition(entries) {
+  const stats = VALUE_STATS.filter(s => entries.length > 0 && entries.every(e => s.value(e.line) != null));
+  if (stats.length === 0) return new Map();
+  const values = entries.map(() => 0);
+  stats.forEach(s => zScores(entries.map(e => s.value(e.line))).forEach((z, i) => { values[i] += z; }));
+
+  const ranks = new Map();
+  POSITIONS.filter(pos => pos !== "All").forEach(position => {
+    const pool = entries
+      .map((e, i) => ({ key: playerKey(e.p), value: values[i], p: e.p }))
+      .filter(e => playsPosition(e.p, position))
+      .sort((a, b) => b.value - a.value);
+    if (pool.length <= VERDICT_CRITERIA.positionRank) return;
+    pool.forEach((e, i) => {
+      const best = ranks.get(e.key);
+      if (!best || i + 1 < best.rank) {
+        ranks.set(e.key, { rank: i + 1, position, of: pool.length, stats: stats.map(s => s.key) });
+      }
+    });
+  });
+  return ranks;
+}
+
+// ─── VERDICTS ─────────────────────────────────────────────────────────────────
+function surge(key, label, { min, fromBelow }, before, after) {
+  let hit = null;
+  if (after != null && after < min) hit = false;
+  else if (after != null && before != null) hit = before < fromBelow;
+  return { key, label, hit, before, after, change: before != null && after != null ? after - before : null, threshold: min };
+}
+
+function gain(key, label, threshold, before, after) {
+  const change = before != null && after != null ? after - before : null;
+  return { key, label, hit: change == null ? null : change >= threshold - 1e-9, before, after, change, threshold };
+}
+
+// p's verdict for year. line: getOutcomeLine; positionRank: from rankByPosition.
+// status: "breakout" / "no-breakout" on a final line, "on-pace" / "off-pace"
+// on a YTD one, "unknown" when no criterion can be decided or the line has no
+// PA to check the full-time bar against, "pending" with no line at all.
+export function getVerdict(p, year, line, positionRank = null) {
+  if (!line) {
+    return { year, status: "pending", basis: null, through: null, pa: null, qualified: null, criteria: [], hits: [] };
+  }
+  const { base } = getPredictionSeasons(year);
+  const wobaBefore = getSeasonStat(p, base, "woba") ?? p.currentWoba ?? null;
+  const wrcPlusBefore = getSeasonStat(p, base, "wrcPlus");
+
+  const criteria = [
+    gain("woba", "+.030 wOBA", VERDICT_CRITERIA.wobaGain, wobaBefore, line.woba),
+    {
+      ...gain("wrcPlus", "+20 wRC+", VERDICT_CRITERIA.wrcPlusGain, wrcPlusBefore, line.wrcPlus ?? null),
+      unavailable: wrcPlusBefore == null && line.wrcPlus == null,
+    },
+    surge("hr", "25+ HR surge", VERDICT_CRITERIA.hrSurge, getSeasonStat(p, base, "hr"), line.hr),
+    surge("sb", "20+ SB surge", VERDICT_CRITERIA.sbSurge, getSeasonStat(p, base, "sb"), line.sb),
+    {
+      key: "position",
+      label: "Top-60 at position",
+      hit: positionRank ? positionRank.rank <= VERDICT_CRITERIA.positionRank : null,
+      before: null,
+      after: positionRank ? positionRank.rank : null,
+      change: null,
+      threshold: VERDICT_CRITERIA.positionRank,
+      position: positionRank?.position ?? null,
+      of: positionRank?.of ?? null,
+      stats: positionRank?.stats ?? [],
+    },
+  ];
+
+  const hits = criteria.filter(c => c.hit).map(c => c.key);
+  const qualified = line.pa != null ? line.pa >= BREAKOUT_DEFINITION.minPa : null;
+  const ytd = line.basis === "ytd";
+  let status;
+  if (criteria.every(c => c.hit == null) || qualified == null) status = "unknown";
+  else if (hits.length > 0 && qualified) status = ytd ? "on-pace" : "breakout";
+  else status = ytd ? "off-pace" : "no-breakout";
+
+  return { year, status, basis: line.basis, through: line.through, pa: line.pa, qualified, criteria, hits };
+}
+
+// Verdicts for a season's players (the whole players file - position ranks
+// need the full league, not just the ranked breakout candidates). inSeason: an
+// in-season-YYYY.json for year, judged in place of final lines. Returns
+// playerKey -> verdict.
+export function getVerdicts(players, year, { inSeason = null } = {}) {
+  const findLine = inSeason ? indexInSeason(inSeason) : null;
+  const entries = players.map(p => ({
+    p,
+    line: getOutcomeLine(p, year, findLine && { line: findLine(p), from: inSeason.from, through: inSeason.through }),
+  }));
+  const ranks = rankByPosition(entries.filter(e => e.line && e.line.woba != null));
+  return new Map(entries.map(({ p, line }) => [playerKey(p), getVerdict(p, year, line, ranks.get(playerKey(p)))]));
+}
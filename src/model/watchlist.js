@@ -0,0 +1,108 @@
+import { playerKey } from "./identity.js";
+
+// ─── WATCHLIST ────────────────────────────────────────────────────────────────
+// Starred players with notes and tags, keyed by playerKey (playerId, or the
+// normalized name for rows without one). The app keeps it in localStorage;
+// the same document is what export/import exchange, so a team can share one
+// list. Updates return a new document - nothing here mutates its input.
+//
+// scores[year] remembers the last breakout score seen for the player in that
+// season's data file: { score, previous, lastUpdated }. previous is set when a
+// newer file moved the score, and stays until the file changes again.
+
+export const WATCHLIST_FORMAT = "breakout-watchlist";
+export const WATCHLIST_FORMAT_VERSION = 1;
+
+export function emptyWatchlist() {
+  return { format: WATCHLIST_FORMAT, formatVersion: WATCHLIST_FORMAT_VERSION, players: {} };
+}
+
+export function isWatched(list, p) {
+  return Boolean(list.players[playerKey(p)]);
+}
+
+export function toggleWatched(list, p, now = new Date()) {
+  const key = playerKey(p);
+  const players = { ...list.players };
+  if (players[key]) delete players[key];
+  else players[key] = { name: p.name, addedAt: now.toISOString(), note: "", tags: [], scores: {} };
+  return { ...list, players };
+}
+
+// Tags are trimmed, lower-cased and de-duplicated
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || "").split(",");
+  return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+export function updateWatched(list, key, changes) {
+  const entry = list.players[key];
+  if (!entry) return list;
+  const next = { ...entry, ...changes };
+  if ("tags" in changes) next.tags = normalizeTags(changes.tags);
+  return { ...list, players: { ...list.players, [key]: next } };
+}
+
+export function getWatchlistTags(list) {
+  return [...new Set(Object.values(list.players).flatMap(e => e.tags))].sort();
+}
+
+// Parsed watchlist document; throws when it isn't one
+export function loadWatchlist(doc) {
+  if (!doc || doc.format !== WATCHLIST_FORMAT) {
+    throw new Error("Not a breakout watchlist");
+  }
+  if (doc.formatVersion !== WATCHLIST_FORMAT_VERSION) {
+    throw new Error(`Unsupported watchlist formatVersion ${doc.formatVersion}`);
+  }
+  const players = {};
+  Object.entries(doc.players || {}).forEach(([key, e]) => {
+    players[key] = {
+      name: String(e?.name || key),
+      addedAt: e?.addedAt || null,
+      note: typeof e?.note === "string" ? e.note : "",
+      tags: normalizeTags(e?.tags),
+      scores: e?.scores && typeof e.scores === "object" ? e.scores : {},
+    };
+  });
+  return { ...emptyWatchlist(), players };
+}
+
+// Import: players only in incoming are added; for players on both lists the
+// tags are combined and a differing note is appended below the local one
+export function mergeWatchlists(local, incoming) {
+  const players = { ...local.players };
+  Object.entries(incoming.players).forEach(([key, e]) => {
+    const mine = players[key];
+    if (!mine) { players[key] = e; return; }
+    const note = !e.note || mine.note.includes(e.note) ? mine.note : [mine.note, e.note].filter(Boolean).join("\n\n");
+    players[key] = { ...mine, note, tags: normalizeTags([...mine.tags, ...e.tags]) };
+  });
+  return { ...local, players };
+}
+
+// Records this season's scores for every watched player in players (scored).
+// lastUpdated identifies the data file, so reloading the same file keeps the
+// change it already showed.
+export function recordScores(list, players, year, lastUpdated) {
+  let changed = false;
+  const next = { ...list.players };
+  players.forEach(p => {
+    const key = playerKey(p);
+    const entry = next[key];
+    if (!entry) return;
+    const seen = entry.scores[year];
+    if (seen && seen.lastUpdated === lastUpdated) return;
+    const previous = seen && seen.score !== p.breakoutScore ? seen.score : null;
+    next[key] = { ...entry, scores: { ...entry.scores, [year]: { score: p.breakoutScore, previous, lastUpdated } } };
+    changed = true;
+  });
+  return changed ? { ...list, players: next } : list;
+}
+
+// Score movement to highlight for a watched player, or null
+export function getScoreChange(list, p, year) {
+  const seen = list.players[playerKey(p)]?.scores[year];
+  if (!seen || seen.previous == null || seen.score !== p.breakoutScore) return null;
+  return { previous: seen.previous, current: seen.score, delta: seen.score - seen.previous };
+}
@@ -0,0 +1,91 @@
+import { ELITE_THRESHOLDS } from "./adjustments.js";
+
+// ─── BREAKOUT SCORE MODEL ─────────────────────────────────────────────────────
+//
+// "Breakout" = player whose underlying skill exceeds recent results,
+// meaning they're primed for a step-up season. We use 6 signal dimensions:
+//
+//  1. xwOBA Surplus (xwOBA - wOBA)       → luck/regression opportunity
+//  2. xwOBA Trajectory (2024→2025 delta) → skill trajectory
+//  3. Hard-Hit Rate                        → raw contact quality
+//  4. Barrel Rate                          → premium contact
+//  5. xwOBA Absolute Level                → how good is the underlying skill
+//  6. Chase/Whiff (inverse)               → plate discipline signal (lower K = better)
+//
+// Weights tuned to emphasize regression candidates (surplus) and skill trajectory.
+// Updated weights based on historical validation analysis
+
+// MODEL v5.4: Raw skills + YoY improvements (launch angle removed - not predictive)
+export const WEIGHTS = {
+  // Tier 1: Raw Power Skills (37%)
+  hardHitRate: 0.14,           // Current skill level
+  barrelRate: 0.14,            // Most predictive single metric
+  batSpeed: 0.09,              // Raw power ceiling
+  
+  // Tier 2: Year-over-Year Improvements (33%)
+  barrelImprovement: 0.15,     // Contact quality improving
+  hardHitImprovement: 0.10,    // Power development
+  chaseImprovement: 0.08,      // Plate discipline improving (INCREASED - high value)
+  
+  // Tier 3: Contact & Discipline (20%)
+  kRateInverse: 0.10,          // Contact ability
+  chaseRateInverse: 0.10,      // Current plate discipline
+  
+  // Tier 4: Expected Performance (10%)
+  xwobaSurplus: 0.07,          // REDUCED - luck component
+  xwobaLevel: 0.03,            // REDUCED - overall skill level
+};
+
+// Display names for the signals above, in the same order
+export const SIGNAL_LABELS = {
+  hardHitRate: "Hard-hit rate",
+  barrelRate: "Barrel rate",
+  batSpeed: "Bat speed",
+  barrelImprovement: "Barrel rate change",
+  hardHitImprovement: "Hard-hit rate change",
+  chaseImprovement: "Chase rate change",
+  kRateInverse: "Contact (1 - K%)",
+  chaseRateInverse: "Discipline (1 - chase%)",
+  xwobaSurplus: "xwOBA surplus",
+  xwobaLevel: "xwOBA level",
+};
+
+// ─── WEIGHT PROFILES ──────────────────────────────────────────────────────────
+// tune-weights.js writes versioned profiles to public/data/weights/. WEIGHTS
+// above stays the default; a profile only replaces it when passed explicitly.
+// A profile may also carry eliteThresholds; missing marks keep ELITE_THRESHOLDS.
+export const WEIGHTS_FORMAT = "breakout-weights";
+export const WEIGHTS_FORMAT_VERSION = 1;
+
+// Returns computeBreakoutScore options: { weights, eliteThresholds }
+export function loadWeightsProfile(profile) {
+  if (!profile || profile.format !== WEIGHTS_FORMAT) {
+    throw new Error("Not a breakout weights profile");
+  }
+  if (profile.formatVersion !== WEIGHTS_FORMAT_VERSION) {
+    throw new Error(`Unsupported weights formatVersion ${profile.formatVersion}`);
+  }
+  
+  // Only signals scorePlayer produces; anything missing from the file counts as 0
+  const weights = {};
+  Object.keys(WEIGHTS).forEach((field) => {
+    const w = profile.weights?.[field];
+    weights[field] = typeof w === "number" && w > 0 ? w : 0;
+  });
+  const unknown = Object.keys(profile.weights || {}).filter(field => !(field in WEIGHTS));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown signals in weights profile: ${unknown.join(", ")}`);
+  }
+  
+  const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+  if (total <= 0) throw new Error("Weights profile has no positive weights");
+  Object.keys(weights).forEach((field) => { weights[field] /= total; });
+
+  const eliteThresholds = { ...ELITE_THRESHOLDS };
+  Object.entries(profile.eliteThresholds || {}).forEach(([field, v]) => {
+    if (!(field in ELITE_THRESHOLDS)) throw new Error(`Unknown elite threshold in weights profile: ${field}`);
+    if (typeof v !== "number" || v <= 0 || v >= 1) throw new Error(`Elite threshold ${field} must be a rate between 0 and 1`);
+    eliteThresholds[field] = v;
+  });
+  return { weights, eliteThresholds };
+}
@@ -0,0 +1,88 @@
+import fs from "fs";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ADJUSTMENT_PIPELINE, CAREER_CONTEXT, SOPHOMORE_SLUMP, YEARS_OF_SERVICE,
+  ELITE_THRESHOLDS, computeBreakoutScore, collectFlags, getEliteProfileMultiplier, loadWeightsProfile,
+  WEIGHTS, WEIGHTS_FORMAT, WEIGHTS_FORMAT_VERSION, withAges, getSeasonAgeDate,
+} from "../src/model/index.js";
+
+// The fixture file with ages filled in, as the app and the CLIs load it
+const fixture = JSON.parse(fs.readFileSync(new URL("./fixtures/players-2026.json", import.meta.url), "utf8"));
+const year = fixture.year;
+const players = withAges(fixture.players, getSeasonAgeDate(year));
+const multiplier = (key, p) => ADJUSTMENT_PIPELINE.find(a => a.key === key).getMultiplier(p, year);
+
+test("every pipeline stage lands in _adjustments", () => {
+  const ranked = computeBreakoutScore(players.map(p => ({ ...p })), year);
+  ranked.forEach((p) => {
+    ADJUSTMENT_PIPELINE.forEach((a) => {
+      assert.equal(typeof p._adjustments[a.key], "number", p.name + " " + a.key);
+    });
+  });
+});
+
+test("signal stages rescale one contribution, score stages the whole total", () => {
+  const signalStages = ADJUSTMENT_PIPELINE.filter(a => a.signal).map(a => a.key);
+  assert.deepEqual(signalStages, ["surplusReliability"]);
+  const highChase = { chaseRate: 0.32, xwobaSurplus: 0.05 };
+  assert.equal(multiplier("surplusReliability", highChase), 0.70);
+});
+
+test("a 1st-3rd year career year gets the sophomore slump instead of career context", () => {
+  const rookie = { currentWoba: 0.360, careerWoba: 0.320, yearsInMLB: 1 };
+  assert.equal(SOPHOMORE_SLUMP.applies(rookie.currentWoba, rookie.careerWoba, rookie.yearsInMLB), true);
+  assert.equal(multiplier("sophomoreSlump", rookie), 0.65);
+  assert.equal(multiplier("careerContext", rookie), 1.0);
+
+  const third = { ...rookie, yearsInMLB: 3 };
+  assert.equal(multiplier("sophomoreSlump", third), 0.65);
+
+  const veteran = { ...rookie, yearsInMLB: 6 };
+  assert.equal(multiplier("sophomoreSlump", veteran), 1.0);
+  assert.equal(multiplier("careerContext", veteran), CAREER_CONTEXT.getMultiplier(0.360, 0.320));
+});
+
+test("the sophomore slump and career context never both flag", () => {
+  const rookie = players.find(p => p.name === "Rookie, Hot");
+  const { flags, positives } = collectFlags(rookie, year);
+  const texts = [...flags, ...positives].map(f => f.text);
+  assert.ok(texts.some(t => t.startsWith("Sophomore/3rd year after breakout")));
+  assert.ok(!texts.some(t => t.startsWith("Career year")));
+});
+
+test("unknown career baseline and service time are neutral", () => {
+  const unknown = players.find(p => p.name === "Catcher, Unknown");
+  assert.equal(multiplier("careerContext", unknown), 1.0);
+  assert.equal(multiplier("sophomoreSlump", unknown), 1.0);
+  assert.equal(YEARS_OF_SERVICE.getMultiplier(null), 1.0);
+  assert.equal(YEARS_OF_SERVICE.getMultiplier(1), 0.80);
+});
+
+test("elite profile bonuses stack and the young-talent bonus needs both elite marks", () => {
+  const prospect = players.find(p => p.name === "Prospect, Power");
+  assert.ok(getEliteProfileMultiplier(prospect) > 2);
+  const noBarrel = { ...prospect, barrelRate: 0.12 };
+  assert.ok(getEliteProfileMultiplier(noBarrel) < getEliteProfileMultiplier(prospect));
+  assert.equal(getEliteProfileMultiplier({}), 1.0);
+});
+
+test("the elite marks come from computeBreakoutScore's options", () => {
+  const prospect = players.find(p => p.name === "Prospect, Power");
+  const raised = { hardHitRate: 0.60, barrelRate: ELITE_THRESHOLDS.barrelRate };
+  assert.ok(getEliteProfileMultiplier(prospect, raised) < getEliteProfileMultiplier(prospect));
+
+  const score = (options) => computeBreakoutScore([{ ...prospect }], year, options)[0]._adjustments.eliteProfile;
+  assert.equal(score({}), getEliteProfileMultiplier(prospect));
+  assert.equal(score({ eliteThresholds: raised }), getEliteProfileMultiplier(prospect, raised));
+});
+
+test("loadWeightsProfile reads elite marks and keeps the defaults for missing ones", () => {
+  const profile = { format: WEIGHTS_FORMAT, formatVersion: WEIGHTS_FORMAT_VERSION, weights: { ...WEIGHTS } };
+  assert.deepEqual(loadWeightsProfile(profile).eliteThresholds, ELITE_THRESHOLDS);
+
+  const tuned = loadWeightsProfile({ ...profile, eliteThresholds: { barrelRate: 0.15 } });
+  assert.deepEqual(tuned.eliteThresholds, { ...ELITE_THRESHOLDS, barrelRate: 0.15 });
+  assert.throws(() => loadWeightsProfile({ ...profile, eliteThresholds: { batSpeed: 0.5 } }), /Unknown elite threshold/);
+  assert.throws(() => loadWeightsProfile({ ...profile, eliteThresholds: { barrelRate: 13 } }), /between 0 and 1/);
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fitIsotonic, heldOutCalibration, predictProbability, wilsonInterval, withProbabilities } from "../src/model/index.js";
+
+// 60 scored players: breakouts get likelier as the score rises, with one
+// out-of-order run (a violation PAV has to pool)
+const POINTS = Array.from({ length: 60 }, (_, i) => ({
+  score: i,
+  label: (i >= 40 && i % 2 === 0) || (i >= 50) || i === 12 ? 1 : 0,
+}));
+
+test("wilsonInterval stays inside [0, 1] and brackets the rate", () => {
+  assert.deepEqual(wilsonInterval(0, 0), { low: 0, high: 1 });
+  const none = wilsonInterval(0, 20);
+  assert.equal(none.low, 0);
+  assert.ok(none.high > 0 && none.high < 0.2);
+  const all = wilsonInterval(20, 20);
+  assert.equal(all.high, 1);
+  assert.ok(all.low > 0.8 && all.low < 1);
+  const half = wilsonInterval(50, 100);
+  assert.ok(half.low < 0.5 && half.high > 0.5);
+  assert.ok(Math.abs((half.low + half.high) / 2 - 0.5) < 1e-9);
+});
+
+test("wilsonInterval narrows as the sample grows", () => {
+  const small = wilsonInterval(3, 10);
+  const large = wilsonInterval(300, 1000);
+  assert.ok(large.high - large.low < small.high - small.low);
+});
+
+test("fitIsotonic is a non-decreasing step function", () => {
+  const model = fitIsotonic(POINTS);
+  assert.equal(model.type, "isotonic");
+  assert.equal(model.points, 60);
+  assert.equal(model.blocks.reduce((n, b) => n + b.players, 0), 60);
+  for (let i = 1; i < model.blocks.length; i++) {
+    assert.ok(model.blocks[i].rate >= model.blocks[i - 1].rate);
+    assert.ok(model.blocks[i].minScore > model.blocks[i - 1].maxScore);
+  }
+  model.blocks.forEach((b) => assert.ok(b.low <= b.rate && b.rate <= b.high));
+});
+
+test("fitIsotonic pools blocks smaller than minBlock", () => {
+  fitIsotonic(POINTS, { minBlock: 15 }).blocks.forEach(b => assert.ok(b.players >= 15));
+  assert.equal(fitIsotonic([]), null);
+});
+
+test("predictProbability interpolates between block centres and clamps at the ends", () => {
+  const model = fitIsotonic(POINTS);
+  const first = model.blocks[0];
+  const last = model.blocks[model.blocks.length - 1];
+  assert.equal(predictProbability(model, -10).probability, first.rate);
+  assert.equal(predictProbability(model, 1000).probability, last.rate);
+  const mid = predictProbability(model, 45).probability;
+  assert.ok(mid >= first.rate && mid <= last.rate);
+  assert.equal(predictProbability(null, 50), null);
+});
+
+test("withProbabilities leaves the fields null without a model", () => {
+  const [p] = withProbabilities([{ name: "A", breakoutScore: 70 }], null);
+  assert.equal(p.breakoutProbability, null);
+  assert.equal(p.breakoutProbabilityLow, null);
+});
+
+test("heldOutCalibration needs two graded seasons and predicts each from the others", () => {
+  const season = (year, shift) => ({ year, points: POINTS.map(p => ({ ...p, score: p.score + shift })) });
+  assert.equal(heldOutCalibration([season(2025, 0)]), null);
+
+  const heldOut = heldOutCalibration([season(2024, 0), season(2025, 2)]);
+  assert.equal(heldOut.method, "leave-one-season-out");
+  assert.deepEqual(heldOut.seasons.map(s => s.year), [2024, 2025]);
+  assert.equal(heldOut.pooled.players, 120);
+  // A curve that tracks the score beats a flat base rate on the other season
+  heldOut.seasons.forEach(s => assert.ok(s.brier < s.baseRateBrier, s.year + " " + s.brier));
+});
@@ -0,0 +1,31 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execFileSync } from "child_process";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Replays fixtures/sample-2026 through fetch-data-updated.js --source local
+const ROOT = new URL("..", import.meta.url).pathname;
+
+test("the committed sample replays offline into a players file", () => {
+  const out = fs.mkdtempSync(path.join(os.tmpdir(), "breakout-fetch-"));
+  try {
+    const log = execFileSync(process.execPath, [
+      "fetch-data-updated.js", "--years", "2026", "--source", "local", "--dir", "fixtures/sample-2026", "--out", out,
+    ], { cwd: ROOT, encoding: "utf8", timeout: 60000 });
+    assert.match(log, /SUCCESS Data saved/);
+
+    const data = JSON.parse(fs.readFileSync(path.join(out, "players-2026.json"), "utf8"));
+    assert.equal(data.year, 2026);
+    assert.equal(data.players.length, 10);
+    const raleigh = data.players.find(p => p.playerId === 663728);
+    assert.equal(raleigh.team, "SEA");
+    assert.equal(raleigh.currentWoba, 0.392);
+    assert.equal(raleigh.careerPa, 628);
+    assert.ok(fs.existsSync(path.join(out, "league-reference.json")));
+    assert.ok(fs.existsSync(path.join(out, "manifest.json")));
+  } finally {
+    fs.rmSync(out, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,64 @@
+import fs from "fs";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeBreakoutScore, softCeiling, SCORE_KNEE, getTier, buildLeagueReference, withAges, getSeasonAgeDate } from "../src/model/index.js";
+
+// The fixture file with ages filled in, as the app and the CLIs load it
+const fixture = JSON.parse(fs.readFileSync(new URL("./fixtures/players-2026.json", import.meta.url), "utf8"));
+const year = fixture.year;
+const players = withAges(fixture.players, getSeasonAgeDate(year));
+const rank = (options) => computeBreakoutScore(players.map(p => ({ ...p })), year, options);
+
+test("computeBreakoutScore drops pitchers and established stars", () => {
+  const names = rank().map(p => p.name);
+  assert.ok(!names.includes("Pitcher, Two-Way"));
+  assert.ok(!names.includes("Star, Established"));
+  // Over .350 but young with a short sample - still a candidate
+  assert.ok(names.includes("Rookie, Hot"));
+});
+
+test("computeBreakoutScore ranks by score on a 0-100 scale", () => {
+  const ranked = rank();
+  ranked.forEach((p) => {
+    assert.ok(p.breakoutScore >= 0 && p.breakoutScore < 100, p.name + " " + p.breakoutScore);
+    assert.equal(typeof p._adjustments.rawScore, "number");
+  });
+  for (let i = 1; i < ranked.length; i++) {
+    assert.ok(ranked[i - 1].breakoutScore >= ranked[i].breakoutScore);
+  }
+  assert.equal(ranked[0].name, "Prospect, Power");
+  assert.equal(ranked[ranked.length - 1].name, "Veteran, Fading");
+});
+
+test("computeBreakoutScore scores a missing signal at the 50th percentile", () => {
+  const catcher = rank().find(p => p.name === "Catcher, Unknown");
+  assert.equal(catcher._scores.hardHitRate, 50);
+  assert.equal(catcher._scores.batSpeed, 50);
+});
+
+test("a stored league reference keeps scores independent of who is ranked", () => {
+  const reference = buildLeagueReference(players, year);
+  const all = rank({ reference });
+  const alone = computeBreakoutScore([{ ...players.find(p => p.name === "Regular, Steady") }], year, { reference });
+  assert.equal(alone[0].breakoutScore, all.find(p => p.name === "Regular, Steady").breakoutScore);
+});
+
+test("softCeiling keeps scores up to the knee and stays under 100 above it", () => {
+  assert.equal(softCeiling(-5), 0);
+  assert.equal(softCeiling(SCORE_KNEE), SCORE_KNEE);
+  assert.equal(softCeiling(40), 40);
+  let previous = SCORE_KNEE;
+  [80, 100, 150, 200, 400].forEach((total) => {
+    const score = softCeiling(total);
+    assert.ok(score > previous && score < 100, total + " -> " + score);
+    previous = score;
+  });
+});
+
+test("getTier cutoffs", () => {
+  assert.equal(getTier(80).label, "ELITE");
+  assert.equal(getTier(79).label, "HIGH");
+  assert.equal(getTier(68).label, "HIGH");
+  assert.equal(getTier(55).label, "MED");
+  assert.equal(getTier(54).label, "LOW");
+});
@@ -0,0 +1,25 @@
+import fs from "fs";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { prepareSeasons, tuneWeights, buildWeightsProfile, loadWeightsProfile, ELITE_THRESHOLDS } from "../src/model/index.js";
+
+// The fixture's 2025 lines are complete, so the file can be graded as the 2025 season
+const fixture = JSON.parse(fs.readFileSync(new URL("./fixtures/players-2026.json", import.meta.url), "utf8"));
+const seasons = prepareSeasons([{ year: 2025, players: fixture.players }]);
+
+test("tuneWeights searches the elite marks alongside the weights", () => {
+  const tuned = tuneWeights(seasons, { iterations: 12, seed: 3 });
+  assert.ok(tuned.score >= tuned.baselineScore);
+  assert.ok(Math.abs(Object.values(tuned.weights).reduce((sum, w) => sum + w, 0) - 1) < 1e-9);
+  assert.deepEqual(Object.keys(tuned.eliteThresholds), Object.keys(ELITE_THRESHOLDS));
+  Object.values(tuned.eliteThresholds).forEach(v => assert.ok(v > 0 && v < 1));
+});
+
+test("a built profile loads back with its elite marks", () => {
+  const tuned = tuneWeights(seasons, { iterations: 4, seed: 1 });
+  const profile = buildWeightsProfile({ version: "test", metric: "precision@20", seasons: [2025], tuned, folds: [], seed: 1, iterations: 4 });
+  const options = loadWeightsProfile(JSON.parse(JSON.stringify(profile)));
+  Object.keys(ELITE_THRESHOLDS).forEach((field) => {
+    assert.ok(Math.abs(options.eliteThresholds[field] - tuned.eliteThresholds[field]) < 1e-4);
+  });
+});
@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getVerdict, getVerdicts, getOutcomeLine, getSeasonFraction } from "../src/model/index.js";
+
+const YEAR = 2025;
+const player = (actual, base = { pa: 500, woba: 0.300, hr: 12, sb: 4 }) => ({
+  playerId: 1, name: "Test, Player", position: "OF", seasons: { 2024: base, ...(actual ? { 2025: actual } : {}) },
+});
+const verdictFor = (p) => getVerdict(p, YEAR, getOutcomeLine(p, YEAR));
+const hit = (v, key) => v.criteria.find(c => c.key === key).hit;
+
+test("no results-year line is pending", () => {
+  const v = verdictFor(player(null));
+  assert.equal(v.status, "pending");
+  assert.deepEqual(v.criteria, []);
+});
+
+test("a full-time +.030 wOBA season is a breakout", () => {
+  const v = verdictFor(player({ pa: 600, woba: 0.340, hr: 18, sb: 5 }));
+  assert.equal(v.status, "breakout");
+  assert.equal(v.basis, "final");
+  assert.equal(v.qualified, true);
+  assert.ok(v.hits.includes("woba"));
+});
+
+test("a power surge counts on its own", () => {
+  const v = verdictFor(player({ pa: 600, woba: 0.310, hr: 28, sb: 5 }));
+  assert.equal(hit(v, "hr"), true);
+  assert.equal(hit(v, "woba"), false);
+  assert.equal(v.status, "breakout");
+});
+
+test("a hit under the PA bar is no breakout", () => {
+  const v = verdictFor(player({ pa: 200, woba: 0.360, hr: 8, sb: 2 }));
+  assert.equal(v.qualified, false);
+  assert.ok(v.hits.length > 0);
+  assert.equal(v.status, "no-breakout");
+});
+
+test("a line without PA is not graded, hits or not", () => {
+  const withHit = verdictFor(player({ woba: 0.360 }));
+  assert.equal(withHit.qualified, null);
+  assert.ok(withHit.hits.includes("woba"));
+  assert.equal(withHit.status, "unknown");
+  assert.equal(verdictFor(player({ woba: 0.300 })).status, "unknown");
+});
+
+test("a criterion the data can't decide is null, never a miss", () => {
+  const v = verdictFor(player({ pa: 600, woba: 0.310 }, { woba: 0.300 }));
+  assert.equal(hit(v, "hr"), null);
+  assert.equal(hit(v, "sb"), null);
+  assert.equal(v.status, "no-breakout");
+});
+
+test("a YTD line is paced to a full season", () => {
+  assert.equal(getSeasonFraction("2025-03-27", "2025-03-27"), 1 / 186);
+  const p = player(null);
+  const ytd = { line: { pa: 310, woba: 0.345, hr: 14 }, from: "2025-03-27", through: "2025-06-28" };
+  const line = getOutcomeLine(p, YEAR, ytd);
+  assert.equal(line.basis, "ytd");
+  assert.ok(line.pa > 500 && line.hr > 25);
+  const v = getVerdict(p, YEAR, line);
+  assert.equal(v.status, "on-pace");
+  assert.equal(v.through, "2025-06-28");
+});
+
+test("getVerdicts leaves position ranks ungraded for a pool inside the cutoff", () => {
+  const players = [1, 2, 3].map(id => ({ ...player({ pa: 600, woba: 0.300 + id / 100 }), playerId: id }));
+  const verdicts = getVerdicts(players, YEAR);
+  assert.equal(verdicts.size, 3);
+  verdicts.forEach(v => assert.equal(hit(v, "position"), null));
+});
+
+test("wRC+ is n/a without a real wRC+, not rebuilt from wOBA", () => {
+  const v = verdictFor(player({ pa: 600, woba: 0.360, hr: 18, sb: 5 }));
+  const wrc = v.criteria.find(c => c.key === "wrcPlus");
+  assert.equal(wrc.hit, null);
+  assert.equal(wrc.unavailable, true);
+  assert.ok(!v.hits.includes("wrcPlus"));
+  assert.deepEqual(v.hits, ["woba"]);
+});
+
+test("a stored wRC+ is graded on its own numbers", () => {
+  const p = player({ pa: 600, woba: 0.320, wrcPlus: 128, hr: 15, sb: 5 }, { pa: 500, woba: 0.300, wrcPlus: 104, hr: 12, sb: 4 });
+  const v = verdictFor(p);
+  const wrc = v.criteria.find(c => c.key === "wrcPlus");
+  assert.equal(wrc.unavailable, false);
+  assert.equal(wrc.change, 24);
+  assert.equal(wrc.hit, true);
+  assert.equal(hit(v, "woba"), false);
+  assert.equal(v.status, "breakout");
+});
@@ -0,0 +1,116 @@
+// Fit WEIGHTS from completed seasons and write a versioned weights profile.
+//
+//   node tune-weights.js                               precision@20, all graded seasons
+//   node tune-weights.js --metric logloss --iterations 500 --seed 7
+//   node tune-weights.js --years 2024,2025 --version v5.5-tuned
+//   node tune-weights.js --allow-in-sample          write a profile from one graded season
+//
+// The profile (weights plus the elite hard-hit / barrel marks) lands in
+// public/data/weights/<version>.json. Nothing picks it up automatically - pass
+// it with --weights to score-players.js / backtest.js. With fewer than two
+// graded seasons there is nothing to cross-validate against, so the fit can't
+// be checked and no profile is written unless --allow-in-sample is passed.
+
+import fs from 'fs';
+import {
+  hasActuals,
+  prepareSeasons,
+  tuneWeights,
+  crossValidate,
+  buildWeightsProfile,
+  TUNING_METRICS,
+  WEIGHTS,
+  ELITE_THRESHOLDS
+} from './src/model/index.js';
+import { listPlayerSeasons, readPlayersFile } from './lib/manifest.js';
+
+const DATA_DIR = 'public/data';
+const WEIGHTS_DIR = DATA_DIR + '/weights';
+
+function parseArgs(argv) {
+  const args = { metric: 'precision@20', iterations: 300, seed: 1, years: null, version: null, allowInSample: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--metric') args.metric = argv[++i];
+    else if (argv[i] === '--iterations') args.iterations = parseInt(argv[++i]);
+    else if (argv[i] === '--seed') args.seed = parseInt(argv[++i]);
+    else if (argv[i] === '--years') args.years = argv[++i].split(',').map(y => parseInt(y));
+    else if (argv[i] === '--version') args.version = argv[++i];
+    else if (argv[i] === '--allow-in-sample') args.allowInSample = true;
+  }
+  return args;
+}
+
+function loadSeasons(years) {
+  const seasons = [];
+  for (const year of years || listPlayerSeasons(DATA_DIR)) {
+    let data;
+    try {
+      data = readPlayersFile(DATA_DIR, year);
+    } catch (err) {
+      console.error('ERROR ' + err.message);
+      process.exit(1);
+    }
+    if (!hasActuals(data.players, year)) {
+      console.log(year + ': no actual results yet - skipped');
+      continue;
+    }
+    seasons.push({ year, players: data.players });
+  }
+  return seasons;
+}
+
+const fmt = (v) => v == null ? '-' : v.toFixed(4);
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!TUNING_METRICS.includes(args.metric)) {
+    console.error('ERROR --metric must be one of ' + TUNING_METRICS.join(', '));
+    process.exit(1);
+  }
+
+  const seasons = prepareSeasons(loadSeasons(args.years));
+  if (seasons.length === 0) {
+    console.error('ERROR no seasons with actual results to tune on');
+    process.exit(1);
+  }
+  const years = seasons.map(s => s.year);
+  const options = { metric: args.metric, iterations: args.iterations, seed: args.seed };
+
+  let folds = [];
+  if (seasons.length < 2) {
+    if (!args.allowInSample) {
+      console.error('ERROR only one graded season (' + years[0] + ') - a profile tuned on it is an in-sample fit ' +
+        'with no held-out check. Pass --allow-in-sample to write it anyway');
+      process.exit(1);
+    }
+    console.warn('WARNING only one graded season (' + years[0] + ') - no cross-validation, in-sample fit only');
+  } else {
+    console.log('Cross-validating over ' + years.join(', ') + ' (' + args.metric + ')');
+    folds = crossValidate(seasons, options);
+    folds.forEach(f => {
+      console.log('  held out ' + f.heldOutYear + ': tuned ' + fmt(f.tuned) + '  default ' + fmt(f.baseline));
+    });
+  }
+
+  console.log('Tuning on ' + years.join(', '));
+  const tuned = tuneWeights(seasons, options);
+  const version = args.version || 'tuned-' + new Date().toISOString().slice(0, 10) + '-' + args.metric.replace('@', '');
+  const profile = buildWeightsProfile({ version, metric: args.metric, seasons: years, tuned, folds, seed: args.seed, iterations: args.iterations });
+
+  console.log('  in-sample ' + args.metric + ': tuned ' + fmt(profile.inSample.tuned) + '  default ' + fmt(profile.inSample.baseline));
+  Object.keys(WEIGHTS).forEach(field => {
+    console.log('    ' + field.padEnd(20) + String(WEIGHTS[field].toFixed(3)).padStart(6) + ' -> ' + profile.weights[field].toFixed(3));
+  });
+  Object.keys(ELITE_THRESHOLDS).forEach(field => {
+    console.log('    elite ' + field.padEnd(14) + String(ELITE_THRESHOLDS[field].toFixed(3)).padStart(6) + ' -> ' + profile.eliteThresholds[field].toFixed(3));
+  });
+
+  if (!fs.existsSync(WEIGHTS_DIR)) {
+    fs.mkdirSync(WEIGHTS_DIR, { recursive: true });
+  }
+  const file = WEIGHTS_DIR + '/' + version + '.json';
+  fs.writeFileSync(file, JSON.stringify(profile, null, 2));
+  console.log('SUCCESS wrote ' + file);
+}
+
+main();